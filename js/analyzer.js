@@ -2,94 +2,208 @@
  * analyzer.js — Data analysis & scoring engine for eBay listing data
  */
 
+/* global CardAttributes */
 const Analyzer = (() => {
 
-  // ─── Sport detection ───────────────────────────────────────────────────────
-
-  const SPORT_PATTERNS = {
-    Football: [
-      /\bnfl\b/i, /\bfootball\b/i, /\bqb\b/i, /\brb\b/i, /\bwr\b/i,
-      /\bpatriots\b/i, /\bchiefs\b/i, /\beagles\b/i, /\bcowboys\b/i,
-      /\braiders\b/i, /\bjets\b/i, /\bcolts\b/i, /\btigers\b/i,
-      /\bbears\b/i, /\bpackers\b/i, /\bsteelers\b/i, /\bcommanders\b/i,
-      /\btitans\b/i, /\brams\b/i, /\bbengals\b/i,
-      // Player names strongly associated with football
-      /\bmahomes\b/i, /\bdaniel[s]?\b/i, /\bmanning\b/i, /\bbarkley\b/i,
-      /\bpurdy\b/i, /\bcam ward\b/i, /\bjaxson dart\b/i,
-      /\bdarnold\b/i, /\bhunter\b/i, /\bloveland\b/i, /\bwilliams.*bears\b/i,
-      /\bharvey.*rc\b/i, /\bfergusson\b/i, /\bskattebo\b/i,
-      /\bdrake maye\b/i, /\bgarrett wilson\b/i, /\bkyren\b/i,
-      /\btetairoa\b/i, /\bfergu?son\b/i, /\bcolston\b/i,
-      /\bmatthew golden\b/i, /\btreveyon\b/i,
-    ],
-    Baseball: [
-      /\bmlb\b/i, /\bbaseball\b/i, /\brc\b.*\btopps\b/i, /\btopps\b.*\brc\b/i,
-      /\bbowman\b/i, /\bprospect\b/i, /\bpirates\b/i, /\bdodgers\b/i,
-      /\bcubs\b/i, /\broyals\b/i, /\bastros\b/i, /\bmariners\b/i,
-      /\borioles\b/i, /\brays\b/i, /\bredSox\b/i, /\bred sox\b/i,
-      /\bangels\b/i, /\bpadres\b/i, /\bphillies\b/i, /\bbraves\b/i,
-      /\bmets\b/i, /\bnationals\b/i, /\bcardinals\b/i, /\brangers\b/i,
-      /\bdiamondbacks\b/i, /\bblue jays\b/i, /\byankees\b/i,
-      /\bohtani\b/i, /\bjudge\b/i, /\bskenes\b/i, /\btrout\b/i,
-      /\bryan\b/i, /\braleigh\b/i, /\bwoo\b/i, /\banthony.*red sox\b/i,
-      /\bjackson.*topps\b/i, /\bbo jackson\b/i, /\btatis\b/i,
-      /\bacuna\b/i, /\bharper\b/i, /\bseager\b/i, /\bcarroll\b/i,
-      /\bbowers.*pirates\b/i, /\bcrow.armstrong\b/i, /\bmelton.*astros\b/i,
-      /\bwetherholt\b/i, /\bcaglianone\b/i, /\bcaminero\b/i,
-      /\bcrawford.*phillies\b/i, /\bde paula\b/i, /\bwagner.*orioles\b/i,
-      /\bjobe\b/i, /\bbremner\b/i, /\bmcadoo\b/i, /\bavina\b/i,
-    ],
-    Basketball: [
-      /\bnba\b/i, /\bbasketball\b/i, /\bbulls\b/i, /\blakers\b/i,
-      /\bjordan\b/i, /\bshaquille\b/i, /\bshaq\b/i, /\bhoops\b/i,
-    ],
+  // ─── Card attributes ───────────────────────────────────────────────────────
+
+  /**
+   * Sport/category for a title — see CardAttributes for the full attribute set.
+   * Pass the item ID to honour a category the user assigned by hand.
+   */
+  function detectSport(title, itemId) {
+    return CardAttributes.categoryOverrideFor(itemId) || CardAttributes.extract(title || '').sport;
+  }
+
+  /** Title attributes with any per-listing category override applied. */
+  function listingAttributes(listing) {
+    const attributes = CardAttributes.extract(listing.title);
+    const override = CardAttributes.categoryOverrideFor(listing.itemId);
+    return override ? { ...attributes, sport: override } : attributes;
+  }
+
+  // ─── Listing Health Score (0–100) ──────────────────────────────────────────
+
+  /**
+   * Default composite score model. Each weight is the points a component is
+   * worth; saturation is the value that earns full points:
+   *  - impressions: log-normalised against this count, or the report's busiest
+   *    listing when null
+   *  - ctr / top20: percentage for full marks
+   *  - trend: organic-impression % change for full (or zero) marks; no change
+   *    scores half
+   * badges are the minimum scores for a green / yellow healthBadge.
+   * User presets and per-category overrides live in ScoringModel.
+   */
+  const DEFAULT_SCORING_MODEL = {
+    name: 'Default',
+    weights:    { impressions: 40, ctr: 30, top20: 15, trend: 15 },
+    saturation: { impressions: null, ctr: 2.0, top20: 100, trend: 200 },
+    badges:     { green: 60, yellow: 30 },
   };
 
-  function detectSport(title) {
-    const t = title || '';
-    for (const [sport, patterns] of Object.entries(SPORT_PATTERNS)) {
-      for (const pattern of patterns) {
-        if (pattern.test(t)) return sport;
-      }
+  // { model, categories: { [sport]: model } } — see setScoringConfig()
+  let scoringConfig = { model: DEFAULT_SCORING_MODEL, categories: {} };
+
+  /**
+   * Replace the scoring model used by calcHealthScore/healthBadge/enrichWithScores.
+   * @param {object|null} config - { model, categories } from ScoringModel.resolve(); null restores the default
+   */
+  function setScoringConfig(config) {
+    scoringConfig = {
+      model: (config && config.model) || DEFAULT_SCORING_MODEL,
+      categories: (config && config.categories) || {},
+    };
+  }
+
+  function getScoringConfig() {
+    return scoringConfig;
+  }
+
+  /** The model that applies to a listing — its category override, else the active model. */
+  function scoringModelFor(listing, config) {
+    const c = config || scoringConfig;
+    const sport = listing && (listing.sport || detectSport(listing.title, listing.itemId));
+    return c.categories[sport] || c.model;
+  }
+
+  // ─── Peer groups ───────────────────────────────────────────────────────────
+
+  const PRICE_BANDS = [
+    { max: 5,        label: 'Under $5' },
+    { max: 20,       label: '$5–$20' },
+    { max: 100,      label: '$20–$100' },
+    { max: Infinity, label: '$100+' },
+  ];
+
+  // Below this many peers a group is widened (price band dropped, then
+  // graded/raw, then the whole report) before percentiles are taken
+  const MIN_PEERS = 8;
+
+  function priceBand(price) {
+    if (!(price > 0)) return null;
+    return PRICE_BANDS.find(b => price < b.max).label;
+  }
+
+  /** Peer-group keys for a listing, narrowest first, with display labels. */
+  function peerLevels(listing) {
+    const attrs = listing.attributes || listingAttributes(listing);
+    const sport = listing.sport || attrs.sport;
+    const band = priceBand(listing.price);
+    const grade = attrs.graded ? 'Graded' : 'Raw';
+    return [
+      { key: `${sport}|${band}|${grade}`, label: [sport, band, grade].filter(Boolean).join(' · ') },
+      { key: `${sport}|*|${grade}`,       label: `${sport} · ${grade}` },
+      { key: `${sport}|*|*`,              label: sport },
+      { key: '*',                         label: 'All listings' },
+    ];
+  }
+
+  // calcHealthScore is called once per listing with the same array, so index
+  // the peer groups once per array rather than regrouping for every row.
+  const peerIndexCache = new WeakMap();
+
+  /** { [levelKey]: { impressions: number[], ctr: number[] } }, each array sorted ascending. */
+  function peerIndexOf(allListings) {
+    if (!peerIndexCache.has(allListings)) {
+      const index = {};
+      allListings.forEach(l => {
+        peerLevels(l).forEach(({ key }) => {
+          const group = index[key] || (index[key] = { impressions: [], ctr: [] });
+          group.impressions.push(l.totalImpressions || 0);
+          group.ctr.push(l.ctr || 0);
+        });
+      });
+      Object.values(index).forEach(g => {
+        g.impressions.sort((a, b) => a - b);
+        g.ctr.sort((a, b) => a - b);
+      });
+      peerIndexCache.set(allListings, index);
     }
-    return 'Other';
+    return peerIndexCache.get(allListings);
   }
 
-  // ─── Listing Health Score (0–100) ──────────────────────────────────────────
+  // First index in sorted where sorted[i] > value (upper) or >= value (lower)
+  function bound(sorted, value, upper) {
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (upper ? sorted[mid] <= value : sorted[mid] < value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Mid-rank percentile (0–1) of value in a sorted array: ties share the
+   * middle of their run, so a handful of equal listings all sit at 0.5
+   * rather than at the top or bottom.
+   */
+  function percentileRank(sorted, value) {
+    if (!sorted.length) return 0.5;
+    const below = bound(sorted, value, false);
+    const equal = bound(sorted, value, true) - below;
+    return (below + equal / 2) / sorted.length;
+  }
+
+  /**
+   * The listing's peer group — the narrowest level with at least MIN_PEERS
+   * listings — and where it ranks within it.
+   * @returns {{ group: string, size: number, impressionsPercentile: number, ctrPercentile: number }}
+   */
+  function peerStats(listing, allListings) {
+    const index = peerIndexOf(allListings);
+    const levels = peerLevels(listing);
+    const level = levels.find(lv => index[lv.key] && index[lv.key].impressions.length >= MIN_PEERS) || levels[levels.length - 1];
+    const group = index[level.key] || { impressions: [], ctr: [] };
+    return {
+      group: level.label,
+      size: group.impressions.length,
+      impressionsPercentile: percentileRank(group.impressions, listing.totalImpressions || 0),
+      ctrPercentile: percentileRank(group.ctr, listing.ctr || 0),
+    };
+  }
 
   /**
-   * Composite score weights:
-   *  - Impressions (log-normalised, 40 pts max)
-   *  - CTR (30 pts max)
-   *  - Top-20 % (15 pts max)
-   *  - Trend direction (15 pts max)
+   * @param {object} listing
+   * @param {object[]} allListings - the report, for peer-relative impression scaling
+   * @param {object} [model] - scoring model; defaults to scoringModelFor(listing)
    */
-  function calcHealthScore(listing, allListings) {
-    const maxImpressions = Math.max(...allListings.map(l => l.totalImpressions || 0));
+  function calcHealthScore(listing, allListings, model) {
+    const { weights, saturation } = model || scoringModelFor(listing);
     const impressions = listing.totalImpressions || 0;
 
-    // Impression score (0-40): logarithmic scale
+    // Impression score: against a fixed saturation point on a log scale when the
+    // model sets one, otherwise by percentile rank among the listing's peers —
+    // rank-based, so one viral card can't flatten everyone else's score
     let impressionScore = 0;
-    if (maxImpressions > 0 && impressions > 0) {
-      impressionScore = (Math.log(impressions + 1) / Math.log(maxImpressions + 1)) * 40;
+    if (impressions > 0 && saturation.impressions) {
+      impressionScore = Math.min(Math.log(impressions + 1) / Math.log(saturation.impressions + 1), 1) * weights.impressions;
+    } else if (impressions > 0) {
+      const { size, impressionsPercentile } = peerStats(listing, allListings);
+      // Too few listings to rank meaningfully: pull toward the middle
+      const confidence = Math.min(size / MIN_PEERS, 1);
+      impressionScore = (0.5 + (impressionsPercentile - 0.5) * confidence) * weights.impressions;
     }
 
-    // CTR score (0-30): CTR of 2%+ → full marks
+    // CTR score: CTR at saturation (2% by default) or above → full marks
     const ctr = listing.ctr || 0;
-    const ctrScore = Math.min(ctr / 2.0, 1) * 30;
+    const ctrScore = Math.min(ctr / saturation.ctr, 1) * weights.ctr;
 
-    // Top-20 % score (0-15)
+    // Top-20 % score
     const top20 = listing.top20Pct || 0;
-    const top20Score = Math.min(top20 / 100, 1) * 15;
+    const top20Score = Math.min(top20 / saturation.top20, 1) * weights.top20;
 
-    // Trend score (0-15): based on organic impression change
-    let trendScore = 7.5; // neutral
+    // Trend score: based on organic impression change
+    const half = weights.trend / 2;
+    let trendScore = half; // neutral
     const organicChange = listing.nonSearchOrganicChangePct;
-    if (organicChange !== null) {
+    if (organicChange !== null && organicChange !== undefined) {
       if (organicChange > 0) {
-        trendScore = 7.5 + Math.min(organicChange / 200, 1) * 7.5;
+        trendScore = half + Math.min(organicChange / saturation.trend, 1) * half;
       } else {
-        trendScore = 7.5 + Math.max(organicChange / 200, -1) * 7.5;
+        trendScore = half + Math.max(organicChange / saturation.trend, -1) * half;
       }
     }
 
@@ -97,27 +211,179 @@ const Analyzer = (() => {
     return Math.round(Math.min(100, Math.max(0, total)));
   }
 
-  function healthBadge(score) {
-    if (score >= 60) return 'green';
-    if (score >= 30) return 'yellow';
+  function healthBadge(score, model) {
+    const { green, yellow } = (model || scoringConfig.model).badges;
+    if (score >= green) return 'green';
+    if (score >= yellow) return 'yellow';
     return 'red';
   }
 
-  // ─── Actionable recommendation ─────────────────────────────────────────────
+  // ─── Recommendation rules ──────────────────────────────────────────────────
 
-  function getRecommendation(listing) {
-    const imp = listing.totalImpressions || 0;
-    const ctr = listing.ctr || 0;
-    const views = listing.totalPageViews || 0;
-    const sold = listing.quantitySold || 0;
+  const SEVERITY_ORDER = { high: 0, medium: 1, low: 2, good: 3 };
+
+  /**
+   * Each rule: { id, name, enabled, severity, conditions: [{ field, op, value }],
+   * message, action, stop }. All conditions must hold. field is any listing
+   * field (dot paths reach into attributes, e.g. "attributes.grader"); message
+   * and action are templates where {field} is replaced by the listing's value.
+   * stop: true skips the rules after it when it matches.
+   */
+  const DEFAULT_RECOMMENDATION_RULES = [
+    {
+      id: 'no-impressions', name: 'No impressions', enabled: true, severity: 'low', stop: true,
+      conditions: [{ field: 'totalImpressions', op: '=', value: 0 }],
+      message: 'No impressions — check listing visibility & categories',
+      action: 'Check category & item specifics',
+    },
+    {
+      id: 'seen-no-clicks-high', name: 'High visibility, no clicks', enabled: true, severity: 'high', stop: true,
+      conditions: [{ field: 'totalImpressions', op: '>', value: 50 }, { field: 'ctr', op: '=', value: 0 }],
+      message: 'High visibility but no clicks — review photos & title',
+      action: 'Improve title & photos',
+    },
+    {
+      id: 'seen-no-clicks', name: 'Seen, no clicks', enabled: true, severity: 'high', stop: true,
+      conditions: [{ field: 'totalImpressions', op: '>', value: 20 }, { field: 'ctr', op: '=', value: 0 }],
+      message: 'Getting seen but no clicks — improve title keywords & photos',
+      action: 'Improve title & photos',
+    },
+    {
+      id: 'clicks-no-sales', name: 'Clicks, no sales', enabled: true, severity: 'medium', stop: false,
+      conditions: [
+        { field: 'totalPageViews', op: '>', value: 0 },
+        { field: 'quantitySold', op: '=', value: 0 },
+        { field: 'ctr', op: '>', value: 0 },
+      ],
+      message: 'Getting clicks but no sales — review pricing & description',
+      action: 'Drop price',
+    },
+    {
+      id: 'stale', name: 'Stale listing', enabled: true, severity: 'medium', stop: false,
+      conditions: [{ field: 'daysListed', op: '>=', value: 60 }, { field: 'quantitySold', op: '=', value: 0 }],
+      message: 'Listed {daysListed} days without a sale',
+      action: 'End and relist',
+    },
+    {
+      id: 'promote-clicker', name: 'Clicks well, little reach', enabled: true, severity: 'low', stop: false,
+      conditions: [
+        { field: 'isPromoted', op: '=', value: false },
+        { field: 'ctr', op: '>=', value: 1.5 },
+        { field: 'totalImpressions', op: '<', value: 100 },
+      ],
+      message: 'Strong CTR ({ctr}%) on only {totalImpressions} impressions — more reach should convert',
+      action: 'Promote at 3%',
+    },
+    {
+      id: 'selling', name: 'Selling', enabled: true, severity: 'good', stop: false,
+      conditions: [{ field: 'quantitySold', op: '>', value: 0 }],
+      message: 'Selling well — maintain strategy',
+      action: 'Keep as is',
+    },
+    {
+      id: 'low-visibility', name: 'Low visibility', enabled: true, severity: 'medium', stop: false,
+      conditions: [{ field: 'ctr', op: '=', value: 0 }, { field: 'quantitySold', op: '=', value: 0 }],
+      message: 'Low visibility — consider promoted listings or better keywords',
+      action: 'Promote at 2%',
+    },
+  ];
+
+  const FALLBACK_RECOMMENDATION = {
+    ruleId: null, text: 'Monitor performance — not enough data yet', action: '', priority: 'low',
+  };
+
+  let recommendationRules = DEFAULT_RECOMMENDATION_RULES;
+
+  /**
+   * Replace the rules used by getRecommendations/enrichWithScores.
+   * @param {object[]|null} rules - from RecommendationRules.load(); null restores the defaults
+   */
+  function setRecommendationRules(rules) {
+    recommendationRules = Array.isArray(rules) ? rules : DEFAULT_RECOMMENDATION_RULES;
+  }
+
+  function getRecommendationRules() {
+    return recommendationRules;
+  }
+
+  function fieldValue(listing, path) {
+    return String(path || '').split('.').reduce((v, key) => (v === null || v === undefined ? undefined : v[key]), listing);
+  }
+
+  function testCondition(listing, { field, op, value }) {
+    const actual = fieldValue(listing, field);
+    const text = v => String(v === null || v === undefined ? '' : v).toLowerCase();
 
-    if (imp === 0) return { text: 'No impressions — check listing visibility & categories', priority: 'low' };
-    if (imp > 50 && ctr === 0) return { text: 'High visibility but no clicks — review photos & title', priority: 'high' };
-    if (imp > 20 && ctr === 0) return { text: 'Getting seen but no clicks — improve title keywords & photos', priority: 'high' };
-    if (views > 0 && sold === 0 && ctr > 0) return { text: 'Getting clicks but no sales — review pricing & description', priority: 'medium' };
-    if (sold > 0) return { text: 'Selling well — maintain strategy', priority: 'good' };
-    if (ctr === 0) return { text: 'Low visibility — consider promoted listings or better keywords', priority: 'medium' };
-    return { text: 'Monitor performance — not enough data yet', priority: 'low' };
+    if (op === 'contains') return text(actual).includes(text(value));
+    if (op === '!contains') return !text(actual).includes(text(value));
+    if (op === 'empty') return actual === null || actual === undefined || actual === '';
+    if (op === '!empty') return !(actual === null || actual === undefined || actual === '');
+
+    if (typeof actual === 'boolean' || typeof value === 'boolean') {
+      const want = value === true || text(value) === 'true' || text(value) === 'yes';
+      const eq = !!actual === want;
+      return op === '!=' ? !eq : op === '=' ? eq : false;
+    }
+
+    // Missing counters count as 0, as the original thresholds did
+    const num = Number(value);
+    if (typeof actual === 'string' && isNaN(num)) {
+      const eq = text(actual) === text(value);
+      return op === '!=' ? !eq : op === '=' ? eq : false;
+    }
+    const a = typeof actual === 'number' ? actual : (Number(actual) || 0);
+    switch (op) {
+      case '>':  return a > num;
+      case '>=': return a >= num;
+      case '<':  return a < num;
+      case '<=': return a <= num;
+      case '=':  return a === num;
+      case '!=': return a !== num;
+      default:   return false;
+    }
+  }
+
+  function fillTemplate(template, listing) {
+    return String(template || '').replace(/\{([\w.]+)\}/g, (match, path) => {
+      const v = fieldValue(listing, path);
+      if (v === null || v === undefined) return '—';
+      return typeof v === 'number' ? v.toLocaleString(undefined, { maximumFractionDigits: 2 }) : String(v);
+    });
+  }
+
+  /**
+   * Every rule that matches a listing, most severe first (rule order within a
+   * severity). Falls back to a single "monitor" recommendation.
+   * @returns {object[]} [{ ruleId, text, action, priority }]
+   */
+  function getRecommendations(listing, rules) {
+    const matches = [];
+    for (const rule of rules || recommendationRules) {
+      if (rule.enabled === false || !rule.conditions || !rule.conditions.length) continue;
+      if (!rule.conditions.every(c => testCondition(listing, c))) continue;
+      matches.push({
+        ruleId: rule.id,
+        text: fillTemplate(rule.message, listing),
+        action: fillTemplate(rule.action, listing),
+        priority: SEVERITY_ORDER[rule.severity] !== undefined ? rule.severity : 'low',
+      });
+      if (rule.stop) break;
+    }
+    if (!matches.length) return [{ ...FALLBACK_RECOMMENDATION }];
+    return matches.sort((a, b) => SEVERITY_ORDER[a.priority] - SEVERITY_ORDER[b.priority]);
+  }
+
+  /**
+   * Whether a record meets every condition, in the rule-condition language
+   * above. Shared with other rule engines (see COGS shipping rules).
+   */
+  function matchesConditions(record, conditions) {
+    return (conditions || []).every(c => testCondition(record, c));
+  }
+
+  /** The most severe recommendation for a listing. */
+  function getRecommendation(listing) {
+    return getRecommendations(listing)[0];
   }
 
   // ─── KPI aggregates ────────────────────────────────────────────────────────
@@ -132,22 +398,322 @@ const Analyzer = (() => {
 
     const deadListings = listings.filter(l => (l.totalPageViews || 0) === 0).length;
 
-    return { total, totalImpressions, totalSold, avgCTR, deadListings };
+    // Realized sales from an attached Orders report (see attachOrders)
+    const withOrders = listings.filter(l => l.orders && l.orders.length);
+    const realizedRevenue = withOrders.reduce((s, l) => s + (l.realizedRevenue || 0), 0);
+    const realizedQty = withOrders.reduce((s, l) => s + (l.realizedQty || 0), 0);
+
+    return {
+      total, totalImpressions, totalSold, avgCTR, deadListings,
+      hasOrders: withOrders.length > 0,
+      realizedRevenue: parseFloat(realizedRevenue.toFixed(2)),
+      realizedQty,
+      avgSalePrice: realizedQty ? parseFloat((realizedRevenue / realizedQty).toFixed(2)) : 0,
+    };
+  }
+
+  // ─── Orders join ───────────────────────────────────────────────────────────
+
+  /**
+   * Join Orders-report line items (CSVParser.parseOrders) onto traffic
+   * listings by itemId. Orders already attached to a listing are kept and
+   * de-duplicated by order number, so importing overlapping reports is safe.
+   *
+   * Adds to each matched listing: orders, realizedQty, realizedRevenue,
+   * realizedShipping, avgSalePrice, lastSaleDate.
+   *
+   * @returns {{ listings: object[], matched: number, unmatched: object[] }}
+   */
+  function attachOrders(listings, orders) {
+    const ids = new Set(listings.map(l => l.itemId));
+    const byItem = {};
+    orders.forEach(o => {
+      if (!ids.has(o.itemId)) return;
+      (byItem[o.itemId] = byItem[o.itemId] || []).push(o);
+    });
+    const unmatched = orders.filter(o => !ids.has(o.itemId));
+
+    let matched = 0;
+    const joined = listings.map(l => {
+      const incoming = byItem[l.itemId];
+      if (!incoming) return l;
+      matched += incoming.length;
+
+      const seen = new Map();
+      [...(l.orders || []), ...incoming].forEach(o => seen.set(`${o.orderNumber}|${o.itemId}`, o));
+      const own = [...seen.values()].sort((a, b) => String(a.saleDate).localeCompare(String(b.saleDate)));
+
+      const realizedQty = own.reduce((s, o) => s + (o.quantity || 0), 0);
+      const realizedRevenue = own.reduce((s, o) => s + (o.revenue || 0), 0);
+      const realizedShipping = own.reduce((s, o) => s + (o.shippingCharged || 0), 0);
+
+      return {
+        ...l,
+        orders: own,
+        realizedQty,
+        realizedRevenue: parseFloat(realizedRevenue.toFixed(2)),
+        realizedShipping: parseFloat(realizedShipping.toFixed(2)),
+        avgSalePrice: realizedQty ? parseFloat((realizedRevenue / realizedQty).toFixed(2)) : 0,
+        lastSaleDate: own.length ? own[own.length - 1].saleDate : null,
+      };
+    });
+
+    return { listings: joined, matched, unmatched };
+  }
+
+  // ─── Active listings join ──────────────────────────────────────────────────
+
+  /**
+   * Merge a Seller Hub Active listings report (CSVParser.parseActiveListings)
+   * onto traffic listings by itemId, filling in the price and quantity that
+   * COGS needs and the Traffic Report does not include.
+   *
+   * @returns {{ listings: object[], matched: number, unmatched: object[] }}
+   */
+  function attachActiveListings(listings, items) {
+    const byItem = {};
+    items.forEach(item => { byItem[item.itemId] = item; });
+    const ids = new Set(listings.map(l => l.itemId));
+    const unmatched = items.filter(item => !ids.has(item.itemId));
+
+    let matched = 0;
+    const joined = listings.map(l => {
+      const item = byItem[l.itemId];
+      if (!item) return l;
+      matched++;
+      return {
+        ...l,
+        price:    item.price,
+        quantity: item.quantity,
+        watchers: item.watchers ?? l.watchers,
+        sku:      item.sku || l.sku || '',
+        condition: item.condition || l.condition || '',
+        _priceSource: 'active-report',
+      };
+    });
+
+    return { listings: joined, matched, unmatched };
   }
 
   // ─── Promoted vs Organic ───────────────────────────────────────────────────
 
+  // Below these the verdict is "not enough data"
+  const MIN_MATCHED_PAIRS = 5;
+  const MIN_GROUP_IMPRESSIONS = 200;
+  const Z_95 = 1.959964;
+
+  // Two-sided 95% t critical values for df 1–30; beyond that the normal value is close enough
+  const T_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.160, 2.145,
+    2.131, 2.120, 2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+  // Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 1.5e-7)
+  function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t
+      * Math.exp(-z * z / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  const twoSidedP = z => 2 * (1 - normalCdf(Math.abs(z)));
+
+  // ln Γ(x) by the Lanczos approximation (g = 7, 9 terms)
+  const LANCZOS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+  function lnGamma(x) {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - lnGamma(1 - x);
+    x -= 1;
+    let a = LANCZOS[0];
+    const t = x + 7.5;
+    for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+  }
+
+  /** Continued fraction for the incomplete beta function (Numerical Recipes betacf). */
+  function betaFraction(x, a, b) {
+    const nonZero = v => (Math.abs(v) < 1e-300 ? 1e-300 : v);
+    let c = 1;
+    let d = 1 / nonZero(1 - (a + b) * x / (a + 1));
+    let h = d;
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      // Even step, then odd step
+      let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 / nonZero(1 + aa * d);
+      c = nonZero(1 + aa / c);
+      h *= d * c;
+      aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 / nonZero(1 + aa * d);
+      c = nonZero(1 + aa / c);
+      h *= d * c;
+      if (Math.abs(d * c - 1) < 1e-12) break;
+    }
+    return h;
+  }
+
+  /** Regularized incomplete beta I_x(a, b). */
+  function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(lnGamma(a + b) - lnGamma(a) - lnGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+      ? front * betaFraction(x, a, b) / a
+      : 1 - front * betaFraction(1 - x, b, a) / b;
+  }
+
+  /** Two-sided p-value of Student's t with df degrees of freedom. */
+  const twoSidedTP = (t, df) => incompleteBeta(df / (df + t * t), df / 2, 0.5);
+
+  /** Wilson score 95% interval for a proportion, as percentages. */
+  function wilsonInterval(successes, trials) {
+    if (!trials) return { rate: null, low: null, high: null, successes, trials };
+    const p = successes / trials;
+    const z2 = Z_95 * Z_95;
+    const centre = (p + z2 / (2 * trials)) / (1 + z2 / trials);
+    const half = (Z_95 / (1 + z2 / trials)) * Math.sqrt(p * (1 - p) / trials + z2 / (4 * trials * trials));
+    return { rate: p * 100, low: Math.max(0, centre - half) * 100, high: Math.min(1, centre + half) * 100, successes, trials };
+  }
+
+  /**
+   * Two-proportion z-test of a (promoted) vs b (organic), pooled rates.
+   * @returns {{ promoted, organic, diff, low, high, p }} percentages; p null when untestable
+   */
+  function compareProportions(s1, n1, s2, n2) {
+    const promoted = wilsonInterval(s1, n1);
+    const organic = wilsonInterval(s2, n2);
+    if (!n1 || !n2) return { promoted, organic, diff: null, low: null, high: null, p: null };
+
+    const p1 = s1 / n1;
+    const p2 = s2 / n2;
+    const pooled = (s1 + s2) / (n1 + n2);
+    const sePooled = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2));
+    const se = Math.sqrt(p1 * (1 - p1) / n1 + p2 * (1 - p2) / n2);
+    return {
+      promoted,
+      organic,
+      diff: (p1 - p2) * 100,
+      low: (p1 - p2 - Z_95 * se) * 100,
+      high: (p1 - p2 + Z_95 * se) * 100,
+      p: sePooled > 0 ? twoSidedP((p1 - p2) / sePooled) : null,
+    };
+  }
+
+  /** Paired t-test on per-pair differences. */
+  function pairedTest(diffs) {
+    const n = diffs.length;
+    if (n < 2) return { n, mean: n ? diffs[0] : null, low: null, high: null, p: null };
+    const mean = diffs.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(diffs.reduce((s, d) => s + (d - mean) ** 2, 0) / (n - 1));
+    const se = sd / Math.sqrt(n);
+    const t = T_95[n - 2] || Z_95;
+    return {
+      n,
+      mean,
+      low: mean - t * se,
+      high: mean + t * se,
+      p: se > 0 ? twoSidedTP(mean / se, n - 1) : (mean === 0 ? 1 : 0),
+    };
+  }
+
+  const clicksOf = l => (l.ctr !== null && l.ctr !== undefined
+    ? Math.round((l.ctr / 100) * (l.totalImpressions || 0))
+    : (l.totalPageViews || 0));
+
+  /**
+   * Pair each promoted listing with the most similar unused organic one: same
+   * sport and graded/raw, same price band when both prices are known, then
+   * closest price, then closest listing age.
+   * @returns {Array<[object, object]>}
+   */
+  function matchPairs(promoted, organic) {
+    const used = new Set();
+    const pairs = [];
+    const attrsOf = l => l.attributes || listingAttributes(l);
+
+    promoted.forEach(p => {
+      const pa = attrsOf(p);
+      let best = null;
+      let bestCost = Infinity;
+      organic.forEach((o, idx) => {
+        if (used.has(idx)) return;
+        const oa = attrsOf(o);
+        if ((p.sport || pa.sport) !== (o.sport || oa.sport) || !!pa.graded !== !!oa.graded) return;
+        const pBand = priceBand(p.price);
+        const oBand = priceBand(o.price);
+        if (pBand && oBand && pBand !== oBand) return;
+
+        const priceCost = p.price > 0 && o.price > 0 ? Math.abs(Math.log(p.price / o.price)) : 1;
+        const ageCost = p.daysListed !== null && p.daysListed !== undefined && o.daysListed !== null && o.daysListed !== undefined
+          ? Math.abs(p.daysListed - o.daysListed) / 30
+          : 1;
+        const cost = priceCost * 10 + ageCost;
+        if (cost < bestCost) { bestCost = cost; best = idx; }
+      });
+      if (best !== null) {
+        used.add(best);
+        pairs.push([p, organic[best]]);
+      }
+    });
+    return pairs;
+  }
+
+  /**
+   * Verdict on whether promotion pays, with the numbers behind it.
+   * level: 'insufficient' | 'promoted' | 'organic' | 'none'
+   */
+  function promotedVerdict({ ctr, conversion, matched, promotedImpressions, organicImpressions, promotedCount, organicCount }) {
+    const fmt = v => (v >= 0 ? '+' : '') + v.toFixed(2);
+    const fmtP = p => (p < 0.001 ? 'p < 0.001' : `p = ${p.toFixed(3)}`);
+    if (!promotedCount || !organicCount) {
+      return { level: 'insufficient', text: `Not enough data — there are no ${promotedCount ? 'organic' : 'promoted'} listings to compare against.` };
+    }
+    if (matched.n < MIN_MATCHED_PAIRS || promotedImpressions < MIN_GROUP_IMPRESSIONS || organicImpressions < MIN_GROUP_IMPRESSIONS) {
+      const why = matched.n < MIN_MATCHED_PAIRS
+        ? `only ${matched.n} promoted listing(s) have a comparable organic listing (same sport, price band and graded/raw); at least ${MIN_MATCHED_PAIRS} are needed`
+        : `each group needs at least ${MIN_GROUP_IMPRESSIONS.toLocaleString()} impressions`;
+      return { level: 'insufficient', text: `Not enough data — ${why}. Any CTR gap above could be chance.` };
+    }
+
+    const interval = `${fmt(matched.mean)} pts (95% CI ${fmt(matched.low)} to ${fmt(matched.high)}) across ${matched.n} matched pairs`;
+    const convNote = conversion.p !== null && conversion.p < 0.05
+      ? ` Conversion also differs significantly (${fmt(conversion.diff)} pts).`
+      : ' Conversion shows no significant difference.';
+    if (matched.p !== null && matched.p < 0.05) {
+      return matched.mean > 0
+        ? { level: 'promoted', text: `Promoted listings out-click comparable organic ones: ${interval}, ${fmtP(matched.p)}.${convNote}` }
+        : { level: 'organic', text: `Promoted listings click through less than comparable organic ones: ${interval}, ${fmtP(matched.p)} — the ad spend isn't buying better traffic.${convNote}` };
+    }
+    return {
+      level: 'none',
+      text: `No significant CTR difference between promoted and comparable organic listings: ${interval}${matched.p !== null ? `, ${fmtP(matched.p)}` : ''}.${convNote}`,
+    };
+  }
+
   function computePromotedVsOrganic(listings) {
     const promoted = listings.filter(l => l.isPromoted);
     const organic = listings.filter(l => !l.isPromoted);
 
-    const sumImpressions = arr => arr.reduce((s, l) => s + (l.totalImpressions || 0), 0);
+    const sum = (arr, fn) => arr.reduce((s, l) => s + fn(l), 0);
+    const sumImpressions = arr => sum(arr, l => l.totalImpressions || 0);
     const avgCTR = arr => {
       const vals = arr.map(l => l.ctr).filter(c => c !== null);
       return vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : 0;
     };
 
-    return {
+    // Pooled CTR (clicks / impressions) and conversion (sold / page views)
+    const ctr = compareProportions(sum(promoted, clicksOf), sumImpressions(promoted), sum(organic, clicksOf), sumImpressions(organic));
+    const conversion = compareProportions(
+      sum(promoted, l => Math.min(l.quantitySold || 0, l.totalPageViews || 0)), sum(promoted, l => l.totalPageViews || 0),
+      sum(organic, l => Math.min(l.quantitySold || 0, l.totalPageViews || 0)), sum(organic, l => l.totalPageViews || 0),
+    );
+
+    // Matched pairs compare like with like, so sport/price mix can't masquerade as a promotion effect
+    const pairs = matchPairs(promoted, organic);
+    const matched = {
+      ...pairedTest(pairs.map(([p, o]) => (p.ctr || 0) - (o.ctr || 0))),
+      pairs: pairs.map(([p, o]) => ({ promotedId: p.itemId, organicId: o.itemId })),
+    };
+
+    const result = {
       promotedCount: promoted.length,
       organicCount: organic.length,
       promotedImpressions: sumImpressions(promoted),
@@ -156,7 +722,12 @@ const Analyzer = (() => {
       organicCTR: avgCTR(organic),
       promotedPageViews: promoted.reduce((s, l) => s + (l.totalPageViews || 0), 0),
       organicPageViews: organic.reduce((s, l) => s + (l.totalPageViews || 0), 0),
+      ctr,
+      conversion,
+      matched,
     };
+    result.verdict = promotedVerdict(result);
+    return result;
   }
 
   // ─── Trending ──────────────────────────────────────────────────────────────
@@ -182,15 +753,34 @@ const Analyzer = (() => {
   // ─── Sport breakdown ───────────────────────────────────────────────────────
 
   function computeSportBreakdown(listings) {
+    return computeAttributeBreakdown(listings, 'sport');
+  }
+
+  /** Display label for one attribute value when grouping. */
+  function attributeLabel(attrs, key) {
+    const value = attrs ? attrs[key] : null;
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (key === 'grader') return value ? (attrs.grade !== null ? `${value} ${attrs.grade}` : value) : 'Raw';
+    if (key === 'serial') return value ? `/${value.of}` : 'Unnumbered';
+    return value === null || value === undefined || value === '' ? 'Unknown' : String(value);
+  }
+
+  /**
+   * Group listings by one card attribute (sport, manufacturer, year, set, grader, …).
+   * @returns {object} { [label]: { count, totalImpressions, totalSold } }
+   */
+  function computeAttributeBreakdown(listings, key) {
     const breakdown = {};
     listings.forEach(l => {
-      const sport = detectSport(l.title);
-      if (!breakdown[sport]) {
-        breakdown[sport] = { count: 0, totalImpressions: 0, totalSold: 0 };
+      const label = key === 'sport'
+        ? (l.sport || detectSport(l.title, l.itemId))
+        : attributeLabel(l.attributes || listingAttributes(l), key);
+      if (!breakdown[label]) {
+        breakdown[label] = { count: 0, totalImpressions: 0, totalSold: 0 };
       }
-      breakdown[sport].count++;
-      breakdown[sport].totalImpressions += l.totalImpressions || 0;
-      breakdown[sport].totalSold += l.quantitySold || 0;
+      breakdown[label].count++;
+      breakdown[label].totalImpressions += l.totalImpressions || 0;
+      breakdown[label].totalSold += l.quantitySold || 0;
     });
     return breakdown;
   }
@@ -199,47 +789,101 @@ const Analyzer = (() => {
 
   function computePriorityList(listings) {
     return listings
-      .map(l => ({ ...l, _rec: getRecommendation(l) }))
+      .map(l => {
+        const recs = l.recommendations || getRecommendations(l);
+        return { ...l, _rec: recs[0], _recs: recs };
+      })
       .sort((a, b) => {
-        // Sort: high impressions first, then by priority
-        const prioOrder = { high: 0, medium: 1, low: 2, good: 3 };
-        const pa = prioOrder[a._rec.priority] ?? 4;
-        const pb = prioOrder[b._rec.priority] ?? 4;
+        // Most severe rule first, then listings that trip more rules, then by impressions
+        const pa = SEVERITY_ORDER[a._rec.priority] ?? 4;
+        const pb = SEVERITY_ORDER[b._rec.priority] ?? 4;
         if (pa !== pb) return pa - pb;
+        const issues = r => r._recs.filter(x => x.priority !== 'good' && x.ruleId).length;
+        if (issues(a) !== issues(b)) return issues(b) - issues(a);
         return (b.totalImpressions || 0) - (a.totalImpressions || 0);
       });
   }
 
   // ─── Full enrichment ───────────────────────────────────────────────────────
 
-  function enrich(listings) {
-    return listings.map(l => ({
-      ...l,
-      sport: detectSport(l.title),
-      recommendation: getRecommendation(l),
-    }));
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  /**
+   * Attributes plus daysListed — counted to the report date when it is
+   * known, otherwise to today (as PerformancePredictor.calculateDaysListed does).
+   * @param {string|number} [asOf] - report date ('YYYY-MM-DD' or a timestamp)
+   */
+  function enrichBase(listings, asOf) {
+    const parsed = typeof asOf === 'number' ? asOf : Date.parse(asOf);
+    const reportDate = isNaN(parsed) ? Date.now() : parsed;
+    return listings.map(l => {
+      const attributes = listingAttributes(l);
+      const start = Date.parse(l.startDate);
+      return {
+        ...l,
+        attributes,
+        sport: attributes.sport,
+        daysListed: !isNaN(start) ? Math.max(0, Math.floor((reportDate - start) / DAY_MS)) : null,
+      };
+    });
+  }
+
+  function withRecommendations(l) {
+    const recommendations = getRecommendations(l);
+    return { ...l, recommendations, recommendation: recommendations[0] };
+  }
+
+  function enrich(listings, asOf) {
+    return enrichBase(listings, asOf).map(withRecommendations);
   }
 
-  function enrichWithScores(listings) {
-    const enriched = enrich(listings);
-    return enriched.map(l => ({
-      ...l,
-      healthScore: calcHealthScore(l, listings),
-      healthBadge: healthBadge(calcHealthScore(l, listings)),
-    }));
+  /**
+   * @param {object[]} listings
+   * @param {object} [config] - { model, categories }; defaults to the one set via setScoringConfig()
+   * @param {string|number} [asOf] - report date daysListed is counted to; defaults to today
+   */
+  function enrichWithScores(listings, config, asOf) {
+    // Rules run after scoring so they can test healthScore / healthBadge
+    const base = enrichBase(listings, asOf);
+    return base.map(l => {
+      const model = scoringModelFor(l, config);
+      const healthScore = calcHealthScore(l, base, model);
+      return withRecommendations({
+        ...l,
+        healthScore,
+        healthBadge: healthBadge(healthScore, model),
+        healthModel: model.name || 'Default',
+        peer: peerStats(l, base),
+      });
+    });
   }
 
   // ─── Public API ────────────────────────────────────────────────────────────
 
   return {
     detectSport,
+    listingAttributes,
+    attributeLabel,
     calcHealthScore,
+    peerStats,
     healthBadge,
+    setScoringConfig,
+    getScoringConfig,
+    scoringModelFor,
+    DEFAULT_SCORING_MODEL,
     getRecommendation,
+    getRecommendations,
+    setRecommendationRules,
+    getRecommendationRules,
+    DEFAULT_RECOMMENDATION_RULES,
+    matchesConditions,
     computeKPIs,
+    attachOrders,
+    attachActiveListings,
     computePromotedVsOrganic,
     computeTrending,
     computeSportBreakdown,
+    computeAttributeBreakdown,
     computePriorityList,
     enrich,
     enrichWithScores,
@@ -0,0 +1,240 @@
+/**
+ * anomalies.js — Unusual listing changes between reports for ShazbotCards
+ * Scores each listing's latest snapshot against its own history (mean and
+ * spread of earlier reports) and raises alerts for collapsing or surging
+ * impressions, CTR spikes and drops, and promoted listings losing top-20
+ * placement. Alerts live in an inbox in localStorage where they can be
+ * dismissed or snoozed.
+ */
+
+/* global Trends */
+
+const Anomalies = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'shazbot-alerts';
+  const SETTINGS_VERSION = 1;
+  const ALERT_LIMIT = 200;
+  const DISMISSED_LIMIT = 500;
+  const DEFAULT_SNOOZE_DAYS = 7;
+
+  const BASELINE_REPORTS = 6;      // earlier snapshots a listing is compared against
+  const MIN_IMPRESSIONS = 50;      // baseline impressions per report before traffic alerts fire
+  const MIN_CTR_IMPRESSIONS = 100; // impressions needed in both windows for CTR to mean much
+  const SPREAD_FLOOR = 0.25;       // thin histories: a quarter of the baseline counts as one standard deviation
+  const MIN_LIVE_DAYS = 7;         // shorter live pulls are mostly eBay's 24–72h reporting lag
+
+  const SEVERITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+  // ─── Persistence ──────────────────────────────────────────────────────────
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      const state = raw ? JSON.parse(raw) : {};
+      return {
+        alerts: Array.isArray(state.alerts) ? state.alerts : [],
+        dismissed: state.dismissed || {},
+        snoozed: state.snoozed || {},
+        _version: SETTINGS_VERSION,
+      };
+    } catch (e) {
+      return { alerts: [], dismissed: {}, snoozed: {}, _version: SETTINGS_VERSION };
+    }
+  }
+
+  function save(state) {
+    try {
+      state._version = SETTINGS_VERSION;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) { /* ignore */ }
+  }
+
+  // ─── Detection ────────────────────────────────────────────────────────────
+
+  const mean = a => a.reduce((s, v) => s + v, 0) / a.length;
+
+  /**
+   * Baseline of a metric over earlier snapshots and the z-score of the
+   * latest value against it. The spread is floored so one or two earlier
+   * reports with near-identical values don't make every change look extreme.
+   */
+  function score(history, value) {
+    const m = mean(history);
+    const variance = history.length > 1 ? history.reduce((s, v) => s + (v - m) ** 2, 0) / (history.length - 1) : 0;
+    const spread = Math.max(Math.sqrt(variance), Math.abs(m) * SPREAD_FLOOR, 1e-6);
+    return {
+      baseline: parseFloat(m.toFixed(2)),
+      z: parseFloat(((value - m) / spread).toFixed(2)),
+      change: m !== 0 ? parseFloat((((value - m) / Math.abs(m)) * 100).toFixed(1)) : null,
+    };
+  }
+
+  /** Raw count for a snapshot, undoing Trends' per-day normalisation. */
+  const rawCount = (snap, key) => (snap.days ? snap[key] * snap.days : snap[key]);
+
+  /**
+   * Anomalies in one listing's latest snapshot.
+   * @param {object} entry - a timeline entry from Trends.buildListingTimeline()
+   * @returns {Array} alerts — { key, itemId, title, type, severity, metric, value, baseline, z,
+   *   change, perDay, reportId, filename, uploadedAt, message } — value and baseline are per day
+   *   when perDay is set
+   */
+  function detectListing(entry) {
+    const snaps = entry.snapshots;
+    if (snaps.length < 2) return [];
+    const curr = snaps[snaps.length - 1];
+    const prior = snaps.slice(-1 - BASELINE_REPORTS, -1);
+    const alerts = [];
+    const add = (type, severity, metric, value, s, message) => alerts.push({
+      key: `${entry.itemId}|${type}|${curr.reportId}`,
+      itemId: entry.itemId,
+      title: entry.title,
+      type,
+      severity,
+      metric,
+      value,
+      ...s,
+      perDay: !!curr.days,
+      reportId: curr.reportId,
+      filename: curr.filename,
+      uploadedAt: curr.uploadedAt,
+      message,
+    });
+
+    // Impressions — raw totals when report date ranges are unknown, so windows of
+    // different lengths may be compared; those alerts are only informational
+    const enoughTraffic = mean(prior.map(p => rawCount(p, 'totalImpressions'))) >= MIN_IMPRESSIONS;
+    if (enoughTraffic) {
+      const s = score(prior.map(p => p.totalImpressions), curr.totalImpressions);
+      const unsure = curr.days ? '' : ' (report date ranges unknown — set them to compare per day)';
+      if (s.z <= -2 && s.change <= -50) {
+        const severity = !curr.days ? 'info' : s.change <= -80 || s.z <= -3 ? 'critical' : 'warning';
+        add('impressionsCollapse', severity, 'impressions', curr.totalImpressions, s,
+          `Impressions fell ${Math.abs(s.change).toFixed(0)}% below this listing's usual level${unsure}`);
+      } else if (s.z >= 3 && s.change >= 100) {
+        add('impressionsSurge', 'info', 'impressions', curr.totalImpressions, s,
+          `Impressions jumped ${s.change.toFixed(0)}% above this listing's usual level${unsure}`);
+      }
+    }
+
+    // CTR — only meaningful with enough impressions now and before
+    const ctrPrior = prior.filter(p => rawCount(p, 'totalImpressions') >= MIN_CTR_IMPRESSIONS);
+    if (ctrPrior.length && rawCount(curr, 'totalImpressions') >= MIN_CTR_IMPRESSIONS) {
+      const s = score(ctrPrior.map(p => p.ctr), curr.ctr);
+      if (s.z >= 2.5 && curr.ctr - s.baseline >= 1) {
+        add('ctrSpike', 'info', 'ctr', curr.ctr, s, `CTR spiked to ${curr.ctr.toFixed(2)}% from a usual ${s.baseline.toFixed(2)}%`);
+      } else if (s.z <= -2.5 && s.baseline - curr.ctr >= 0.5) {
+        add('ctrDrop', 'warning', 'ctr', curr.ctr, s, `CTR dropped to ${curr.ctr.toFixed(2)}% from a usual ${s.baseline.toFixed(2)}%`);
+      }
+    }
+
+    // Promoted listings losing their top-20 search placement
+    const top20Prior = prior.filter(p => p.isPromoted);
+    if (curr.isPromoted && top20Prior.length) {
+      const s = score(top20Prior.map(p => p.top20Pct), curr.top20Pct);
+      if (s.baseline >= 10 && s.z <= -2 && curr.top20Pct <= s.baseline * 0.5) {
+        add('top20Lost', curr.top20Pct === 0 ? 'critical' : 'warning', 'top20Pct', curr.top20Pct, s,
+          `Promoted but only ${curr.top20Pct.toFixed(1)}% of impressions in the top 20 results, down from ${s.baseline.toFixed(1)}%`);
+      }
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Run the detector over every listing's latest snapshot.
+   * @param {Array} reports - full reports, oldest first, optionally followed by a live pull
+   *   shaped like a report ({ id, uploadedAt, reportPeriod, filename, data })
+   * @returns {Array} alerts, most severe first
+   */
+  function detect(reports) {
+    const timeline = Trends.buildListingTimeline(reports);
+    const latestId = reports.length ? reports[reports.length - 1].id : null;
+    return Object.values(timeline)
+      // Only listings still in the newest report — a delisted card isn't an anomaly
+      .filter(entry => entry.snapshots[entry.snapshots.length - 1].reportId === latestId)
+      .flatMap(detectListing)
+      .sort((a, b) => (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) || Math.abs(b.z) - Math.abs(a.z));
+  }
+
+  // ─── Inbox ────────────────────────────────────────────────────────────────
+
+  const snoozeKey = alert => `${alert.itemId}|${alert.type}`;
+
+  function isSnoozed(state, alert, now = Date.now()) {
+    const until = state.snoozed[snoozeKey(alert)];
+    return !!until && Date.parse(until) > now;
+  }
+
+  /**
+   * Add newly detected alerts to the inbox, skipping ones already there,
+   * dismissed, or snoozed for that listing. An open alert of the same kind
+   * for the same listing is replaced by the newer one rather than repeated.
+   * @returns {Array} the alerts that were added (not counting replacements)
+   */
+  function ingest(alerts) {
+    const state = load();
+    const known = new Set(state.alerts.map(a => a.key));
+    const now = Date.now();
+    const fresh = alerts
+      .filter(a => !known.has(a.key) && !state.dismissed[a.key] && !isSnoozed(state, a, now))
+      .map(a => ({ ...a, detectedAt: new Date(now).toISOString() }));
+    if (!fresh.length) return [];
+
+    const open = new Set(state.alerts.map(snoozeKey));
+    const replaced = new Set(fresh.map(snoozeKey));
+    state.alerts = [...fresh, ...state.alerts.filter(a => !replaced.has(snoozeKey(a)))].slice(0, ALERT_LIMIT);
+    save(state);
+    return fresh.filter(a => !open.has(snoozeKey(a)));
+  }
+
+  /** Inbox alerts that aren't snoozed, most severe and newest first. */
+  function inbox() {
+    const state = load();
+    const now = Date.now();
+    return state.alerts
+      .filter(a => !isSnoozed(state, a, now))
+      .sort((a, b) => (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity])
+        || Date.parse(b.detectedAt) - Date.parse(a.detectedAt));
+  }
+
+  /** Remove an alert for good; the same anomaly in the same report won't come back. */
+  function dismiss(key) {
+    const state = load();
+    state.alerts = state.alerts.filter(a => a.key !== key);
+    state.dismissed[key] = new Date().toISOString();
+    const keys = Object.keys(state.dismissed);
+    if (keys.length > DISMISSED_LIMIT) keys.slice(0, keys.length - DISMISSED_LIMIT).forEach(k => delete state.dismissed[k]);
+    save(state);
+  }
+
+  function dismissAll() {
+    inbox().forEach(a => dismiss(a.key));
+  }
+
+  /**
+   * Hide an alert, and new ones of the same kind for the same listing, for a while.
+   * It returns to the inbox when the snooze ends.
+   */
+  function snooze(key, days = DEFAULT_SNOOZE_DAYS) {
+    const state = load();
+    const alert = state.alerts.find(a => a.key === key);
+    if (!alert) return;
+    state.snoozed[snoozeKey(alert)] = new Date(Date.now() + days * 86400000).toISOString();
+    // Drop snoozes that have run out
+    Object.entries(state.snoozed).forEach(([k, until]) => { if (Date.parse(until) <= Date.now()) delete state.snoozed[k]; });
+    save(state);
+  }
+
+  return {
+    detect,
+    ingest,
+    inbox,
+    dismiss,
+    dismissAll,
+    snooze,
+    DEFAULT_SNOOZE_DAYS,
+    MIN_LIVE_DAYS,
+  };
+})();
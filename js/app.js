@@ -13,12 +13,15 @@
   let sortColumn = 'totalImpressions';
   let sortDir = 'desc';
   let searchQuery = '';
+  let sportGroupBy = 'sport';  // card attribute the breakdown section groups by
   let perfFilterLevel = 'all';  // 'all' | 'high' | 'moderate' | 'low'
   let activeDetailRow = null;
   let activeReportId = null;   // id of the report currently being viewed
+  let activeReportEnd = null;  // last day of the viewed report's period — daysListed counts to it
   let currentMode = 'current'; // 'current' | 'trends' | 'compare'
   let compareR1Id = null;
   let compareR2Id = null;
+  let activeImport = null;     // { worker, file } while a worker import is running
   // Map of itemId → prediction (populated asynchronously)
   const predictionCache = new Map();
 
@@ -27,10 +30,16 @@
   document.addEventListener('DOMContentLoaded', () => {
     setupDropzone();
     setupUploadButton();
+    setupImportCancel();
     setupSearch();
+    setupSportGrouping();
     setupHistoryPanel();
     setupModeToggle();
     setupCompare();
+    setupProfitLoss();
+    setupListingTimeline();
+    setupTitleImpact();
+    setupAnomalyAlerts();
     setupExportImport();
     setupTitleOptimizer();
     setupPerformancePredictor();
@@ -38,6 +47,10 @@
     setupDebugConsoleButton();
     setupLiveAnalytics();
     setupCOGSSection();
+    setupPriceAdvisor();
+    setupScoringSection();
+    setupRulesSection();
+    setupDictionarySection();
     renderHistorySidebar();
     applyConnectedModeUI();
     setupHeaderActions();
@@ -59,13 +72,50 @@
   }
 
   function processCSV(text, label, filename, shouldSave) {
+    let parsed;
     try {
-      const raw = CSVParser.parse(text);
+      parsed = CSVParser.parseAny(text);
+    } catch (err) {
+      renderColumnWarning(null);
+      renderImportProblems(null, err.message);
+      setStatus('Error parsing CSV: ' + err.message, 'error');
+      console.error(err);
+      return;
+    }
+
+    applyParsedReport(parsed, label, filename, shouldSave);
+  }
+
+  /**
+   * Load a parsed report (from processCSV or the import worker) into the dashboard.
+   * @param {object} parsed - { type, records, columns, diagnostics, enriched } from CSVParser.parseRows()
+   */
+  function applyParsedReport(parsed, label, filename, shouldSave) {
+    renderImportProblems(parsed.diagnostics);
+    if (SUPPLEMENTAL_REPORTS[parsed.type]) {
+      processSupplementalReport(parsed.type, parsed.records, parsed.columns, label);
+      return;
+    }
+
+    const period = parsed.reportPeriod || CSVParser.periodFromFilename(filename);
+    try {
+      const { records: raw, columns } = parsed;
       if (!raw.length) throw new Error('No listings found in CSV');
-      allListings = Analyzer.enrichWithScores(raw);
+      activeReportEnd = period ? period.end : null;
+      allListings = parsed.enriched ? raw : Analyzer.enrichWithScores(raw, undefined, activeReportEnd);
       filteredListings = [...allListings];
-      setStatus(`Loaded ${allListings.length} listings — ${label}`, 'success');
+      renderColumnWarning(columns);
+      const problemCount = parsed.diagnostics ? parsed.diagnostics.count : 0;
+      if (columns.missing.length) {
+        setStatus(`Loaded ${allListings.length} listings — ${label} (${columns.missing.length} expected column(s) not found, see warning below)`, 'warning');
+      } else if (problemCount) {
+        setStatus(`Loaded ${allListings.length} listings — ${label} (${problemCount} import problem(s), see details below)`, 'warning');
+      } else {
+        setStatus(`Loaded ${allListings.length} listings — ${label}`, 'success');
+      }
     } catch (err) {
+      renderColumnWarning(null);
+      renderImportProblems(null, err.message);
       setStatus('Error parsing CSV: ' + err.message, 'error');
       console.error(err);
       return;
@@ -73,10 +123,12 @@
 
     // Save to history if this is a user upload
     if (shouldSave !== false && filename && Storage.isAvailable()) {
-      const saved = Storage.saveReport(filename, allListings, null);
+      const saved = Storage.saveReport(filename, allListings, period);
       if (saved) {
         activeReportId = saved.id;
         renderHistorySidebar();
+        takeSalesFromStock(saved);
+        scanForAnomalies();
       }
     }
 
@@ -87,6 +139,133 @@
     }
   }
 
+  // Reports that add to the loaded Traffic Report rather than replacing it
+  const SUPPLEMENTAL_REPORTS = {
+    orders: { join: (listings, records) => Analyzer.attachOrders(listings, records), noun: 'order line(s)' },
+    active: { join: (listings, records) => Analyzer.attachActiveListings(listings, records), noun: 'active listing price(s)' },
+  };
+
+  /**
+   * Join an Orders or Active listings report onto the listings currently
+   * loaded and, if they came from a saved report, persist the joined data.
+   */
+  function processSupplementalReport(type, records, columns, label) {
+    const { join, noun } = SUPPLEMENTAL_REPORTS[type];
+    if (!records.length) {
+      setStatus(`No rows found in ${label}`, 'error');
+      return;
+    }
+    // These reports carry many columns we deliberately ignore (addresses, tax, item specifics…)
+    renderColumnWarning({ ...columns, unrecognized: [] });
+
+    // Join onto the report's own prices so pushed prices never get saved into it
+    const base = typeof PriceAdvisor !== 'undefined' ? PriceAdvisor.reportPrices(allListings) : allListings;
+    const { listings, matched, unmatched } = join(base, records);
+    allListings = listings;
+
+    const report = activeReportId && Storage.isAvailable() ? Storage.updateReport(activeReportId, { data: listings }) : null;
+    if (report) allListings = withPushedPrices(listings, report);
+    filteredListings = [...allListings];
+
+    const extra = unmatched.length ? ` — ${unmatched.length} row(s) are for items not in this report` : '';
+    setStatus(`Merged ${matched} ${noun} from ${label} into current listings${extra}`, matched ? 'success' : 'warning');
+
+    try {
+      renderAll();
+    } catch (err) {
+      console.error('Render error:', err);
+    }
+  }
+
+  /**
+   * Show which expected Traffic Report columns were missing or unrecognized,
+   * so a changed eBay export reads as a warning rather than a page of blanks.
+   * @param {object|null} columns - column report from CSVParser.parseReport()
+   */
+  function renderColumnWarning(columns) {
+    const el = document.getElementById('column-warning');
+    if (!el) return;
+    const fuzzy = columns ? columns.mapped.filter(m => m.match === 'fuzzy') : [];
+    if (!columns || (!columns.missing.length && !columns.unrecognized.length && !fuzzy.length)) {
+      el.style.display = 'none';
+      el.innerHTML = '';
+      return;
+    }
+
+    el.innerHTML = `
+      <strong>⚠️ This report's columns don't fully match the expected eBay Traffic Report format${columns.version ? ` (closest: ${esc(columns.version)})` : ''}.</strong>
+      ${columns.missing.length ? `<div>Missing — these figures will show as blank: ${columns.missing.map(c => `<code>${esc(c.header)}</code>`).join(', ')}</div>` : ''}
+      ${fuzzy.length ? `<div>Matched by similarity: ${fuzzy.map(m => `<code>${esc(m.header)}</code> → ${esc(m.field)}`).join(', ')}</div>` : ''}
+      ${columns.unrecognized.length ? `<div>Unrecognized columns (ignored): ${columns.unrecognized.map(h => `<code>${esc(h)}</code>`).join(', ')}</div>` : ''}
+    `;
+    el.style.display = 'block';
+  }
+
+  /**
+   * Fill the collapsible "Import problems" panel with per-row diagnostics, or
+   * with the error that stopped the import. A summary grouped by column and
+   * reason comes first: the same problem on every row of one column usually
+   * means eBay changed the export, while scattered problems point to a
+   * damaged file.
+   * @param {object|null} diagnostics - from CSVParser.parseRows()
+   * @param {string} [fatalMessage] - error that aborted parsing
+   */
+  function renderImportProblems(diagnostics, fatalMessage) {
+    const el = document.getElementById('import-problems');
+    if (!el) return;
+    if (!fatalMessage && (!diagnostics || !diagnostics.count)) {
+      el.style.display = 'none';
+      el.innerHTML = '';
+      return;
+    }
+
+    if (fatalMessage) {
+      el.innerHTML = `
+        <summary>❌ Import failed</summary>
+        <div class="import-problems-body"><p>${esc(fatalMessage)}</p></div>
+      `;
+      el.open = true;
+      el.style.display = 'block';
+      return;
+    }
+
+    const { problems, count, skippedRows, truncated } = diagnostics;
+    const groups = new Map();
+    problems.forEach(p => {
+      const key = `${p.column || '(whole row)'}\u0000${p.reason}`;
+      const g = groups.get(key) || { column: p.column || '(whole row)', reason: p.reason, rows: [] };
+      g.rows.push(p.row);
+      groups.set(key, g);
+    });
+    const summary = [...groups.values()]
+      .sort((a, b) => b.rows.length - a.rows.length)
+      .map(g => `<li><code>${esc(g.column)}</code> — ${esc(g.reason)} ×${g.rows.length} (row${g.rows.length > 1 ? 's' : ''} ${g.rows.slice(0, 5).join(', ')}${g.rows.length > 5 ? ', …' : ''})</li>`)
+      .join('');
+
+    el.innerHTML = `
+      <summary>⚠️ Import problems (${count.toLocaleString()})${skippedRows ? ` — ${skippedRows} row(s) skipped` : ''}</summary>
+      <div class="import-problems-body">
+        <ul class="import-problems-summary">${summary}</ul>
+        <div class="table-wrap">
+          <table class="import-problems-table" aria-label="Import problems">
+            <thead><tr><th>Row</th><th>Column</th><th>Value</th><th>Reason</th></tr></thead>
+            <tbody>
+              ${problems.map(p => `<tr>
+                <td>${p.row}</td>
+                <td>${p.column ? esc(p.column) : '<span class="muted">—</span>'}</td>
+                <td><code>${esc(truncate(p.value, 60))}</code></td>
+                <td>${esc(p.reason)}</td>
+              </tr>`).join('')}
+            </tbody>
+          </table>
+        </div>
+        ${truncated ? `<p class="muted">Showing the first ${problems.length} of ${count.toLocaleString()} problems.</p>` : ''}
+      </div>
+    `;
+    el.open = false;
+    el.style.display = 'block';
+  }
+
   // ─── Dropzone & Upload ─────────────────────────────────────────────────────
 
   function setupDropzone() {
@@ -124,17 +303,118 @@
   }
 
   function readFile(file) {
-    if (!file.name.endsWith('.csv')) {
-      setStatus('Please upload a .csv file', 'error');
+    if (!/\.(csv|xlsx)$/i.test(file.name)) {
+      setStatus('Please upload a .csv or .xlsx file', 'error');
+      return;
+    }
+    cancelImport(true);
+
+    // Workers can't be created from file:// pages in some browsers — parse inline there
+    let worker = null;
+    try {
+      if (typeof Worker !== 'undefined') worker = new Worker('js/csvWorker.js');
+    } catch (e) {
+      worker = null;
+    }
+    if (!worker) {
+      readFileInline(file);
       return;
     }
+
+    activeImport = { worker, file };
+    setStatus(`Importing ${file.name}…`, 'info');
+    showUploadProgress(0, 'Reading file…');
+
+    worker.onmessage = e => {
+      const msg = e.data;
+      if (msg.type === 'progress') {
+        if (msg.phase === 'read') {
+          const pct = msg.total ? Math.round((msg.loaded / msg.total) * 90) : 0;
+          showUploadProgress(pct, `Reading ${fmtBytes(msg.loaded)} of ${fmtBytes(msg.total)}…`);
+        } else {
+          showUploadProgress(95, `Analyzing ${msg.total.toLocaleString()} listings…`);
+        }
+      } else if (msg.type === 'done') {
+        finishImport();
+        applyParsedReport(msg.result, file.name, file.name, true);
+      } else if (msg.type === 'error') {
+        finishImport();
+        renderColumnWarning(null);
+        renderImportProblems(null, msg.message);
+        setStatus(`Error parsing ${file.name}: ${msg.message}`, 'error');
+      }
+    };
+    worker.onerror = e => {
+      // Worker script failed to load/run — fall back to the main thread
+      e.preventDefault();
+      finishImport();
+      readFileInline(file);
+    };
+    // The worker has no localStorage — send the scoring model along with the file
+    worker.postMessage({
+      file,
+      scoring: Analyzer.getScoringConfig(),
+      rules: Analyzer.getRecommendationRules(),
+      dictionary: CardAttributes.getUserDictionary(),
+      categoryOverrides: CardAttributes.getCategoryOverrides(),
+    });
+  }
+
+  function readFileInline(file) {
     setStatus('Reading file…', 'info');
+    if (XLSXImport.isWorkbookFile(file)) {
+      XLSXImport.parseReportFile(file)
+        .then(parsed => applyParsedReport(parsed, file.name, file.name, true))
+        .catch(err => {
+          renderColumnWarning(null);
+          renderImportProblems(null, err.message);
+          setStatus(`Error parsing ${file.name}: ${err.message}`, 'error');
+          console.error(err);
+        });
+      return;
+    }
     const reader = new FileReader();
     reader.onload = e => processCSV(e.target.result, file.name, file.name, true);
     reader.onerror = () => setStatus('Failed to read file', 'error');
     reader.readAsText(file);
   }
 
+  /**
+   * Stop an in-flight worker import.
+   * @param {boolean} [silent] - don't report the cancellation (e.g. replaced by a new upload)
+   */
+  function cancelImport(silent) {
+    if (!activeImport) return;
+    const { file } = activeImport;
+    finishImport();
+    if (!silent) setStatus(`Import of ${file.name} cancelled`, 'warning');
+  }
+
+  function finishImport() {
+    if (activeImport) activeImport.worker.terminate();
+    activeImport = null;
+    hideUploadProgress();
+  }
+
+  function showUploadProgress(pct, text) {
+    const wrap = document.getElementById('upload-progress');
+    if (!wrap) return;
+    wrap.style.display = 'flex';
+    const bar = document.getElementById('upload-progress-bar');
+    if (bar) bar.style.width = pct + '%';
+    setText('upload-progress-text', text);
+  }
+
+  function hideUploadProgress() {
+    const wrap = document.getElementById('upload-progress');
+    if (wrap) wrap.style.display = 'none';
+  }
+
+  function setupImportCancel() {
+    const btn = document.getElementById('btn-upload-cancel');
+    if (btn) btn.addEventListener('click', e => { e.stopPropagation(); cancelImport(false); });
+  }
+
   // ─── Search ────────────────────────────────────────────────────────────────
 
   function setupSearch() {
@@ -146,9 +426,50 @@
     });
   }
 
+  // key:value search terms → card attribute
+  const ATTRIBUTE_FILTERS = {
+    sport: 'sport', category: 'sport', brand: 'manufacturer', manufacturer: 'manufacturer', set: 'set',
+    year: 'year', player: 'player', team: 'team', parallel: 'parallel', grader: 'grader', grade: 'grade',
+    graded: 'graded', rookie: 'rookie', rc: 'rookie', auto: 'auto', serial: 'serial', numbered: 'serial',
+    card: 'cardNumber',
+  };
+
+  /**
+   * Split the search box into attribute filters and free text.
+   * "grader:psa rookie:yes set:"topps chrome" judge" → 3 filters + "judge".
+   */
+  function parseSearchQuery(query) {
+    const filters = [];
+    const text = query.replace(/(\w+):("[^"]*"|\S+)/g, (match, key, value) => {
+      const attr = ATTRIBUTE_FILTERS[key];
+      if (!attr) return match;
+      filters.push({ attr, value: value.replace(/"/g, '').trim() });
+      return ' ';
+    }).replace(/\s+/g, ' ').trim();
+    return { text, filters };
+  }
+
+  function matchesAttribute(attrs, { attr, value }) {
+    const actual = attrs[attr];
+    if (typeof actual === 'boolean') return actual === /^(y|yes|true|1)$/.test(value);
+    if (attr === 'serial') {
+      if (/^(y|yes|true)$/.test(value)) return !!actual;
+      if (/^(n|no|false)$/.test(value)) return !actual;
+      return !!actual && String(actual.of) === value.replace('/', '');
+    }
+    if (attr === 'year' || attr === 'grade') return actual !== null && String(actual) === value;
+    if (attr === 'grader' && value === 'raw') return !actual;
+    return actual !== null && String(actual).toLowerCase().includes(value);
+  }
+
   function applyFilters() {
+    const { text, filters } = parseSearchQuery(searchQuery);
     filteredListings = allListings.filter(l => {
-      if (searchQuery && !l.title.toLowerCase().includes(searchQuery) && !l.itemId.includes(searchQuery)) return false;
+      if (text && !l.title.toLowerCase().includes(text) && !l.itemId.includes(text)) return false;
+      if (filters.length) {
+        const attrs = l.attributes || Analyzer.listingAttributes(l);
+        if (!filters.every(f => matchesAttribute(attrs, f))) return false;
+      }
       if (perfFilterLevel !== 'all') {
         const pred = predictionCache.get(l.itemId);
         if (!pred) return true; // include unscored listings until prediction is available
@@ -226,8 +547,9 @@
       card.dataset.reportId = r.id;
 
       const uploadDate = new Date(r.uploadedAt).toLocaleString();
-      const periodText = r.reportPeriod
-        ? `${r.reportPeriod.start} → ${r.reportPeriod.end}`
+      const days = Trends.reportDays(r);
+      const periodText = days
+        ? `${r.reportPeriod.start} → ${r.reportPeriod.end} (${days} day${days === 1 ? '' : 's'})`
         : 'Date range unknown';
 
       card.innerHTML = `
@@ -235,7 +557,7 @@
         <div class="history-card-meta">
           <div>📅 Uploaded: ${esc(uploadDate)}</div>
           <div>📋 ${r.listingCount} listings</div>
-          <div>📆 ${esc(periodText)}</div>
+          <div class="history-card-period">📆 ${esc(periodText)}<button class="btn-sm btn-secondary btn-set-period" data-id="${esc(r.id)}" title="Set the dates this report covers">${days ? '✏️' : 'Set'}</button></div>
         </div>
         <div class="history-card-actions">
           <button class="btn-sm btn-primary btn-set-active" data-id="${esc(r.id)}">View</button>
@@ -249,6 +571,12 @@
         loadReportById(r.id);
       });
 
+      // Set the report's date range
+      card.querySelector('.btn-set-period').addEventListener('click', e => {
+        e.stopPropagation();
+        openPeriodEditor(card, r);
+      });
+
       // Delete report
       card.querySelector('.btn-delete-report').addEventListener('click', e => {
         e.stopPropagation();
@@ -266,10 +594,46 @@
     refreshCompareSelects();
   }
 
+  /** Inline start/end date inputs replacing a history card's period line. */
+  function openPeriodEditor(card, report) {
+    const line = card.querySelector('.history-card-period');
+    if (!line || card.querySelector('.history-period-form')) return;
+    const p = report.reportPeriod || {};
+    const form = document.createElement('div');
+    form.className = 'history-period-form';
+    form.innerHTML = `
+      <label>From <input type="date" class="cogs-input" data-period="start" value="${esc(p.start || '')}"></label>
+      <label>To <input type="date" class="cogs-input" data-period="end" value="${esc(p.end || '')}"></label>
+      <div class="history-card-actions">
+        <button class="btn-sm btn-primary" data-period-action="save">Save</button>
+        <button class="btn-sm btn-secondary" data-period-action="cancel">Cancel</button>
+      </div>`;
+    line.replaceWith(form);
+
+    form.addEventListener('click', e => {
+      e.stopPropagation();
+      const action = e.target.dataset.periodAction;
+      if (action === 'cancel') renderHistorySidebar();
+      if (action !== 'save') return;
+      const start = form.querySelector('[data-period="start"]').value;
+      const end = form.querySelector('[data-period="end"]').value;
+      if (!start || !end || start > end) {
+        setStatus('Enter a start date on or before the end date.', 'warning');
+        return;
+      }
+      Storage.updateReport(report.id, { reportPeriod: { start, end, source: 'user' } });
+      setStatus(`Date range saved for ${report.filename}.`, 'success');
+      renderHistorySidebar();
+      renderTitleImpact();
+      if (currentMode === 'trends') renderTrendsView();
+    });
+  }
+
   function loadReportById(id) {
     const report = Storage.getReport(id);
     if (!report) { setStatus('Report not found.', 'error'); return; }
-    allListings = report.data || [];
+    activeReportEnd = report.reportPeriod ? report.reportPeriod.end : null;
+    allListings = withPushedPrices(Analyzer.enrichWithScores(report.data || [], undefined, activeReportEnd), report);
     filteredListings = [...allListings];
     activeReportId = id;
     setStatus(`Viewing: ${report.filename} (${allListings.length} listings)`, 'success');
@@ -310,6 +674,7 @@
   function renderTrendsView() {
     if (!Storage.isAvailable()) return;
     const reports = Storage.getAllReports();
+    renderProfitLoss(reports);
     if (reports.length < 2) {
       setStatus('Upload at least 2 reports to see trends.', 'info');
       return;
@@ -318,15 +683,243 @@
     const aggregateTrend = Trends.computeAggregateTrend(reports);
     const timeline = Trends.buildListingTimeline(reports);
     const topListings = Trends.getTopListingTimelines(timeline, 5);
+    renderPeriodNote('trends-period-note', reports);
+    const forecast = renderForecast(reports, aggregateTrend, timeline);
 
-    Charts.renderImpressionsOverTime('impressionsOverTimeChart', aggregateTrend);
-    Charts.renderCTRTrend('ctrTrendChart', aggregateTrend);
+    Charts.renderImpressionsOverTime('impressionsOverTimeChart', aggregateTrend, forecast && forecast.impressions);
+    Charts.renderCTRTrend('ctrTrendChart', aggregateTrend, forecast && forecast.ctr);
     Charts.renderTopListingsOverTime('topListingsChart', topListings, aggregateTrend);
+    renderListingTimelineSection(timeline, topListings, aggregateTrend);
     Charts.renderHealthOverTime('healthOverTimeChart', aggregateTrend);
 
+    const revenueSection = document.getElementById('revenue-over-time-section');
+    const hasRevenue = aggregateTrend.some(d => d.realizedRevenue > 0);
+    if (revenueSection) revenueSection.style.display = hasRevenue ? '' : 'none';
+    if (hasRevenue) Charts.renderRevenueOverTime('revenueOverTimeChart', aggregateTrend);
+
     renderDeclinedListings(timeline);
   }
 
+  // ─── Forecast ──────────────────────────────────────────────────────────────
+
+  /** "value" with its 80% range underneath, or a dash when there's no projection. */
+  function forecastCell(f, fmt) {
+    if (!f) return '<span class="chg-na">—</span>';
+    const { value, lower, upper } = f.next;
+    return `${fmt(value)}<span class="forecast-range">${fmt(lower)} – ${fmt(upper)}</span>`;
+  }
+
+  /**
+   * Next-period projections for the portfolio, each sport and the top
+   * listings. Returns the portfolio forecast for the charts, or null.
+   */
+  function renderForecast(reports, aggregateTrend, timeline) {
+    const section = document.getElementById('forecast-section');
+    if (!section || typeof Forecast === 'undefined') return null;
+    if (reports.length < Forecast.MIN_POINTS) {
+      section.style.display = 'none';
+      return null;
+    }
+    section.style.display = '';
+
+    const forecast = Forecast.portfolio(aggregateTrend, reports);
+    const unit = forecast.perDay ? 'per day' : 'per report';
+    const count = v => Math.round(v).toLocaleString();
+    const units = v => (forecast.perDay ? v.toFixed(2) : count(v));
+    const pct = v => v.toFixed(2) + '%';
+    const methods = [forecast.impressions, forecast.sold].filter(Boolean);
+    const method = methods.some(f => f.method === 'holt') ? 'exponential smoothing' : 'a linear trend';
+
+    const note = document.getElementById('forecast-note');
+    if (note) {
+      note.textContent = `Projected from ${reports.length} saved reports with ${method}`
+        + `${methods.some(f => f.seasonal) ? ' and a seasonal adjustment' : ''}. Values are ${unit}; `
+        + 'the small range under each is an 80% prediction interval. '
+        + (forecast.revenueSource === 'realized'
+          ? 'Revenue is realized revenue from imported Orders reports.'
+          : 'Revenue is units sold × asking price.');
+    }
+
+    const summary = document.getElementById('forecast-summary');
+    if (summary) {
+      summary.innerHTML = `
+        <div class="stat-card"><label>Impressions ${unit}</label><span>${forecastCell(forecast.impressions, count)}</span></div>
+        <div class="stat-card"><label>Avg CTR</label><span>${forecastCell(forecast.ctr, pct)}</span></div>
+        <div class="stat-card"><label>Units Sold ${unit}</label><span>${forecastCell(forecast.sold, units)}</span></div>
+        <div class="stat-card"><label>Revenue ${unit}</label><span>${forecastCell(forecast.revenue, fmtMoney)}</span></div>`;
+    }
+
+    const sportBody = document.getElementById('forecast-sport-tbody');
+    if (sportBody) {
+      sportBody.innerHTML = Forecast.bySport(reports).map(f => `
+        <tr>
+          <td>${esc(f.sport)}</td>
+          <td>${forecastCell(f.impressions, count)}</td>
+          <td>${forecastCell(f.sold, units)}</td>
+          <td>${forecastCell(f.revenue, fmtMoney)}</td>
+        </tr>`).join('');
+    }
+
+    const listingBody = document.getElementById('forecast-listing-tbody');
+    if (listingBody) {
+      const rows = Forecast.byListing(timeline, reports, 10);
+      listingBody.innerHTML = rows.length ? rows.map(f => `
+        <tr>
+          <td class="title-cell">${esc(truncate(f.title, 40))}</td>
+          <td>${forecastCell(f.impressions, count)}</td>
+          <td>${forecastCell(f.sold, units)}</td>
+          <td>${forecastCell(f.revenue, fmtMoney)}</td>
+        </tr>`).join('')
+        : `<tr><td colspan="4" style="padding:20px;color:var(--text-muted);text-align:center">No listing appears in ${Forecast.MIN_POINTS} or more saved reports yet.</td></tr>`;
+    }
+
+    return forecast;
+  }
+
+  // ─── Listing Timeline ──────────────────────────────────────────────────────
+
+  let listingTimeline = { timeline: {}, aggregateTrend: [] };
+
+  /** Edited listings first, then any top listing that hasn't been edited. */
+  function renderListingTimelineSection(timeline, topListings, aggregateTrend) {
+    const select = document.getElementById('listing-timeline-select');
+    if (!select) return;
+    listingTimeline = { timeline, aggregateTrend };
+
+    const edited = Trends.getEditedListings(timeline);
+    const others = topListings.filter(entry => !entry.events.length);
+    const option = entry => {
+      const n = entry.events.length;
+      return `<option value="${esc(entry.itemId)}">${esc(truncate(entry.title, 60))}${n ? ` (${n} change${n === 1 ? '' : 's'})` : ''}</option>`;
+    };
+    const current = select.value;
+    select.innerHTML = (edited.length ? `<optgroup label="Edited between reports">${edited.map(option).join('')}</optgroup>` : '')
+      + (others.length ? `<optgroup label="Top listings">${others.map(option).join('')}</optgroup>` : '');
+    if (timeline[current] && select.querySelector(`option[value="${CSS.escape(current)}"]`)) select.value = current;
+    renderListingTimeline();
+  }
+
+  function renderListingTimeline() {
+    const select = document.getElementById('listing-timeline-select');
+    const tbody = document.getElementById('listing-events-tbody');
+    const entry = select ? listingTimeline.timeline[select.value] : null;
+    Charts.renderListingTimeline('listingTimelineChart', entry, listingTimeline.aggregateTrend);
+    if (!tbody) return;
+
+    if (!entry || !entry.events.length) {
+      tbody.innerHTML = '<tr><td colspan="6" style="padding:20px;color:var(--text-muted);text-align:center">No title, price, quantity or promotion changes found between saved reports.</td></tr>';
+      return;
+    }
+    const labels = {};
+    listingTimeline.aggregateTrend.forEach(r => { labels[r.reportId] = r.label; });
+    tbody.innerHTML = [...entry.events].reverse().map(e => `
+      <tr>
+        <td>${esc(labels[e.reportId] || new Date(e.uploadedAt).toLocaleDateString())}</td>
+        <td>${e.icon} ${esc(e.label)}${listingEventDetail(e)}</td>
+        <td>${fmtChg(e.impressionsChange)}</td>
+        <td>${fmtChg(e.ctrChange)}</td>
+        <td>${fmtChg(e.pageViewsChange)}</td>
+        <td>${fmtChgAbs(e.soldChange)}</td>
+      </tr>`).join('');
+  }
+
+  function listingEventDetail(e) {
+    if (e.type === 'title') return `<br><small style="color:var(--text-muted)"><s>${esc(e.from)}</s><br>${esc(e.to)}</small>`;
+    if (e.type === 'priceDrop' || e.type === 'priceRaise') return `: ${fmtMoney(e.from)} → ${fmtMoney(e.to)}`;
+    if (e.type === 'restocked' || e.type === 'quantityDown') return `: ${e.from} → ${e.to}`;
+    return '';
+  }
+
+  function setupListingTimeline() {
+    const select = document.getElementById('listing-timeline-select');
+    if (select) select.addEventListener('change', renderListingTimeline);
+  }
+
+  // ─── Profit & Loss ─────────────────────────────────────────────────────────
+
+  let pnlMonths = [];
+
+  function pnlMonthLabel(month) {
+    const [y, m] = month.split('-').map(Number);
+    return new Date(y, m - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  }
+
+  function pnlHeadHtml(first) {
+    return `<tr><th>${first}</th><th>Units</th>${ProfitLoss.LINES.map(l => `<th>${esc(l.label)}</th>`).join('')}<th>Margin</th></tr>`;
+  }
+
+  function pnlCellsHtml(t) {
+    return `<td>${t.units}</td>${ProfitLoss.LINES.map(l => {
+      if (l.cost) return `<td class="cogs-minus">${t[l.key] ? '−' + fmtMoney(t[l.key]) : '—'}</td>`;
+      if (l.key === 'net') return `<td class="${t.net >= 0 ? 'cogs-profit' : 'cogs-loss'}"><strong>${fmtMoney(t.net)}</strong></td>`;
+      return `<td>${fmtMoney(t[l.key])}</td>`;
+    }).join('')}<td>${t.margin.toFixed(1)}%</td>`;
+  }
+
+  function missingCostNote(t) {
+    return t.missingCost ? ` <span class="rec-more" title="${t.missingCost} unit(s) sold with no card cost entered — profit is overstated">*</span>` : '';
+  }
+
+  function renderProfitLoss(reports) {
+    const section = document.getElementById('pnl-section');
+    if (!section || typeof ProfitLoss === 'undefined' || typeof COGS === 'undefined') return;
+    pnlMonths = ProfitLoss.buildMonthly(reports, COGS.load());
+    section.style.display = pnlMonths.length ? '' : 'none';
+    if (!pnlMonths.length) return;
+
+    const thead = document.getElementById('pnl-thead');
+    const tbody = document.getElementById('pnl-tbody');
+    const tfoot = document.getElementById('pnl-tfoot');
+    if (thead) thead.innerHTML = pnlHeadHtml('Month');
+    if (tbody) {
+      tbody.innerHTML = pnlMonths.map(m => `
+        <tr>
+          <td>${esc(pnlMonthLabel(m.month))}${m.source === 'estimated' ? ' <span class="badge badge-low" title="No Orders report for this month — estimated from the Traffic Report">est.</span>' : ''}${missingCostNote(m.totals)}</td>
+          ${pnlCellsHtml(m.totals)}
+        </tr>`).join('');
+    }
+    const total = ProfitLoss.sumMonths(pnlMonths);
+    if (tfoot) tfoot.innerHTML = `<tr class="pnl-total"><td>Total${missingCostNote(total)}</td>${pnlCellsHtml(total)}</tr>`;
+
+    const select = document.getElementById('pnl-month-select');
+    if (select) {
+      const current = select.value;
+      select.innerHTML = '<option value="">All months</option>'
+        + pnlMonths.map(m => `<option value="${esc(m.month)}">${esc(pnlMonthLabel(m.month))}</option>`).join('');
+      select.value = pnlMonths.some(m => m.month === current) ? current : '';
+    }
+    renderProfitLossCategories();
+  }
+
+  function renderProfitLossCategories() {
+    const select = document.getElementById('pnl-month-select');
+    const month = select ? select.value : '';
+    const months = month ? pnlMonths.filter(m => m.month === month) : pnlMonths;
+    const categories = ProfitLoss.sumCategories(months);
+
+    const thead = document.getElementById('pnl-category-thead');
+    const tbody = document.getElementById('pnl-category-tbody');
+    if (thead) thead.innerHTML = pnlHeadHtml('Category');
+    if (tbody) {
+      tbody.innerHTML = Object.entries(categories)
+        .sort((a, b) => b[1].net - a[1].net)
+        .map(([cat, t]) => `<tr><td>${esc(cat)}${missingCostNote(t)}</td>${pnlCellsHtml(t)}</tr>`).join('');
+    }
+  }
+
+  function setupProfitLoss() {
+    const select = document.getElementById('pnl-month-select');
+    if (select) select.addEventListener('change', renderProfitLossCategories);
+
+    const exportBtn = document.getElementById('btn-export-pnl');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', () => {
+        if (!pnlMonths.length) return;
+        downloadText(ProfitLoss.toCSV(pnlMonths), 'shazbotcards-profit-and-loss.csv', 'text/csv');
+      });
+    }
+  }
+
   function renderDeclinedListings(timeline) {
     const tbody = document.getElementById('declined-tbody');
     if (!tbody) return;
@@ -376,6 +969,7 @@
     setKPITrend('kpi-impressions', comparison.totalImpressions);
     setKPITrend('kpi-ctr', comparison.avgCTR);
     setKPITrend('kpi-sold', comparison.totalSold);
+    setKPITrend('kpi-revenue', comparison.realizedRevenue);
     setKPITrend('kpi-total', comparison.listingCount);
   }
 
@@ -459,6 +1053,7 @@
 
     const rows = Trends.buildComparison(r1, r2);
     renderCompareTable(rows);
+    renderPeriodNote('compare-period-note', [r1, r2]);
 
     const exportBtn = document.getElementById('btn-export-trend-csv');
     if (exportBtn) {
@@ -467,6 +1062,19 @@
     }
   }
 
+  /** Explain whether volumes are per-day rates or raw totals for a set of reports. */
+  function renderPeriodNote(elId, reports) {
+    const el = document.getElementById(elId);
+    if (!el) return;
+    el.style.display = '';
+    if (Trends.canNormalize(reports)) {
+      el.textContent = 'Impressions, page views and units sold are shown per day, so reports covering different date ranges compare fairly.';
+      return;
+    }
+    const unknown = reports.filter(r => Trends.reportDays(r) === null).length;
+    el.textContent = `${unknown} report(s) have no known date range, so raw totals are compared — a 30-day report will look bigger than a 7-day one. Set the dates on each report in Report History to compare per day.`;
+  }
+
   function renderCompareTable(rows) {
     const tbody = document.getElementById('compare-tbody');
     if (!tbody) return;
@@ -554,7 +1162,8 @@
   }
 
   function exportTrendCSV(rows, r1, r2) {
-    const headers = ['Item ID', 'Title', `${r1.filename} Impressions`, `${r2.filename} Impressions`, 'Impr % Change', 'CTR Change %', 'Views Change %', 'Sold Change %'];
+    const unit = Trends.canNormalize([r1, r2]) ? ' / Day' : '';
+    const headers = ['Item ID', 'Title', `${r1.filename} Impressions${unit}`, `${r2.filename} Impressions${unit}`, 'Impr % Change', 'CTR Change %', 'Views Change %', 'Sold Change %'];
     const lines = [headers.join(',')];
 
     function pctChgStr(a, b) {
@@ -597,7 +1206,9 @@
     renderKPIs();
     renderKPITrends();
     renderCOGSKPIs();
+    if (typeof COGS !== 'undefined') renderAcquisitionSummary(COGS.load());
     renderPriorityTable();
+    renderPriceAdvisor();
     renderPromotedSection();
     renderTrendingSection();
     renderSportSection();
@@ -607,6 +1218,7 @@
     predictionCache.clear();
     renderPerformanceWidget();
     refreshPerformanceBadges();
+    renderTitleImpact();
   }
 
   // ─── KPI Cards ─────────────────────────────────────────────────────────────
@@ -619,6 +1231,7 @@
     setText('kpi-ctr', kpi.avgCTR.toFixed(2) + '%');
     setText('kpi-sold', kpi.totalSold);
     setText('kpi-dead', kpi.deadListings);
+    setText('kpi-revenue', kpi.hasOrders ? fmtMoney(kpi.realizedRevenue) : '—');
 
     const healthScores = allListings.map(l => l.healthScore || 0);
     const avgHealth = healthScores.length ? Math.round(healthScores.reduce((a, b) => a + b, 0) / healthScores.length) : 0;
@@ -629,9 +1242,13 @@
 
   function renderCOGSKPIs() {
     if (typeof COGS === 'undefined') return;
-    // Only show meaningful data when we have real prices (eBay mode)
+    // Only show meaningful data when we have real prices (eBay mode) or realized sales (Orders report)
     const hasPrice = allListings.some(l => l.price > 0);
-    if (!hasPrice) {
+    const hasOrders = allListings.some(l => l.orders && l.orders.length);
+    setText('kpi-total-cogs-label', hasOrders ? 'Realized COGS' : 'Est. Total COGS');
+    setText('kpi-net-profit-label', hasOrders ? 'Realized Net Profit' : 'Est. Net Revenue');
+    setText('kpi-avg-margin-label', hasOrders ? 'Realized Margin' : 'Avg Margin');
+    if (!hasPrice && !hasOrders) {
       setText('kpi-inventory-value', '—');
       setText('kpi-total-cogs', '—');
       setText('kpi-net-profit', '—');
@@ -642,10 +1259,23 @@
     const settings = COGS.load();
     const portfolio = COGS.calcPortfolio(allListings, settings);
 
-    setText('kpi-inventory-value', '$' + portfolio.totalValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
-    setText('kpi-total-cogs',      '$' + portfolio.totalCogs.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
-    setText('kpi-net-profit',      '$' + portfolio.totalNetProfit.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
-    setText('kpi-avg-margin',      portfolio.avgMargin.toFixed(1) + '%');
+    setText('kpi-inventory-value', hasPrice ? fmtMoney(portfolio.totalValue) : '—');
+    if (hasOrders) {
+      // Realized sales win over asking-price estimates when an Orders report is joined
+      setText('kpi-total-cogs', fmtMoney(portfolio.realizedCogs));
+      setText('kpi-net-profit', fmtMoney(portfolio.realizedNetProfit));
+      setText('kpi-avg-margin', portfolio.realizedMargin.toFixed(1) + '%');
+    } else {
+      setText('kpi-total-cogs', fmtMoney(portfolio.totalCogs));
+      setText('kpi-net-profit', fmtMoney(portfolio.totalNetProfit));
+      setText('kpi-avg-margin', portfolio.avgMargin.toFixed(1) + '%');
+    }
+
+    // Cards with no acquisition cost entered make profit look better than it is
+    const missing = portfolio.missingCostCount;
+    const netEl = document.getElementById('kpi-net-profit');
+    if (netEl) netEl.title = missing ? `${missing} of ${portfolio.listingCount} listing(s) have no acquisition cost — profit is overstated` : '';
+    if (missing) setText('kpi-net-profit-label', `${hasOrders ? 'Realized Net Profit' : 'Est. Net Revenue'} *`);
   }
 
   // ─── Priority Table ────────────────────────────────────────────────────────
@@ -662,18 +1292,185 @@
       const prio = l._rec.priority;
       tr.className = 'priority-' + prio;
 
+      const more = l._recs.slice(1);
+      const moreHtml = more.length
+        ? ` <span class="rec-more" title="${esc(more.map(r => r.text).join('\n'))}">+${more.length} more</span>`
+        : '';
+
       tr.innerHTML = `
         <td class="title-cell">${esc(truncate(l.title, 55))}</td>
         <td>${(l.totalImpressions || 0).toLocaleString()}</td>
         <td>${fmtPct(l.ctr)}</td>
         <td>${l.totalPageViews || 0}</td>
         <td>${l.quantitySold || 0}</td>
-        <td><span class="badge badge-${prio}">${l._rec.text}</span></td>
+        <td><span class="badge badge-${prio}">${esc(l._rec.text)}</span>${moreHtml}</td>
+        <td>${esc(l._rec.action || '—')}</td>
       `;
       tbody.appendChild(tr);
     });
   }
 
+  // ─── Price Advisor ─────────────────────────────────────────────────────────
+
+  const PRICE_ADVISOR_ROWS = 25;
+
+  // Settings inputs: [state key, label, unit, shown value = stored × scale]
+  const PRICE_ADVISOR_FIELDS = [
+    ['minProfit',     'Minimum net profit',     '$',          1],
+    ['staleDays',     'Stale after',            'days',       1],
+    ['lowConversion', 'Low conversion below',   '% of avg',   100],
+    ['stepPct',       'Markdown step',          '%',          100],
+    ['intervalDays',  'Days between steps',     'days',       1],
+    ['maxSteps',      'Steps at most',          '',           1],
+  ];
+
+  function canPushPrices() {
+    return typeof eBayUI !== 'undefined' && typeof eBayConfig !== 'undefined' && eBayConfig.isConfigured();
+  }
+
+  function signedMoney(v) {
+    return (v < 0 ? '−' : '+') + fmtMoney(Math.abs(v));
+  }
+
+  function markdownPlanHtml(advice) {
+    if (advice.underFloor) return `<span class="badge badge-high">Below floor</span> raise to ${fmtMoney(advice.floor)}`;
+    return advice.schedule.map(st => `
+      <span class="markdown-step" title="Nets ${fmtMoney(st.netProfit)} a sale (${st.margin.toFixed(1)}% margin, ${st.marginDelta >= 0 ? '+' : ''}${st.marginDelta.toFixed(1)} pts)">
+        ${st.day === 0 ? 'Now' : `Day ${st.day}`}: ${fmtMoney(st.price)} <small>(${Math.round(st.changePct * 100)}%)</small></span>`).join(' → ');
+  }
+
+  function profitImpactHtml(advice) {
+    const n = advice.next;
+    if (!n) return '—';
+    return `${fmtMoney(advice.current.netProfit)} → ${fmtMoney(n.netProfit)}
+      <small class="${n.profitDelta >= 0 ? 'cogs-profit' : 'cogs-loss'}">(${signedMoney(n.profitDelta)}, ${n.marginDelta >= 0 ? '+' : ''}${n.marginDelta.toFixed(1)} pts margin)</small>`;
+  }
+
+  function priceActionHtml(advice) {
+    const n = advice.next;
+    if (!n) return '';
+    if (advice.suggestedPrice === null) return `<small class="cogs-note">due in ${n.day} day${n.day === 1 ? '' : 's'}</small>`;
+    return canPushPrices()
+      ? `<button class="btn-sm btn-primary price-push-btn" data-price="${n.price}">📤 Push ${fmtMoney(n.price)}</button>`
+      : `<button class="btn-sm btn-secondary" disabled title="Connect eBay to push prices">📤 Push ${fmtMoney(n.price)}</button>`;
+  }
+
+  function renderPriceAdvisorSettings(state) {
+    const el = document.getElementById('price-advisor-settings');
+    if (!el) return;
+    el.innerHTML = PRICE_ADVISOR_FIELDS.map(([key, label, unit, scale]) => `
+      <label>${esc(label)}
+        <span>${unit === '$' ? '$' : ''}<input type="number" class="cogs-input cogs-num" min="0" step="${key === 'minProfit' ? 0.01 : 1}"
+          data-advisor-key="${key}" value="${+(state[key] * scale).toFixed(2)}" />${unit && unit !== '$' ? ` ${esc(unit)}` : ''}</span></label>`).join('') + `
+      <label class="fee-check"><input type="checkbox" data-advisor-key="charmPricing" ${state.charmPricing ? 'checked' : ''} /> End prices in .99</label>`;
+  }
+
+  function renderPriceAdvisor() {
+    const tbody = document.getElementById('price-advisor-tbody');
+    if (!tbody || typeof PriceAdvisor === 'undefined' || typeof COGS === 'undefined') return;
+
+    if (!allListings.some(l => l.price > 0)) {
+      setText('price-advisor-summary', 'Prices come from eBay sync or the Active Listings report — load one to get price advice.');
+      tbody.innerHTML = '';
+      return;
+    }
+
+    const rows = PriceAdvisor.adviseAll(allListings, COGS.load(), PriceAdvisor.load());
+    const under = rows.filter(r => r.advice.underFloor).length;
+    const more = rows.length > PRICE_ADVISOR_ROWS ? ` Showing the first ${PRICE_ADVISOR_ROWS}.` : '';
+    setText('price-advisor-summary', `${under} listing(s) priced below their floor · ${rows.length - under} stale listing(s) with a markdown plan.${more}`);
+
+    tbody.innerHTML = rows.slice(0, PRICE_ADVISOR_ROWS).map(({ listing: l, advice: a }) => `
+      <tr data-item-id="${esc(l.itemId)}">
+        <td class="title-cell">${esc(truncate(l.title, 50))}</td>
+        <td>${fmtMoney(l.price)}</td>
+        <td>${a.daysListed}d</td>
+        <td>${a.conversionRate === null ? '—' : fmtPct(a.conversionRate * 100)}</td>
+        <td>${a.floor === null ? '—' : fmtMoney(a.floor)}</td>
+        <td>${markdownPlanHtml(a)}</td>
+        <td>${profitImpactHtml(a)}</td>
+        <td>${priceActionHtml(a)}</td>
+      </tr>`).join('')
+      || '<tr><td colspan="8" style="padding:20px;color:var(--text-muted);text-align:center">Every priced listing is above its floor and none are stale.</td></tr>';
+  }
+
+  /** Detail-panel floor and, when there is one, the listing's next price change. */
+  function renderPriceDetail(listing) {
+    if (typeof PriceAdvisor === 'undefined' || typeof COGS === 'undefined' || !(listing.price > 0)) return '';
+    const state = PriceAdvisor.load();
+    const advice = PriceAdvisor.advise(listing, {
+      cogsSettings: COGS.load(),
+      state,
+      conversion: PriceAdvisor.portfolioConversion(allListings),
+    });
+    return `
+      <div class="detail-item"><label>Price Floor</label>
+        <span>${advice.floor === null ? 'not profitable' : fmtMoney(advice.floor)}</span>
+        <small style="color:var(--text-muted)">nets ${fmtMoney(state.minProfit)} a sale</small></div>
+      ${advice.next ? `
+      <div class="detail-item detail-full"><label>${advice.underFloor ? 'Price Advice' : 'Markdown Plan'}</label>
+        <span>${markdownPlanHtml(advice)}</span>
+        <span>${profitImpactHtml(advice)} ${priceActionHtml(advice)}</span></div>` : ''}`;
+  }
+
+  /**
+   * Confirm and push a new price to eBay; on success the dashboard shows it
+   * too. Saved reports keep the price they were taken at.
+   */
+  function pushListingPrice(listing, price) {
+    if (!canPushPrices() || !(price > 0)) return;
+    const ebayItemID = eBaySync.getListingMap()[listing.itemId] || listing.itemId;
+    eBayUI.openPricePushModal(ebayItemID, listing.price, price, pushed => {
+      const state = PriceAdvisor.load();
+      PriceAdvisor.recordPush(state, listing.itemId, pushed);
+      PriceAdvisor.save(state);
+      const report = activeReportId && Storage.isAvailable() ? Storage.getReport(activeReportId) : null;
+      allListings = PriceAdvisor.applyPushes(allListings, report ? report.uploadedAt : null, state);
+      rescoreListings();
+    });
+  }
+
+  /** Prices pushed since the newest saved report, shown on its listings. */
+  function withPushedPrices(listings, report) {
+    if (typeof PriceAdvisor === 'undefined') return listings;
+    const reports = Storage.getAllReports();
+    const newest = reports[reports.length - 1];
+    return newest && newest.id === report.id ? PriceAdvisor.applyPushes(listings, report.uploadedAt) : listings;
+  }
+
+  function setupPriceAdvisor() {
+    if (typeof PriceAdvisor === 'undefined') return;
+    renderPriceAdvisorSettings(PriceAdvisor.load());
+
+    const settingsEl = document.getElementById('price-advisor-settings');
+    if (settingsEl) {
+      settingsEl.addEventListener('change', e => {
+        const key = e.target.dataset.advisorKey;
+        if (!key) return;
+        const state = PriceAdvisor.load();
+        if (key === 'charmPricing') {
+          state.charmPricing = e.target.checked;
+        } else {
+          const field = PRICE_ADVISOR_FIELDS.find(f => f[0] === key);
+          const n = parseFloat(e.target.value);
+          state[key] = isNaN(n) || n < 0 ? PriceAdvisor.DEFAULTS[key] : n / field[3];
+        }
+        PriceAdvisor.save(state);
+        renderPriceAdvisor();
+      });
+    }
+
+    const tbody = document.getElementById('price-advisor-tbody');
+    if (tbody) {
+      tbody.addEventListener('click', e => {
+        const btn = e.target.closest('.price-push-btn');
+        const row = btn && btn.closest('tr[data-item-id]');
+        const listing = row && allListings.find(l => l.itemId === row.dataset.itemId);
+        if (listing) pushListingPrice(listing, parseFloat(btn.dataset.price));
+      });
+    }
+  }
+
   // ─── Promoted vs Organic ───────────────────────────────────────────────────
 
   function renderPromotedSection() {
@@ -688,9 +1485,70 @@
     setText('promo-views', data.promotedPageViews.toLocaleString());
     setText('organic-views', data.organicPageViews.toLocaleString());
 
+    renderPromoVerdict(data);
+    renderPromoROI();
     Charts.renderPromotedVsOrganic('promoChart', data);
   }
 
+  /** Ad fees and the profit promoting actually added (see COGS.calcPromotedROI). */
+  function renderPromoROI() {
+    if (typeof COGS === 'undefined') return;
+    const roi = COGS.calcPromotedROI(allListings, COGS.load());
+    const signed = v => (v < 0 ? '−' : '+') + fmtMoney(Math.abs(v));
+    const tone = (id, v) => {
+      const el = document.getElementById(id);
+      if (el) el.classList.toggle('cogs-loss', v !== null && v < 0);
+    };
+
+    setText('promo-ad-fees', fmtMoney(roi.adFees));
+    setText('promo-net-profit', fmtMoney(roi.netProfit));
+    setText('promo-incremental-profit', roi.incrementalProfit === null ? '—' : signed(roi.incrementalProfit));
+    setText('promo-break-even', roi.breakEvenAdRate === null ? '—' : (roi.breakEvenAdRate * 100).toFixed(1) + '%');
+    tone('promo-net-profit', roi.netProfit);
+    tone('promo-incremental-profit', roi.incrementalProfit);
+    tone('promo-break-even', roi.breakEvenAdRate);
+
+    let note;
+    if (!roi.qty) {
+      note = 'No promoted sales yet — ad fees and profit appear once promoted listings sell.';
+    } else if (!roi.baseline) {
+      note = `${roi.qty} promoted sale(s), ${roi.adQty} via ads. Not enough organic impressions to estimate what they would have sold unpromoted, so incremental profit is unknown.`;
+    } else {
+      note = `${roi.qty} promoted sale(s), ${roi.adQty} via ads. Unpromoted, these listings would have sold about ${roi.baseline.qty.toFixed(1)} on organic impressions alone (${fmtMoney(roi.baseline.profit)} profit)`
+        + (roi.returnOnAdSpend !== null ? `; each $1 of ad fees returned ${signed(roi.returnOnAdSpend)} of extra profit.` : '.');
+    }
+    setText('promo-roi-note', note);
+  }
+
+  const VERDICT_HEADLINES = {
+    insufficient: 'Is promoted worth it? Not enough data yet.',
+    promoted: 'Is promoted worth it? Yes — promoted listings get more clicks.',
+    organic: 'Is promoted worth it? No — promoted listings get fewer clicks.',
+    none: 'Is promoted worth it? No measurable difference.',
+  };
+
+  function renderPromoVerdict(data) {
+    const el = document.getElementById('promo-verdict');
+    if (!el) return;
+
+    const ci = r => (r.rate === null ? '—' : `${r.rate.toFixed(2)}% <span class="verdict-ci">(${r.low.toFixed(2)}–${r.high.toFixed(2)})</span>`);
+    const pCell = t => (t.p === null ? '—' : t.p < 0.001 ? '&lt; 0.001' : t.p.toFixed(3));
+
+    el.className = `verdict-box verdict-${data.verdict.level}`;
+    el.innerHTML = `
+      <strong>${VERDICT_HEADLINES[data.verdict.level]}</strong>
+      <p>${esc(data.verdict.text)}</p>
+      <table class="verdict-table" aria-label="Promoted vs organic significance">
+        <thead><tr><th></th><th>Promoted</th><th>Organic</th><th>p</th></tr></thead>
+        <tbody>
+          <tr><td>CTR</td><td>${ci(data.ctr.promoted)}</td><td>${ci(data.ctr.organic)}</td><td>${pCell(data.ctr)}</td></tr>
+          <tr><td>Conversion</td><td>${ci(data.conversion.promoted)}</td><td>${ci(data.conversion.organic)}</td><td>${pCell(data.conversion)}</td></tr>
+        </tbody>
+      </table>
+      <small>Pooled rates with 95% confidence intervals; the verdict uses ${data.matched.n} matched pair(s) of similar sport, price and graded/raw listings.</small>
+    `;
+  }
+
   // ─── Trending ──────────────────────────────────────────────────────────────
 
   function renderTrendingSection() {
@@ -721,18 +1579,54 @@
 
   // ─── Sport Section ─────────────────────────────────────────────────────────
 
+  const SPORT_GROUP_LIMIT = 12;
+  const SPORT_GROUP_LABELS = {
+    sport: 'Sport', manufacturer: 'Manufacturer', set: 'Set', year: 'Year', player: 'Player', team: 'Team',
+    parallel: 'Parallel', serial: 'Serial Numbering', grader: 'Grading', rookie: 'Rookie', auto: 'Autograph',
+  };
+
+  /** CSS class suffix for a sport badge ("Non-Sport" → "non-sport", "Pokémon" → "pokemon"). */
+  function sportSlug(sport) {
+    return String(sport || 'other').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+  }
+
+  function setupSportGrouping() {
+    const select = document.getElementById('sport-group-select');
+    if (!select) return;
+    select.addEventListener('change', () => {
+      sportGroupBy = select.value;
+      if (allListings.length) renderSportSection();
+    });
+  }
+
   function renderSportSection() {
-    const breakdown = Analyzer.computeSportBreakdown(allListings);
+    const label = SPORT_GROUP_LABELS[sportGroupBy] || 'Sport';
+    setText('sport-section-title', `${label} Breakdown`);
+    setText('sport-group-heading', label);
+
+    // Long-tail groupings (players, sets…) keep the biggest groups and fold the rest together
+    const grouped = Object.entries(Analyzer.computeAttributeBreakdown(allListings, sportGroupBy))
+      .sort((a, b) => b[1].totalImpressions - a[1].totalImpressions);
+    const breakdown = Object.fromEntries(grouped.slice(0, SPORT_GROUP_LIMIT));
+    if (grouped.length > SPORT_GROUP_LIMIT) {
+      const rest = { count: 0, totalImpressions: 0, totalSold: 0 };
+      grouped.slice(SPORT_GROUP_LIMIT).forEach(([, stats]) => {
+        rest.count += stats.count;
+        rest.totalImpressions += stats.totalImpressions;
+        rest.totalSold += stats.totalSold;
+      });
+      breakdown[`${grouped.length - SPORT_GROUP_LIMIT} more`] = rest;
+    }
 
     const tbody = document.getElementById('sport-tbody');
     if (tbody) {
       tbody.innerHTML = '';
       Object.entries(breakdown)
-        .sort((a, b) => b[1].totalImpressions - a[1].totalImpressions)
-        .forEach(([sport, stats]) => {
+        .forEach(([group, stats]) => {
+          const badgeClass = sportGroupBy === 'sport' ? `sport-${sportSlug(group)}` : 'sport-other';
           const tr = document.createElement('tr');
           tr.innerHTML = `
-            <td><span class="sport-badge sport-${sport.toLowerCase()}">${esc(sport)}</span></td>
+            <td><span class="sport-badge ${badgeClass}">${esc(group)}</span></td>
             <td>${stats.count}</td>
             <td>${stats.totalImpressions.toLocaleString()}</td>
             <td>${stats.totalSold}</td>
@@ -756,7 +1650,6 @@
     tbody.innerHTML = '';
 
     const cogsSettings = typeof COGS !== 'undefined' ? COGS.load() : null;
-    const shipThreshold = cogsSettings ? cogsSettings.shipping.threshold : 20;
 
     sorted.forEach(l => {
       const scoreColor = l.healthBadge === 'green' ? '#4caf50' : l.healthBadge === 'yellow' ? '#ffc107' : '#f44336';
@@ -768,12 +1661,9 @@
       const pred = predictionCache.get(l.itemId);
       const perfBadgeHtml = buildPerfBadgeHtml(l, pred);
 
-      // Determine shipping method for this listing
-      const autoShip = l.price > shipThreshold ? 'ga' : 'ese';
-      const shipMethod = l.shippingOverride || autoShip;
-      const shipLabel = shipMethod === 'ga' ? '📦 GA' : '📬 ESE';
-      const shipCell = l.price > 0
-        ? `<td><button class="btn-sm cogs-ship-toggle ${shipMethod === 'ga' ? 'ship-ga' : 'ship-ese'}" data-item-id="${esc(l.itemId || l.title)}" data-method="${shipMethod}" title="Click to toggle shipping method">${shipLabel}</button></td>`
+      // Shipping method from the shipping rules (or this listing's override)
+      const shipCell = l.price > 0 && cogsSettings
+        ? `<td>${shipToggleHtml(l, cogsSettings)}</td>`
         : `<td><span style="color:var(--text-muted)">—</span></td>`;
 
       tr.innerHTML = `
@@ -789,7 +1679,7 @@
         <td>${fmtPct(l.top20Pct)}</td>
         <td><span class="health-score" style="color:${scoreColor}">${l.healthScore ?? '-'}</span></td>
         ${shipCell}
-        <td><span class="sport-badge sport-${(l.sport || 'other').toLowerCase()}">${esc(l.sport || '?')}</span></td>
+        <td><span class="sport-badge sport-${sportSlug(l.sport)}">${esc(l.sport || '?')}</span></td>
         <td class="perf-cell" data-item-id="${esc(l.itemId)}">${perfBadgeHtml}</td>
       `;
 
@@ -812,21 +1702,23 @@
       tbody.appendChild(tr);
     });
 
-    // Wire up shipping toggle buttons
+    // Wire up shipping toggle buttons: each click moves to the next shipping method
     document.querySelectorAll('.cogs-ship-toggle').forEach(btn => {
       btn.addEventListener('click', e => {
         e.stopPropagation();
-        const itemId = btn.dataset.itemId;
-        const currentMethod = btn.dataset.method;
-        const newMethod = currentMethod === 'ga' ? 'ese' : 'ga';
-        const listing = allListings.find(l => (l.itemId || l.title) === itemId);
-        if (listing) {
-          listing.shippingOverride = newMethod;
-          btn.dataset.method = newMethod;
-          btn.textContent = newMethod === 'ga' ? '📦 GA' : '📬 ESE';
-          btn.className = `btn-sm cogs-ship-toggle ${newMethod === 'ga' ? 'ship-ga' : 'ship-ese'}`;
-          renderCOGSKPIs();
-        }
+        const listing = allListings.find(l => (l.itemId || l.title) === btn.dataset.itemId);
+        if (!listing) return;
+        const settings = COGS.load();
+        const ids = settings.shipping.methods.map(m => m.id);
+        listing.shippingOverride = ids[(ids.indexOf(btn.dataset.method) + 1) % ids.length];
+        const tmp = document.createElement('template');
+        tmp.innerHTML = shipToggleHtml(listing, settings);
+        const fresh = tmp.content.firstElementChild;
+        btn.className = fresh.className;
+        btn.dataset.method = fresh.dataset.method;
+        btn.title = fresh.title;
+        btn.textContent = fresh.textContent;
+        renderCOGSKPIs();
       });
     });
 
@@ -838,35 +1730,199 @@
     }
   }
 
-  function toggleDetailRow(tr, listing) {
-    if (activeDetailRow && activeDetailRow !== tr) {
-      const existing = document.getElementById('detail-row-' + activeDetailRow.dataset.itemId);
-      if (existing) existing.remove();
-      activeDetailRow.classList.remove('active-row');
-    }
+  function shipToggleHtml(listing, settings) {
+    const ship = COGS.shippingFor(listing, settings);
+    const method = settings.shipping.methods.find(m => m.id === ship.method) || {};
+    const icon = ship.weightClass === 'parcel' || method.zoned ? '📦' : '📬';
+    const why = listing.shippingOverride ? 'set by hand' : ship.ruleId ? 'from a shipping rule' : 'default method';
+    const title = `${ship.label} (${why}) · ${ship.weightOz} oz${ship.overweight ? ' — over this method\'s weight limit' : ''} · click to change`;
+    return `<button class="btn-sm cogs-ship-toggle ship-${esc(ship.method)}${ship.overweight ? ' ship-overweight' : ''}" data-item-id="${esc(listing.itemId || listing.title)}" data-method="${esc(ship.method)}" title="${esc(title)}">${icon} ${esc(ship.method.toUpperCase())}</button>`;
+  }
 
-    const existingDetail = document.getElementById('detail-row-' + listing.itemId);
-    if (existingDetail) {
-      existingDetail.remove();
-      tr.classList.remove('active-row');
-      activeDetailRow = null;
-      return;
-    }
+  /**
+   * Category cell of the detail panel: pick the right category for this item
+   * and optionally teach the dictionary the player/team that gives it away.
+   */
+  function renderCategoryCorrection(listing) {
+    const detected = CardAttributes.extract(listing.title);
+    const override = CardAttributes.categoryOverrideFor(listing.itemId) || '';
+    const categories = [...new Set([...CardAttributes.listSports(), ...(override ? [override] : [])])];
+    const options = categories
+      .map(c => `<option value="${esc(c)}" ${c === override ? 'selected' : ''}>${esc(c)}</option>`)
+      .join('');
+    const term = detected.player || detected.team || '';
+    const kind = detected.player ? 'players' : 'teams';
 
-    activeDetailRow = tr;
-    tr.classList.add('active-row');
+    return `
+      <div class="detail-item detail-full"><label>Category</label>
+        <div class="category-correction">
+          <select class="cogs-input category-override-select" aria-label="Category">
+            <option value="">Auto-detect (${esc(detected.sport)})</option>${options}
+          </select>
+          <label class="category-teach"><input type="checkbox" class="category-teach-check" ${term ? 'checked' : ''} /> also add</label>
+          <select class="cogs-input category-teach-kind" aria-label="Term type">
+            <option value="players" ${kind === 'players' ? 'selected' : ''}>player</option>
+            <option value="teams" ${kind === 'teams' ? 'selected' : ''}>team</option>
+          </select>
+          <input type="text" class="cogs-input category-teach-term" value="${esc(term)}" placeholder="name from the title" aria-label="Term to add" />
+          <span>to the dictionary</span>
+          <button class="btn-sm btn-primary btn-category-save">Save</button>
+        </div>
+      </div>`;
+  }
 
-    const detailTr = document.createElement('tr');
-    detailTr.id = 'detail-row-' + listing.itemId;
-    detailTr.className = 'detail-row';
-    detailTr.innerHTML = `
-      <td colspan="12">
-        <div class="detail-panel">
-          <div class="detail-grid">
-            <div class="detail-item"><label>eBay ID</label><span><a href="https://www.ebay.com/itm/${esc(listing.itemId)}" target="_blank" rel="noopener">${esc(listing.itemId)}</a></span></div>
+  function setupCategoryCorrection(detailTr, listing) {
+    const saveBtn = detailTr.querySelector('.btn-category-save');
+    if (!saveBtn) return;
+
+    saveBtn.addEventListener('click', () => {
+      const category = detailTr.querySelector('.category-override-select').value;
+      const teach = detailTr.querySelector('.category-teach-check').checked;
+      const kind = detailTr.querySelector('.category-teach-kind').value;
+      const term = detailTr.querySelector('.category-teach-term').value.trim();
+
+      CardAttributes.setCategoryOverride(listing.itemId, category || null);
+      const learned = category && teach && term && CardAttributes.addTerm(kind, category, term);
+      setStatus(category
+        ? `"${truncate(listing.title, 40)}" is now ${category}${learned ? ` — added ${term} to the dictionary` : ''}.`
+        : `"${truncate(listing.title, 40)}" is back to its detected category.`, 'success');
+
+      applyDictionaryChange();
+
+      // Re-open the panel on the refreshed row
+      const row = document.querySelector(`#full-tbody tr[data-item-id="${CSS.escape(listing.itemId)}"]`);
+      const updated = allListings.find(l => l.itemId === listing.itemId);
+      if (row && updated) toggleDetailRow(row, updated);
+    });
+  }
+
+  /** Ad-rate cell of the detail panel: this listing's own rate (blank = default) and its break-even rate. */
+  function renderAdRateDetail(listing) {
+    if (typeof COGS === 'undefined') return '';
+    const settings = COGS.load();
+    const own = (settings.adRates || {})[listing.itemId];
+    return `
+      <div class="detail-item"><label>Ad Rate</label>
+        <span><input class="cogs-input cogs-num ad-rate-input" type="number" min="0" max="100" step="0.1"
+          value="${own !== undefined ? +(own * 100).toFixed(2) : ''}" placeholder="${+(settings.adRate * 100).toFixed(2)}"
+          aria-label="Ad rate for this listing" /> %</span>
+        <small class="ad-rate-break-even" style="color:var(--text-muted)">${breakEvenText(listing, settings)}</small>
+      </div>`;
+  }
+
+  function breakEvenText(listing, settings) {
+    if (!(listing.price > 0)) return 'no price — break-even unknown';
+    const calc = COGS.calcListing({ ...listing, soldViaPromoted: true }, settings);
+    return calc.breakEvenAdRate > 0
+      ? `break-even ${(calc.breakEvenAdRate * 100).toFixed(1)}% at ${fmtMoney(listing.price)}`
+      : `loses money at ${fmtMoney(listing.price)} even unpromoted`;
+  }
+
+  function setupAdRateDetail(detailTr, listing) {
+    const input = detailTr.querySelector('.ad-rate-input');
+    if (!input) return;
+    input.addEventListener('change', () => {
+      const raw = input.value.trim();
+      const s = COGS.setAdRate(COGS.load(), listing.itemId, raw === '' ? null : (parseFloat(raw) || 0) / 100);
+      COGS.save(s);
+      const note = detailTr.querySelector('.ad-rate-break-even');
+      if (note) note.textContent = breakEvenText(listing, s);
+      applyCOGSChange(s);
+    });
+  }
+
+  /** Acquisition-cost cell of the detail panel; a lot share shows the lot's name. */
+  function renderAcquisitionDetail(listing) {
+    if (typeof COGS === 'undefined') return '';
+    const settings = COGS.load();
+    const entry = settings.acquisition.items[listing.itemId];
+    const lot = entry && entry.lotId ? settings.acquisition.lots.find(l => l.id === entry.lotId) : null;
+    return `
+      <div class="detail-item"><label>Paid</label>
+        <span>$<input class="cogs-input cogs-num acquisition-input" type="number" min="0" step="0.01"
+          value="${entry ? entry.cost.toFixed(2) : ''}" placeholder="unknown" aria-label="What this card cost" /></span>
+        <small style="color:var(--text-muted)">${lot ? `share of ${esc(lot.name)}` : entry ? 'entered by hand' : 'not counted in profit yet'}</small>
+      </div>`;
+  }
+
+  function setupAcquisitionDetail(detailTr, listing) {
+    const input = detailTr.querySelector('.acquisition-input');
+    if (!input) return;
+    input.addEventListener('change', () => {
+      const raw = input.value.trim();
+      const s = COGS.setAcquisitionCost(COGS.load(), listing.itemId, raw === '' ? null : parseFloat(raw) || 0);
+      COGS.save(s);
+      const small = input.closest('.detail-item').querySelector('small');
+      if (small) small.textContent = raw === '' ? 'not counted in profit yet' : 'entered by hand';
+      const note = detailTr.querySelector('.ad-rate-break-even');
+      if (note) note.textContent = breakEvenText(listing, s);
+      applyCOGSChange(s);
+    });
+  }
+
+  function renderRecommendationList(recs) {
+    if (!recs.length) return '<span class="rec-text">-</span>';
+    return `<ul class="rec-list">${recs.map(r => `
+      <li><span class="badge badge-${esc(r.priority)}">${esc(r.priority)}</span>
+        <span class="rec-text">${esc(r.text)}</span>${r.action ? ` <span class="rec-action">→ ${esc(r.action)}</span>` : ''}</li>`).join('')}
+    </ul>`;
+  }
+
+  /** Detail-grid cells for the card attributes read from the title (empty ones are skipped). */
+  function renderAttributeDetails(attrs) {
+    if (!attrs) return '';
+    const flags = [attrs.rookie && 'Rookie', attrs.auto && 'Auto'].filter(Boolean).join(' · ');
+    const cells = [
+      ['Year', attrs.year],
+      ['Manufacturer', attrs.manufacturer],
+      ['Set', attrs.set],
+      ['Player', attrs.player],
+      ['Team', attrs.team],
+      ['Card #', attrs.cardNumber],
+      ['Parallel', attrs.parallel],
+      ['Serial', attrs.serial ? `${attrs.serial.number ?? ''}/${attrs.serial.of}` : null],
+      ['Grade', attrs.grader ? Analyzer.attributeLabel(attrs, 'grader') : null],
+      ['Flags', flags || null],
+    ];
+    return cells
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([label, value]) => `<div class="detail-item"><label>${label}</label><span>${esc(String(value))}</span></div>`)
+      .join('');
+  }
+
+  function toggleDetailRow(tr, listing) {
+    if (activeDetailRow && activeDetailRow !== tr) {
+      const existing = document.getElementById('detail-row-' + activeDetailRow.dataset.itemId);
+      if (existing) existing.remove();
+      activeDetailRow.classList.remove('active-row');
+    }
+
+    const existingDetail = document.getElementById('detail-row-' + listing.itemId);
+    if (existingDetail) {
+      existingDetail.remove();
+      tr.classList.remove('active-row');
+      activeDetailRow = null;
+      return;
+    }
+
+    activeDetailRow = tr;
+    tr.classList.add('active-row');
+
+    const detailTr = document.createElement('tr');
+    detailTr.id = 'detail-row-' + listing.itemId;
+    detailTr.className = 'detail-row';
+    detailTr.innerHTML = `
+      <td colspan="12">
+        <div class="detail-panel">
+          <div class="detail-grid">
+            <div class="detail-item"><label>eBay ID</label><span><a href="https://www.ebay.com/itm/${esc(listing.itemId)}" target="_blank" rel="noopener">${esc(listing.itemId)}</a></span></div>
             <div class="detail-item"><label>Listed</label><span>${esc(listing.startDate)}</span></div>
-            <div class="detail-item"><label>Sport</label><span>${esc(listing.sport)}</span></div>
+            ${renderCategoryCorrection(listing)}
+            ${renderAttributeDetails(listing.attributes || Analyzer.listingAttributes(listing))}
             <div class="detail-item"><label>Status</label><span>${esc(listing.promotedStatus)}</span></div>
+            ${renderAdRateDetail(listing)}
+            ${renderAcquisitionDetail(listing)}
+            ${renderPriceDetail(listing)}
             <div class="detail-item"><label>Qty Available</label><span>${listing.quantityAvailable ?? '-'}</span></div>
             <div class="detail-item"><label>Total Impressions</label><span>${(listing.totalImpressions || 0).toLocaleString()}</span></div>
             <div class="detail-item"><label>Promoted Impr.</label><span>${(listing.totalPromotedImpressions || 0).toLocaleString()}</span></div>
@@ -875,8 +1931,14 @@
             <div class="detail-item"><label>Top 20 %</label><span>${fmtPct(listing.top20Pct)}</span></div>
             <div class="detail-item"><label>Page Views</label><span>${listing.totalPageViews ?? 0}</span></div>
             <div class="detail-item"><label>Qty Sold</label><span>${listing.quantitySold ?? 0}</span></div>
-            <div class="detail-item"><label>Health Score</label><span style="color:${listing.healthBadge === 'green' ? '#4caf50' : listing.healthBadge === 'yellow' ? '#ffc107' : '#f44336'}">${listing.healthScore}/100</span></div>
-            <div class="detail-item detail-full"><label>Recommendation</label><span class="rec-text">${esc(listing.recommendation?.text || '-')}</span></div>
+            <div class="detail-item"><label>Health Score</label><span style="color:${listing.healthBadge === 'green' ? '#4caf50' : listing.healthBadge === 'yellow' ? '#ffc107' : '#f44336'}">${listing.healthScore}/100</span>${listing.healthModel && listing.healthModel !== 'Default' ? ` <small style="color:var(--text-muted)">(${esc(listing.healthModel)})</small>` : ''}</div>
+            ${listing.peer ? `<div class="detail-item"><label>Peer Rank</label><span title="Percentile among ${listing.peer.size} ${esc(listing.peer.group)} listing(s)">${ordinal(Math.round(listing.peer.impressionsPercentile * 100))} pct impressions · ${ordinal(Math.round(listing.peer.ctrPercentile * 100))} pct CTR</span><small style="color:var(--text-muted)">vs ${listing.peer.size} × ${esc(listing.peer.group)}</small></div>` : ''}
+            ${listing.orders && listing.orders.length ? `
+            <div class="detail-item"><label>Realized Sales</label><span>${listing.realizedQty} × avg ${fmtMoney(listing.avgSalePrice)}</span></div>
+            <div class="detail-item"><label>Realized Revenue</label><span>${fmtMoney(listing.realizedRevenue)}</span></div>
+            <div class="detail-item"><label>Shipping Charged</label><span>${fmtMoney(listing.realizedShipping)}</span></div>
+            <div class="detail-item"><label>Last Sale</label><span>${esc(listing.lastSaleDate || '-')}</span></div>` : ''}
+            <div class="detail-item detail-full"><label>Recommendations</label>${renderRecommendationList(listing.recommendations || (listing.recommendation ? [listing.recommendation] : []))}</div>
           </div>
           <div class="detail-actions">
             <button class="btn-sm btn-primary btn-optimize-title">🤖 Optimize Title</button>
@@ -896,6 +1958,12 @@
     if (perfBtn) {
       perfBtn.addEventListener('click', () => openPerfModal(listing));
     }
+    setupCategoryCorrection(detailTr, listing);
+    setupAdRateDetail(detailTr, listing);
+    setupAcquisitionDetail(detailTr, listing);
+    detailTr.querySelectorAll('.price-push-btn').forEach(btn => {
+      btn.addEventListener('click', () => pushListingPrice(listing, parseFloat(btn.dataset.price)));
+    });
 
     // Inject eBay comparison widget if the integration is loaded
     if (typeof eBayUI !== 'undefined') {
@@ -957,6 +2025,16 @@
     return val.toFixed(1) + '%';
   }
 
+  function fmtBytes(n) {
+    if (n < 1024) return n + ' B';
+    if (n < 1024 * 1024) return (n / 1024).toFixed(0) + ' KB';
+    return (n / (1024 * 1024)).toFixed(1) + ' MB';
+  }
+
+  function fmtMoney(val) {
+    return '$' + (val || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
   function fmtChg(pct) {
     if (pct === null || pct === undefined) return '<span class="chg-na">N/A</span>';
     const sign = pct >= 0 ? '+' : '';
@@ -971,6 +2049,13 @@
     return `<span class="${cls}">${sign}${delta}</span>`;
   }
 
+  /** 1 → "1st", 22 → "22nd", 13 → "13th" */
+  function ordinal(n) {
+    const tens = n % 100;
+    const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+    return n + suffix;
+  }
+
   function esc(str) {
     if (!str) return '';
     return String(str)
@@ -1595,7 +2680,7 @@
         pushBtn.addEventListener('click', () => {
           const listingMap = eBaySync.getListingMap();
           const ebayItemID = listingMap[listing.itemId] || null;
-          eBayUI.openPushModal(ebayItemID || listing.itemId, listing.title, sugg.title);
+          eBayUI.openPushModal(ebayItemID || listing.itemId, listing.title, sugg.title, sugg.estimatedCTRImprovement);
         });
       }
 
@@ -1699,6 +2784,16 @@
       exportOptimizedTitles(results);
       setStatus(`Optimized ${results.length} listing(s)! CSV downloaded.`, 'success');
 
+      // Queue the titles for the eBay bulk push, which logs them for impact tracking
+      if (typeof eBayUI !== 'undefined' && eBayConfig.isConfigured()) {
+        eBayUI.showBulkPanel(results.map(r => ({
+          ebayItemID: r.itemId,
+          oldTitle: r.oldTitle,
+          newTitle: r.newTitle,
+          predictedCTRImprovement: r.improvement,
+        })));
+      }
+
       // Update avg improvement stat
       const avgImp = Math.round(
         results.reduce((s, r) => s + (r.improvement || 0), 0) / results.length
@@ -1723,6 +2818,203 @@
     downloadText(csv, 'optimized-titles.csv', 'text/csv');
   }
 
+  // ─── Title Revision Impact ─────────────────────────────────────────────────
+
+  function impactWindowText(o) {
+    return `${o.source === 'live' ? 'live pull' : esc(truncate(o.label || 'report', 24))} (${o.days}d)`;
+  }
+
+  function titleImpactRowHtml({ revision, result }) {
+    const pushed = new Date(revision.pushedAt).toLocaleDateString();
+    const predicted = revision.predictedCTRImprovement !== null
+      ? `+${revision.predictedCTRImprovement}%`
+      : '<span class="chg-na" title="Typed by hand — no prediction">—</span>';
+
+    let actual = '<span class="chg-na">—</span>';
+    let impressions = '<span class="chg-na">—</span>';
+    let windows;
+    if (result.status === 'measured') {
+      const verdict = result.beatPrediction === null ? ''
+        : result.beatPrediction ? ' <span title="Met or beat the prediction">✅</span>' : ' <span title="Fell short of the prediction">⚠️</span>';
+      actual = `${fmtChg(result.ctrChange)}${verdict}<br><small style="color:var(--text-muted)">${result.before.ctr.toFixed(2)}% → ${result.after.ctr.toFixed(2)}%</small>`;
+      impressions = fmtChg(result.impressionsChange);
+      windows = `<small>${impactWindowText(result.before)} → ${impactWindowText(result.after)}</small>`;
+    } else if (result.status === 'waiting') {
+      windows = `<small style="color:var(--text-muted)">⏳ Waiting for ${result.before.days} days of traffic after the push</small>`;
+    } else {
+      windows = '<small style="color:var(--text-muted)">No traffic from before the push</small>';
+    }
+
+    return `
+      <tr>
+        <td>${pushed}${revision.source === 'bulk' ? ' <span class="badge badge-low">bulk</span>' : ''}</td>
+        <td class="title-cell">${esc(truncate(revision.newTitle, 60))}${revision.oldTitle ? `<br><small style="color:var(--text-muted)"><s>${esc(truncate(revision.oldTitle, 60))}</s></small>` : ''}</td>
+        <td>${predicted}</td>
+        <td>${actual}</td>
+        <td>${impressions}</td>
+        <td>${windows}</td>
+        <td><button class="btn-sm btn-secondary title-impact-remove" data-id="${esc(revision.id)}" title="Remove from the log">✕</button></td>
+      </tr>`;
+  }
+
+  function renderTitleImpact() {
+    const section = document.getElementById('title-impact-section');
+    if (!section || typeof TitleRevisions === 'undefined') return;
+    const card = TitleRevisions.reportCard(Storage.isAvailable() ? Storage.getAllReports() : []);
+    section.style.display = card.total ? '' : 'none';
+    if (!card.total) return;
+
+    const avg = v => (v === null ? '—' : `${v >= 0 ? '+' : ''}${v.toFixed(1)}%`);
+    const summary = document.getElementById('title-impact-summary');
+    if (summary) {
+      summary.innerHTML = `
+        <div class="stat-card"><label>Titles Pushed</label><span>${card.total}</span></div>
+        <div class="stat-card"><label>Measured</label><span>${card.measured}</span></div>
+        <div class="stat-card"><label>Avg Predicted CTR</label><span>${avg(card.avgPredicted)}</span></div>
+        <div class="stat-card"><label>Avg Actual CTR</label><span>${avg(card.avgActualCTR)}</span></div>
+        <div class="stat-card"><label>Avg Impressions / Day</label><span>${avg(card.avgImpressions)}</span></div>
+        <div class="stat-card"><label>Met Prediction</label><span>${card.compared ? `${card.beat} of ${card.compared}` : '—'}</span></div>`;
+    }
+    const tbody = document.getElementById('title-impact-tbody');
+    if (tbody) tbody.innerHTML = card.rows.map(titleImpactRowHtml).join('');
+  }
+
+  function setupTitleImpact() {
+    window.addEventListener('titleRevisionLogged', renderTitleImpact);
+    const tbody = document.getElementById('title-impact-tbody');
+    if (tbody) {
+      tbody.addEventListener('click', e => {
+        const btn = e.target.closest('.title-impact-remove');
+        if (!btn) return;
+        TitleRevisions.remove(btn.dataset.id);
+        renderTitleImpact();
+      });
+    }
+    renderTitleImpact();
+  }
+
+  // ─── Anomaly Alerts ────────────────────────────────────────────────────────
+
+  const ALERT_ICONS = { critical: '🔴', warning: '🟠', info: '🔵' };
+
+  /** A live pull shaped like a saved report, so it can be scored against report history. */
+  function liveReport(listings, days) {
+    const end = new Date();
+    const start = new Date(end.getTime() - (days - 1) * 86400000);
+    const endDate = end.toISOString().slice(0, 10);
+    return {
+      // Pulls of the same period on the same day share an id, so their alerts aren't raised twice
+      id: `live-${endDate}-${days}d`,
+      filename: 'Live pull',
+      uploadedAt: end.toISOString(),
+      reportPeriod: { start: start.toISOString().slice(0, 10), end: endDate, source: 'live' },
+      data: listings,
+    };
+  }
+
+  /**
+   * Score the newest report (or a live pull) against saved history, add what
+   * it finds to the inbox and pop a toast for anything critical.
+   * @param {object} [live] - liveReport() output; omitted, the latest saved report is scanned
+   */
+  function scanForAnomalies(live) {
+    if (typeof Anomalies === 'undefined' || !Storage.isAvailable()) return;
+    const reports = Storage.getAllReports();
+    if (live) {
+      // A pull of a different length than the reports can only be compared per day,
+      // and a short one is mostly eBay's reporting lag
+      if (Trends.reportDays(live) < Anomalies.MIN_LIVE_DAYS) return;
+      if (!reports.length || !Trends.canNormalize([...reports, live])) return;
+      reports.push(live);
+    }
+    const added = Anomalies.ingest(Anomalies.detect(reports));
+    renderAnomalyAlerts();
+
+    const critical = added.filter(a => a.severity === 'critical');
+    if (critical.length && typeof eBayUI !== 'undefined') {
+      const first = critical[0];
+      const more = critical.length > 1 ? ` (+${critical.length - 1} more)` : '';
+      eBayUI.showToast(`🚨 ${truncate(first.title, 40)}: ${first.message}${more}`, 'error', 8000);
+    }
+  }
+
+  function alertValueText(alert, value) {
+    if (alert.metric === 'impressions') return `${Math.round(value).toLocaleString()}${alert.perDay ? ' / day' : ''}`;
+    return `${value.toFixed(alert.metric === 'ctr' ? 2 : 1)}%`;
+  }
+
+  function alertRowHtml(alert) {
+    return `
+      <tr class="alert-row alert-${alert.severity}">
+        <td>${ALERT_ICONS[alert.severity]} ${alert.severity}</td>
+        <td class="title-cell">${esc(truncate(alert.title, 60))}<br><small style="color:var(--text-muted)">${esc(alert.itemId)}</small></td>
+        <td>${esc(alert.message)}<br><small style="color:var(--text-muted)">z = ${alert.z.toFixed(1)}</small></td>
+        <td>${alertValueText(alert, alert.value)}</td>
+        <td>${alertValueText(alert, alert.baseline)}</td>
+        <td><small>${esc(alert.reportId.startsWith('live-') ? 'Live pull' : truncate(alert.filename || '', 24))}<br>${new Date(alert.uploadedAt).toLocaleDateString()}</small></td>
+        <td>
+          <button class="btn-sm btn-secondary alert-snooze" data-key="${esc(alert.key)}" title="Hide this kind of alert for this listing for ${Anomalies.DEFAULT_SNOOZE_DAYS} days">💤 Snooze</button>
+          <button class="btn-sm btn-secondary alert-dismiss" data-key="${esc(alert.key)}" title="Dismiss">✕</button>
+        </td>
+      </tr>`;
+  }
+
+  /** Inbox table plus the header button counting open alerts. */
+  function renderAnomalyAlerts() {
+    if (typeof Anomalies === 'undefined') return;
+    const alerts = Anomalies.inbox();
+    const section = document.getElementById('alerts-inbox');
+    if (section) section.style.display = alerts.length ? '' : 'none';
+    const tbody = document.getElementById('alerts-tbody');
+    if (tbody) tbody.innerHTML = alerts.map(alertRowHtml).join('');
+
+    const btn = document.getElementById('header-anomaly-alert');
+    if (!btn) return;
+    const urgent = alerts.filter(a => a.severity !== 'info');
+    if (!urgent.length) {
+      btn.style.display = 'none';
+      return;
+    }
+    const critical = urgent.filter(a => a.severity === 'critical').length;
+    btn.textContent = `🚨 ${urgent.length} listing alert${urgent.length === 1 ? '' : 's'}`;
+    btn.classList.toggle('header-alert-critical', critical > 0);
+    btn.title = urgent.slice(0, 10).map(a => `${truncate(a.title, 40)}: ${a.message}`).join('\n');
+    btn.style.display = '';
+  }
+
+  function setupAnomalyAlerts() {
+    const tbody = document.getElementById('alerts-tbody');
+    if (tbody) {
+      tbody.addEventListener('click', e => {
+        const snooze = e.target.closest('.alert-snooze');
+        const dismiss = e.target.closest('.alert-dismiss');
+        if (snooze) Anomalies.snooze(snooze.dataset.key);
+        else if (dismiss) Anomalies.dismiss(dismiss.dataset.key);
+        else return;
+        renderAnomalyAlerts();
+      });
+    }
+
+    const dismissAll = document.getElementById('btn-alerts-dismiss-all');
+    if (dismissAll) {
+      dismissAll.addEventListener('click', () => {
+        if (!confirm('Dismiss every alert in the inbox?')) return;
+        Anomalies.dismissAll();
+        renderAnomalyAlerts();
+      });
+    }
+
+    const headerBtn = document.getElementById('header-anomaly-alert');
+    if (headerBtn) {
+      headerBtn.addEventListener('click', () => {
+        const section = document.getElementById('alerts-inbox');
+        if (section) section.scrollIntoView({ behavior: 'smooth' });
+      });
+    }
+
+    renderAnomalyAlerts();
+  }
+
   // ─── Connected Mode UI ────────────────────────────────────────────────────
 
   function applyConnectedModeUI() {
@@ -1784,8 +3076,51 @@
     if (toggleBtn) toggleBtn.addEventListener('click', e => { e.stopPropagation(); toggleCOGS(); });
     if (cogsHeader) cogsHeader.addEventListener('click', toggleCOGS);
 
-    // Render materials table
+    // What changed when these settings were brought forward from an older version
+    renderMigrationNotice(settings);
+    const notice = document.getElementById('cogs-migration-notice');
+    if (notice) {
+      notice.addEventListener('click', e => {
+        if (!e.target.closest('.cogs-migration-dismiss')) return;
+        const s = COGS.load();
+        delete s.lastMigration;
+        COGS.save(s);
+        renderMigrationNotice(s);
+      });
+    }
+
+    // Default Promoted Listings ad rate
+    const adRateInput = document.getElementById('cogs-ad-rate');
+    if (adRateInput) {
+      adRateInput.value = +(settings.adRate * 100).toFixed(2);
+      adRateInput.addEventListener('change', () => {
+        const s = COGS.load();
+        s.adRate = Math.max(0, parseFloat(adRateInput.value) || 0) / 100;
+        COGS.save(s);
+        applyCOGSChange(s);
+      });
+    }
+    renderAdRateOverrides(settings);
+
+    // Shipping rules and carrier rate tables
+    renderShippingEditor(settings);
+    setupShippingEditor();
+
+    // eBay fee schedule
+    renderFeeSchedule(settings);
+    setupFeeSchedule();
+
+    // What the cards cost
+    renderAcquisitionSummary(settings);
+    setupAcquisitionSection();
+
+    // Render materials table and stock
     renderCOGSMaterials(settings);
+    setupInventory(settings, () => {
+      if (cogsBody.style.display === 'none') toggleCOGS();
+      const table = document.getElementById('cogs-materials-table');
+      if (table) table.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
 
     // Render previews
     renderCOGSPreviews(settings);
@@ -1809,6 +3144,646 @@
         renderCOGSKPIs();
       });
     }
+
+    // Import materials from the Profit Tracker workbook
+    const importBtn = document.getElementById('btn-import-materials');
+    const importInput = document.getElementById('materialsFileInput');
+    if (importBtn && importInput) {
+      importBtn.addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', e => {
+        const file = e.target.files[0];
+        if (file) importMaterialsWorkbook(file);
+        importInput.value = '';
+      });
+    }
+  }
+
+  /** Fee, ad-rate and acquisition settings feed the previews, profit KPIs and the promoted ROI panel. */
+  function applyCOGSChange(settings) {
+    renderAdRateOverrides(settings);
+    renderAcquisitionSummary(settings);
+    renderCOGSPreviews(settings);
+    renderCOGSKPIs();
+    if (allListings.length) {
+      renderPromotedSection();
+      renderPriceAdvisor();
+    }
+  }
+
+  function renderAdRateOverrides(settings) {
+    const count = Object.keys(settings.adRates || {}).length;
+    setText('cogs-ad-rate-overrides', count ? `${count} listing(s) use their own rate.` : '');
+  }
+
+  function renderMigrationNotice(settings) {
+    const el = document.getElementById('cogs-migration-notice');
+    if (!el) return;
+    const m = settings.lastMigration;
+    if (!m) {
+      el.style.display = 'none';
+      el.innerHTML = '';
+      return;
+    }
+    el.innerHTML = `
+      <strong>Your COGS settings were updated from version ${m.from} to ${m.to}.</strong>
+      <ul>${m.changes.map(c => `<li>${esc(c)}</li>`).join('')}</ul>
+      <button class="btn-sm btn-secondary cogs-migration-dismiss">Got it</button>`;
+    el.style.display = 'block';
+  }
+
+  // ─── Shipping Rules ────────────────────────────────────────────────────────
+
+  const SHIPPING_FIELDS = [
+    'price', 'lotSize', 'cards', 'weightOz', 'weightClass', 'orderQuantity', 'sport', 'title', 'isPromoted',
+    'attributes.graded', 'attributes.grader', 'attributes.grade', 'attributes.serial.of', 'attributes.auto',
+    'attributes.set', 'attributes.parallel',
+  ];
+
+  function renderShippingEditor(settings) {
+    const sh = settings.shipping;
+    const methodOptions = selected => sh.methods
+      .map(m => `<option value="${esc(m.id)}" ${m.id === selected ? 'selected' : ''}>${esc(m.label)}</option>`).join('');
+    const noValue = op => op === 'empty' || op === '!empty';
+
+    // How many loaded listings each rule currently ships
+    const hits = {};
+    allListings.forEach(l => {
+      const ruleId = COGS.shippingFor(l, settings).ruleId;
+      hits[ruleId] = (hits[ruleId] || 0) + 1;
+    });
+
+    const list = document.getElementById('shipping-rules-list');
+    if (list) {
+      list.innerHTML = sh.rules.map((rule, idx) => `
+        <div class="rule-card ${rule.enabled === false ? 'rule-disabled' : ''}" data-ship-rule="${idx}">
+          <div class="rule-head">
+            <input type="checkbox" data-prop="enabled" ${rule.enabled !== false ? 'checked' : ''} aria-label="Enabled" />
+            <input type="text" class="cogs-input rule-name" data-prop="name" value="${esc(rule.name)}" aria-label="Rule name" />
+            <span class="badge badge-low">${hits[rule.id] || 0} listing(s)</span>
+            <span class="rule-tools">
+              <button class="btn-sm btn-secondary" data-ship-action="up" ${idx === 0 ? 'disabled' : ''} title="Move up">↑</button>
+              <button class="btn-sm btn-secondary" data-ship-action="down" ${idx === sh.rules.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+              <button class="btn-sm btn-danger" data-ship-action="delete" title="Delete rule">🗑</button>
+            </span>
+          </div>
+          <div class="rule-conditions">
+            ${rule.conditions.map((c, ci) => `
+              <div class="rule-condition">
+                <span class="cogs-note">${ci === 0 ? 'When' : 'and'}</span>
+                <input type="text" class="cogs-input" list="shipping-field-list" data-cond="${ci}" data-prop="field" value="${esc(c.field)}" aria-label="Field" />
+                <select class="cogs-input" data-cond="${ci}" data-prop="op" aria-label="Operator">
+                  ${RecommendationRules.OPERATORS.map(o => `<option value="${esc(o.op)}" ${o.op === c.op ? 'selected' : ''}>${esc(o.label)}</option>`).join('')}
+                </select>
+                ${noValue(c.op) ? '' : `<input type="text" class="cogs-input cogs-num" data-cond="${ci}" data-prop="value" value="${esc(String(c.value ?? ''))}" aria-label="Value" />`}
+                <button class="btn-sm btn-secondary" data-ship-action="remove-condition" data-cond="${ci}" ${rule.conditions.length <= 1 ? 'disabled' : ''} title="Remove condition">✕</button>
+              </div>`).join('')}
+            <button class="btn-sm btn-secondary" data-ship-action="add-condition">＋ Condition</button>
+          </div>
+          <div class="rule-output">
+            <label>Ship via <select class="cogs-input" data-prop="method">${methodOptions(rule.method)}</select></label>
+            <label>Buyer pays $ <input type="number" class="cogs-input cogs-num" min="0" step="0.01" data-prop="charge" value="${(rule.charge || 0).toFixed(2)}" /></label>
+          </div>
+        </div>`).join('') || '<p class="cogs-note">No rules — every sale uses the default below.</p>';
+    }
+
+    const settingsEl = document.getElementById('shipping-settings');
+    if (settingsEl) {
+      const zoneOptions = COGS.ZONES
+        .map((z, i) => `<option value="${i + 2}" ${Math.max(sh.zone, 2) === i + 2 ? 'selected' : ''}>Zone ${z}</option>`).join('');
+      settingsEl.innerHTML = `
+        <div class="fee-settings-grid">
+          <label>Otherwise ship via <select class="cogs-input" data-setting="defaultMethod">${methodOptions(sh.defaultMethod)}</select></label>
+          <label>…and the buyer pays
+            <span>$<input type="number" class="cogs-input cogs-num" min="0" step="0.01" data-setting="defaultCharge" value="${(sh.defaultCharge || 0).toFixed(2)}" /></span></label>
+          <label>Zone for zoned rates <select class="cogs-input" data-setting="zone">${zoneOptions}</select></label>
+          <label>Packed raw card
+            <span><input type="number" class="cogs-input cogs-num" min="0" step="0.1" data-setting="weights.raw" value="${sh.weights.raw}" /> oz</span></label>
+          <label>Packed graded slab
+            <span><input type="number" class="cogs-input cogs-num" min="0" step="0.1" data-setting="weights.graded" value="${sh.weights.graded}" /> oz</span></label>
+          <label>Each extra card in a lot
+            <span><input type="number" class="cogs-input cogs-num" min="0" step="0.1" data-setting="weights.perExtraCard" value="${sh.weights.perExtraCard}" /> oz</span></label>
+        </div>`;
+    }
+
+    const methodsEl = document.getElementById('shipping-methods');
+    if (methodsEl) {
+      methodsEl.innerHTML = sh.methods.map((m, mi) => {
+        const head = m.zoned
+          ? COGS.ZONES.map(z => `<th>Zone ${z}</th>`).join('')
+          : '<th>Price</th>';
+        const rows = (m.rates || []).map((r, ri) => `
+          <tr>
+            <td><input type="number" class="cogs-input cogs-num" min="0" step="0.1" data-rate="${ri}" data-key="upToOz" value="${r.upToOz ?? ''}" placeholder="any" /></td>
+            ${m.zoned
+              ? COGS.ZONES.map((z, zi) => `<td><input type="number" class="cogs-input cogs-num" min="0" step="0.01" data-rate="${ri}" data-zone="${zi}" value="${((r.zones || [])[zi] || 0).toFixed(2)}" /></td>`).join('')
+              : `<td><input type="number" class="cogs-input cogs-num" min="0" step="0.01" data-rate="${ri}" data-key="price" value="${(r.price || 0).toFixed(2)}" /></td>`}
+            <td><button class="btn-sm btn-danger" data-ship-action="delete-rate" data-rate="${ri}" ${m.rates.length <= 1 ? 'disabled' : ''} title="Remove row">🗑</button></td>
+          </tr>`).join('');
+        return `
+          <div class="cogs-ship-card" data-method="${mi}">
+            <div class="shipping-method-head">
+              <input type="text" class="cogs-input rule-name" data-prop="label" value="${esc(m.label)}" aria-label="Method name" />
+              <code>${esc(m.id)}</code>
+              <button class="btn-sm btn-danger" data-ship-action="delete-method" ${sh.methods.length <= 1 ? 'disabled' : ''} title="Delete method">🗑</button>
+            </div>
+            <div class="fee-settings-grid">
+              <label>Carrier <input type="text" class="cogs-input" data-prop="carrier" value="${esc(m.carrier || '')}" /></label>
+              <label>Max weight <span><input type="number" class="cogs-input cogs-num" min="0" step="0.1" data-prop="maxOz" value="${m.maxOz ?? ''}" placeholder="none" /> oz</span></label>
+              <label>Surcharge per package <span>$<input type="number" class="cogs-input cogs-num" min="0" step="0.01" data-prop="surcharge" value="${(m.surcharge || 0).toFixed(2)}" /></span></label>
+              <label class="fee-check"><input type="checkbox" data-prop="zoned" ${m.zoned ? 'checked' : ''} /> Priced by zone</label>
+            </div>
+            <div class="table-wrap">
+              <table class="scoring-table" aria-label="${esc(m.label)} rates">
+                <thead><tr><th>Up to oz</th>${head}<th></th></tr></thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>
+            <button class="btn-sm btn-secondary" data-ship-action="add-rate" style="margin-top:6px">＋ Weight Step</button>
+          </div>`;
+      }).join('') + '<button class="btn-sm btn-secondary" data-ship-action="add-method">＋ Add Method</button>';
+    }
+  }
+
+  function setupShippingEditor() {
+    const fieldList = document.getElementById('shipping-field-list');
+    if (fieldList) fieldList.innerHTML = SHIPPING_FIELDS.map(f => `<option value="${esc(f)}"></option>`).join('');
+
+    const num = (v, fallback = 0) => {
+      const n = parseFloat(v);
+      return isNaN(n) ? fallback : Math.max(0, n);
+    };
+    const byWeight = rates => rates.sort((a, b) => (a.upToOz ?? Infinity) - (b.upToOz ?? Infinity));
+
+    function commit(s, rerender) {
+      COGS.save(s);
+      if (rerender) renderShippingEditor(s);
+      applyCOGSChange(s);
+      if (allListings.length) renderFullTable();
+    }
+
+    const list = document.getElementById('shipping-rules-list');
+    if (list) {
+      list.addEventListener('change', e => {
+        const card = e.target.closest('[data-ship-rule]');
+        if (!card) return;
+        const s = COGS.load();
+        const rule = s.shipping.rules[parseInt(card.dataset.shipRule, 10)];
+        if (!rule) return;
+        const { prop, cond } = e.target.dataset;
+        if (cond !== undefined) {
+          const condition = rule.conditions[parseInt(cond, 10)];
+          if (!condition) return;
+          condition[prop] = prop === 'value' ? RecommendationRules.parseValue(e.target.value) : e.target.value;
+        } else if (prop === 'enabled') {
+          rule.enabled = e.target.checked;
+        } else if (prop === 'charge') {
+          rule.charge = num(e.target.value);
+        } else if (prop) {
+          rule[prop] = e.target.value;
+        }
+        commit(s, prop === 'op' || prop === 'enabled');
+      });
+
+      list.addEventListener('click', e => {
+        const btn = e.target.closest('button[data-ship-action]');
+        const card = btn && btn.closest('[data-ship-rule]');
+        if (!card) return;
+        const s = COGS.load();
+        const rules = s.shipping.rules;
+        const idx = parseInt(card.dataset.shipRule, 10);
+        const rule = rules[idx];
+        if (!rule) return;
+
+        switch (btn.dataset.shipAction) {
+          case 'up':
+          case 'down': {
+            const to = idx + (btn.dataset.shipAction === 'up' ? -1 : 1);
+            if (to < 0 || to >= rules.length) return;
+            rules.splice(to, 0, rules.splice(idx, 1)[0]);
+            break;
+          }
+          case 'delete':
+            if (!confirm(`Delete the "${rule.name}" shipping rule?`)) return;
+            rules.splice(idx, 1);
+            break;
+          case 'add-condition':
+            rule.conditions.push({ field: '', op: '>', value: 0 });
+            break;
+          case 'remove-condition':
+            if (rule.conditions.length <= 1) return;
+            rule.conditions.splice(parseInt(btn.dataset.cond, 10), 1);
+            break;
+          default:
+            return;
+        }
+        commit(s, true);
+      });
+    }
+
+    const addBtn = document.getElementById('btn-shipping-rule-add');
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        const s = COGS.load();
+        s.shipping.rules.push({
+          id: 'ship_' + Date.now(),
+          name: 'New shipping rule',
+          enabled: true,
+          conditions: [{ field: 'price', op: '>', value: 0 }],
+          method: s.shipping.defaultMethod,
+          charge: 0,
+        });
+        commit(s, true);
+      });
+    }
+
+    const resetBtn = document.getElementById('btn-shipping-reset');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        if (!confirm('Replace your shipping rules and rate tables with the built-in defaults?')) return;
+        const s = COGS.load();
+        s.shipping = JSON.parse(JSON.stringify(COGS.DEFAULTS.shipping));
+        commit(s, true);
+      });
+    }
+
+    const settingsEl = document.getElementById('shipping-settings');
+    if (settingsEl) {
+      settingsEl.addEventListener('change', e => {
+        const key = e.target.dataset.setting;
+        if (!key) return;
+        const s = COGS.load();
+        const sh = s.shipping;
+        if (key === 'defaultMethod') sh.defaultMethod = e.target.value;
+        else if (key === 'zone') sh.zone = parseInt(e.target.value, 10) || 5;
+        else if (key === 'defaultCharge') sh.defaultCharge = num(e.target.value);
+        else if (key.startsWith('weights.')) sh.weights[key.slice(8)] = num(e.target.value);
+        commit(s, false);
+      });
+    }
+
+    const methodsEl = document.getElementById('shipping-methods');
+    if (!methodsEl) return;
+
+    methodsEl.addEventListener('change', e => {
+      const card = e.target.closest('[data-method]');
+      if (!card) return;
+      const s = COGS.load();
+      const method = s.shipping.methods[parseInt(card.dataset.method, 10)];
+      if (!method) return;
+      const { prop, rate, key, zone } = e.target.dataset;
+      let rerender = false;
+
+      if (rate !== undefined) {
+        const row = method.rates[parseInt(rate, 10)];
+        if (!row) return;
+        if (zone !== undefined) {
+          row.zones = row.zones || [];
+          row.zones[parseInt(zone, 10)] = num(e.target.value);
+        } else if (key === 'upToOz') {
+          row.upToOz = e.target.value.trim() === '' ? null : num(e.target.value);
+          byWeight(method.rates);
+          rerender = true;
+        } else {
+          row.price = num(e.target.value);
+        }
+      } else if (prop === 'zoned') {
+        // Switching table type keeps the weight steps; flat ↔ zoned copies the price across
+        method.zoned = e.target.checked;
+        method.rates = method.rates.map(r => (method.zoned
+          ? { upToOz: r.upToOz, zones: COGS.ZONES.map(() => r.price || 0) }
+          : { upToOz: r.upToOz, price: (r.zones || [])[Math.max(s.shipping.zone, 2) - 2] || 0 }));
+        rerender = true;
+      } else if (prop === 'maxOz') {
+        method.maxOz = e.target.value.trim() === '' ? null : num(e.target.value);
+      } else if (prop === 'surcharge') {
+        method.surcharge = num(e.target.value);
+      } else if (prop) {
+        method[prop] = e.target.value;
+        rerender = prop === 'label';
+      }
+      commit(s, rerender);
+    });
+
+    methodsEl.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-ship-action]');
+      if (!btn) return;
+      const s = COGS.load();
+      const methods = s.shipping.methods;
+
+      if (btn.dataset.shipAction === 'add-method') {
+        methods.push({ id: 'm' + Date.now().toString(36), label: 'New method', carrier: '', maxOz: null, surcharge: 0, rates: [{ upToOz: null, price: 0 }] });
+        commit(s, true);
+        return;
+      }
+
+      const card = btn.closest('[data-method]');
+      const mi = card ? parseInt(card.dataset.method, 10) : -1;
+      const method = methods[mi];
+      if (!method) return;
+
+      switch (btn.dataset.shipAction) {
+        case 'add-rate': {
+          const last = method.rates[method.rates.length - 1];
+          const step = last && last.upToOz !== null && last.upToOz !== undefined ? last.upToOz + 4 : null;
+          method.rates.push(method.zoned
+            ? { upToOz: step, zones: last ? [...(last.zones || [])] : COGS.ZONES.map(() => 0) }
+            : { upToOz: step, price: last ? last.price : 0 });
+          byWeight(method.rates);
+          break;
+        }
+        case 'delete-rate':
+          if (method.rates.length <= 1) return;
+          method.rates.splice(parseInt(btn.dataset.rate, 10), 1);
+          break;
+        case 'delete-method': {
+          const used = s.shipping.rules.some(r => r.method === method.id) || s.shipping.defaultMethod === method.id;
+          if (methods.length <= 1 || !confirm(`Delete ${method.label}?${used ? ' Rules that use it will fall back to the first method.' : ''}`)) return;
+          methods.splice(mi, 1);
+          break;
+        }
+        default:
+          return;
+      }
+      commit(s, true);
+    });
+  }
+
+  // Fee schedule inputs: settings.fees path → how the input shows the value
+  const FEE_FIELDS = [
+    { path: 'topRatedDiscount',   label: 'Top Rated Plus discount', kind: 'pct' },
+    { path: 'perOrder.small',     label: 'Per-order fee, small orders', kind: 'money' },
+    { path: 'perOrder.smallUpTo', label: '…for order totals up to', kind: 'money' },
+    { path: 'perOrder.standard',  label: 'Per-order fee, larger orders', kind: 'money' },
+    { path: 'internationalRate',  label: 'International fee', kind: 'pct' },
+    { path: 'internationalShare', label: 'Estimated sales abroad', kind: 'pct' },
+    { path: 'homeCountry',        label: 'Home country', kind: 'text' },
+    { path: 'salesPerMonth',      label: 'Orders per month (spreads store fee)', kind: 'int' },
+  ];
+
+  function feePathGet(fees, path) {
+    return path.split('.').reduce((o, k) => (o ? o[k] : undefined), fees);
+  }
+
+  function feePathSet(fees, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((o, k) => (o[k] = o[k] || {}), fees);
+    target[last] = value;
+  }
+
+  function feeInputValue(value, kind) {
+    if (kind === 'pct') return +((value || 0) * 100).toFixed(3);
+    if (kind === 'money') return (value || 0).toFixed(2);
+    return value ?? '';
+  }
+
+  /** Editor for settings.fees; the tier table shows the category's store or standard tiers to match the store level. */
+  function renderFeeSchedule(settings) {
+    const el = document.getElementById('cogs-fee-schedule');
+    if (!el) return;
+    const f = settings.fees;
+    const level = COGS.STORE_LEVELS.find(l => l.id === f.storeLevel) || COGS.STORE_LEVELS[0];
+    const tierSet = level.storeRates ? 'store' : 'standard';
+    const category = f.categories[f.category] || Object.values(f.categories)[0];
+    const tiers = (category && category[tierSet]) || [];
+
+    const categoryOptions = Object.entries(f.categories)
+      .map(([id, c]) => `<option value="${esc(id)}" ${id === f.category ? 'selected' : ''}>${esc(c.label)}</option>`).join('');
+    const levelOptions = COGS.STORE_LEVELS
+      .map(l => `<option value="${l.id}" ${l.id === level.id ? 'selected' : ''}>${esc(l.label)}</option>`).join('');
+    const fields = FEE_FIELDS.map(fd => `
+      <label>${esc(fd.label)}
+        <span><input class="cogs-input ${fd.kind === 'text' ? '' : 'cogs-num'}" type="${fd.kind === 'text' ? 'text' : 'number'}" min="0"
+          step="${fd.kind === 'int' ? 1 : 0.01}" data-fee="${fd.path}" data-kind="${fd.kind}"
+          value="${esc(String(feeInputValue(feePathGet(f, fd.path), fd.kind)))}" />${fd.kind === 'pct' ? ' %' : ''}</span>
+      </label>`).join('');
+    const tierRows = tiers.map((t, i) => `
+      <tr>
+        <td>$<input class="cogs-input cogs-num" type="number" min="0" step="0.01" data-tier="${i}" data-key="upTo"
+          value="${t.upTo === null || t.upTo === undefined ? '' : t.upTo}" placeholder="no limit" /></td>
+        <td><input class="cogs-input cogs-num" type="number" min="0" step="0.01" data-tier="${i}" data-key="rate"
+          value="${+((t.rate || 0) * 100).toFixed(3)}" /> %</td>
+        <td><button class="btn-sm btn-danger fee-tier-delete" data-tier="${i}" title="Remove tier" ${tiers.length < 2 ? 'disabled' : ''}>🗑</button></td>
+      </tr>`).join('');
+
+    el.innerHTML = `
+      <div class="fee-settings-grid">
+        <label>Category <select class="cogs-input" data-fee="category" data-kind="select">${categoryOptions}</select></label>
+        <label>Store subscription <select class="cogs-input" data-fee="storeLevel" data-kind="select">${levelOptions}</select></label>
+        <label>Monthly store fee
+          <span>$<input class="cogs-input cogs-num" type="number" min="0" step="0.01" data-fee="storeFees.${level.id}" data-kind="money"
+            value="${feeInputValue((f.storeFees || {})[level.id], 'money')}" ${level.id === 'none' ? 'disabled' : ''} /></span>
+        </label>
+        <label class="fee-check"><input type="checkbox" data-fee="topRated" data-kind="bool" ${f.topRated ? 'checked' : ''} /> Top Rated Plus listing</label>
+        <label class="fee-check"><input type="checkbox" data-fee="feeOnShipping" data-kind="bool" ${f.feeOnShipping ? 'checked' : ''} /> Fees apply to shipping charged</label>
+        ${fields}
+      </div>
+      <table class="scoring-table fee-tier-table" aria-label="Final value fee tiers">
+        <thead><tr><th>${esc(category ? category.label : '')} — ${tierSet === 'store' ? 'store' : 'standard'} rate, order total up to</th><th>Rate</th><th></th></tr></thead>
+        <tbody>${tierRows}</tbody>
+      </table>
+      <button class="btn-sm btn-secondary fee-tier-add" style="margin-top:8px">+ Add Tier</button>
+    `;
+  }
+
+  function setupFeeSchedule() {
+    const el = document.getElementById('cogs-fee-schedule');
+    if (!el) return;
+
+    // Tiers being edited are the ones renderFeeSchedule showed
+    const currentTiers = f => {
+      const level = COGS.STORE_LEVELS.find(l => l.id === f.storeLevel) || COGS.STORE_LEVELS[0];
+      const category = f.categories[f.category];
+      const set = level.storeRates ? 'store' : 'standard';
+      category[set] = category[set] || [];
+      return category[set];
+    };
+    const sortTiers = tiers => tiers.sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+
+    el.addEventListener('change', e => {
+      const input = e.target;
+      const s = COGS.load();
+      let rerender = false;
+
+      if (input.dataset.tier !== undefined) {
+        const tiers = currentTiers(s.fees);
+        const tier = tiers[parseInt(input.dataset.tier, 10)];
+        if (!tier) return;
+        const raw = input.value.trim();
+        if (input.dataset.key === 'upTo') tier.upTo = raw === '' ? null : Math.max(0, parseFloat(raw) || 0);
+        else tier.rate = Math.max(0, parseFloat(raw) || 0) / 100;
+        sortTiers(tiers);
+        rerender = true;
+      } else if (input.dataset.fee) {
+        const kind = input.dataset.kind;
+        let value;
+        if (kind === 'bool') value = input.checked;
+        else if (kind === 'pct') value = Math.max(0, parseFloat(input.value) || 0) / 100;
+        else if (kind === 'money') value = Math.max(0, parseFloat(input.value) || 0);
+        else if (kind === 'int') value = Math.max(0, parseInt(input.value, 10) || 0);
+        else value = input.value.trim();
+        feePathSet(s.fees, input.dataset.fee, value);
+        rerender = kind === 'select';
+      } else {
+        return;
+      }
+
+      COGS.save(s);
+      if (rerender) renderFeeSchedule(s);
+      applyCOGSChange(s);
+    });
+
+    el.addEventListener('click', e => {
+      const add = e.target.closest('.fee-tier-add');
+      const del = e.target.closest('.fee-tier-delete');
+      if (!add && !del) return;
+      const s = COGS.load();
+      const tiers = currentTiers(s.fees);
+      if (add) {
+        // New tier $1,000 above the highest ceiling, at the top tier's rate
+        const last = tiers[tiers.length - 1];
+        const ceiling = tiers.reduce((m, t) => (t.upTo === null || t.upTo === undefined ? m : Math.max(m, t.upTo)), 0);
+        tiers.push({ upTo: ceiling + 1000, rate: last ? last.rate : 0 });
+        sortTiers(tiers);
+      } else if (tiers.length > 1) {
+        tiers.splice(parseInt(del.dataset.tier, 10), 1);
+      }
+      COGS.save(s);
+      renderFeeSchedule(s);
+      applyCOGSChange(s);
+    });
+  }
+
+  // ─── Acquisition Costs ─────────────────────────────────────────────────────
+
+  function renderAcquisitionSummary(settings) {
+    const items = settings.acquisition.items;
+    const known = allListings.filter(l => items[l.itemId]);
+    const total = known.reduce((sum, l) => sum + items[l.itemId].cost, 0);
+    setText('acq-summary', allListings.length
+      ? `${known.length} of ${allListings.length} listing(s) have a cost entered (${fmtMoney(total)}).`
+      : `${Object.keys(items).length} card cost(s) saved.`);
+
+    const list = document.getElementById('acq-lots');
+    if (!list) return;
+    const lots = settings.acquisition.lots;
+    list.innerHTML = lots.length ? `
+      <table class="scoring-table" aria-label="Lots">
+        <thead><tr><th>Lot</th><th>Paid</th><th>Cards</th><th>Split</th><th></th></tr></thead>
+        <tbody>${lots.map(lot => `
+          <tr>
+            <td>${esc(lot.name)}</td>
+            <td>${fmtMoney(lot.cost)}</td>
+            <td>${lot.itemIds.length}</td>
+            <td>${lot.split === 'price' ? 'by asking price' : 'evenly'}</td>
+            <td><button class="btn-sm btn-danger acq-lot-delete" data-lot-id="${esc(lot.id)}" title="Remove the lot and the costs it assigned">🗑</button></td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '';
+  }
+
+  function setupAcquisitionSection() {
+    const paste = document.getElementById('acq-paste');
+    const applyBtn = document.getElementById('btn-acq-apply');
+    if (paste && applyBtn) {
+      applyBtn.addEventListener('click', () => {
+        importAcquisitionText(paste.value, 'pasted costs');
+        paste.value = '';
+      });
+    }
+
+    const importBtn = document.getElementById('btn-acq-import');
+    const importInput = document.getElementById('acqFileInput');
+    if (importBtn && importInput) {
+      importBtn.addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', e => {
+        const file = e.target.files[0];
+        importInput.value = '';
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = ev => importAcquisitionText(ev.target.result, file.name);
+        reader.readAsText(file);
+      });
+    }
+
+    const lotBtn = document.getElementById('btn-acq-lot');
+    if (lotBtn) lotBtn.addEventListener('click', splitLot);
+
+    const list = document.getElementById('acq-lots');
+    if (list) {
+      list.addEventListener('click', e => {
+        const btn = e.target.closest('.acq-lot-delete');
+        if (!btn) return;
+        const s = COGS.load();
+        const lot = s.acquisition.lots.find(l => l.id === btn.dataset.lotId);
+        if (!lot || !confirm(`Remove the "${lot.name}" lot and the costs it assigned?`)) return;
+        COGS.removeLot(s, lot.id);
+        COGS.save(s);
+        applyCOGSChange(s);
+      });
+    }
+  }
+
+  function importAcquisitionText(text, source) {
+    const { entries, skipped } = COGS.parseAcquisitionCosts(text);
+    if (!entries.length) {
+      setStatus(`No item ID / cost rows found in ${source}.`, 'warning');
+      return;
+    }
+    const s = COGS.load();
+    const { added, updated } = COGS.importAcquisitionCosts(s, entries);
+    COGS.save(s);
+    applyCOGSChange(s);
+    setStatus(`Imported ${entries.length} card cost(s) from ${source} (${updated} updated, ${added} added${skipped ? `, ${skipped} row(s) skipped` : ''})`, skipped ? 'warning' : 'success');
+  }
+
+  /** Split the lot form's total across the listed item IDs, or the listings the table currently shows. */
+  function splitLot() {
+    const name = document.getElementById('acq-lot-name').value.trim();
+    const cost = parseFloat(document.getElementById('acq-lot-cost').value);
+    const split = document.getElementById('acq-lot-split').value;
+    const idsText = document.getElementById('acq-lot-items').value;
+
+    if (isNaN(cost) || cost < 0) {
+      setStatus('Enter what the lot cost before splitting it.', 'warning');
+      return;
+    }
+    const ids = (idsText.match(/\d{6,}/g) || []);
+    const cards = ids.length
+      ? [...new Set(ids)].map(id => allListings.find(l => l.itemId === id) || { itemId: id })
+      : filteredListings;
+    if (!cards.length) {
+      setStatus('No cards to split the lot across — list item IDs or filter the table first.', 'warning');
+      return;
+    }
+    if (!ids.length && !confirm(`Split ${fmtMoney(cost)} across the ${cards.length} listing(s) shown in the table?`)) return;
+
+    const s = COGS.load();
+    const lot = COGS.allocateLot(s, { name: name || 'Lot', cost, split }, cards);
+    COGS.save(s);
+    applyCOGSChange(s);
+    ['acq-lot-name', 'acq-lot-cost', 'acq-lot-items'].forEach(id => { document.getElementById(id).value = ''; });
+    const note = split === 'price' && lot.split !== 'price' ? ' evenly — some cards have no asking price' : '';
+    setStatus(`Split ${fmtMoney(lot.cost)} across ${lot.itemIds.length} card(s)${note}.`, note ? 'warning' : 'success');
+  }
+
+  async function importMaterialsWorkbook(file) {
+    setStatus(`Reading materials from ${file.name}…`, 'info');
+    try {
+      const workbook = await XLSXImport.readWorkbook(file);
+      const imported = XLSXImport.parseMaterials(workbook);
+      const s = COGS.load();
+      const { materials, added, updated } = XLSXImport.mergeMaterials(s.materials, imported);
+      s.materials = materials;
+      COGS.save(s);
+      renderCOGSMaterials(s);
+      renderCOGSPreviews(s);
+      renderCOGSKPIs();
+      setStatus(`Imported ${imported.length} materials from ${file.name} (${updated} updated, ${added} added)`, 'success');
+    } catch (err) {
+      setStatus(`Could not import materials: ${err.message}`, 'error');
+      console.error(err);
+    }
   }
 
   function renderCOGSMaterials(settings) {
@@ -1816,6 +3791,7 @@
     if (!tbody) return;
     tbody.innerHTML = '';
 
+    const stock = COGS.inventoryStatus(settings);
     settings.materials.forEach((mat, idx) => {
       const tr = document.createElement('tr');
       tr.innerHTML = `
@@ -1824,7 +3800,13 @@
         <td><input class="cogs-input cogs-num" type="number" min="0" step="0.01" value="${mat.packPrice.toFixed(2)}" data-field="packPrice" data-idx="${idx}" /></td>
         <td class="cogs-unit-cost" id="cogs-unit-${idx}">$${mat.unitCost.toFixed(4)}</td>
         <td><input type="checkbox" class="cogs-checkbox" data-field="includePerSale" data-idx="${idx}" ${mat.includePerSale ? 'checked' : ''} /></td>
-        <td><button class="btn-sm btn-danger cogs-delete-btn" data-idx="${idx}">🗑</button></td>
+        <td><input class="cogs-input cogs-num" type="number" step="1" value="${stock[idx].tracked ? mat.onHand : ''}" placeholder="—" data-field="onHand" data-idx="${idx}" aria-label="On hand" /></td>
+        <td><input class="cogs-input cogs-num" type="number" min="0" step="1" value="${stock[idx].reorderAt ?? ''}" placeholder="—" data-field="reorderAt" data-idx="${idx}" aria-label="Reorder at" /></td>
+        <td id="cogs-stock-${idx}" ${stockCellAttrs(stock[idx])}>${stockCellText(stock[idx])}</td>
+        <td>
+          <button class="btn-sm btn-secondary cogs-restock-btn" data-idx="${idx}" title="Add one pack (${mat.packCount}) to stock">＋ Pack</button>
+          <button class="btn-sm btn-danger cogs-delete-btn" data-idx="${idx}">🗑</button>
+        </td>
       `;
       tbody.appendChild(tr);
     });
@@ -1844,12 +3826,28 @@
           m.unitCost = m.packCount > 0 ? m.packPrice / m.packCount : 0;
           const unitEl = document.getElementById('cogs-unit-' + idx);
           if (unitEl) unitEl.textContent = '$' + m.unitCost.toFixed(4);
+        } else if (field === 'onHand' || field === 'reorderAt') {
+          // Blank stops tracking (onHand) or leaves only the days-left alert (reorderAt)
+          const n = parseFloat(el.value);
+          s.materials[idx][field] = isNaN(n) ? null : n;
         } else {
           s.materials[idx][field] = el.value;
         }
         COGS.save(s);
         renderCOGSPreviews(s);
         renderCOGSKPIs();
+        updateStockCells(s);
+      });
+    });
+
+    tbody.querySelectorAll('.cogs-restock-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const s = COGS.load();
+        const mat = s.materials[parseInt(btn.dataset.idx, 10)];
+        if (!mat || !COGS.restock(s, mat.id)) return;
+        COGS.save(s);
+        renderCOGSMaterials(s);
+        renderInventoryAlerts(s);
       });
     });
 
@@ -1863,40 +3861,608 @@
         renderCOGSMaterials(s);
         renderCOGSPreviews(s);
         renderCOGSKPIs();
+        renderInventoryAlerts(s);
       });
     });
   }
 
+  // ─── Materials Stock ───────────────────────────────────────────────────────
+
+  function stockCellText(st) {
+    if (!st.tracked) return '—';
+    if (st.status === 'out') return 'Out';
+    return st.daysLeft === null ? 'no usage yet' : `~${st.daysLeft} day${st.daysLeft === 1 ? '' : 's'}`;
+  }
+
+  function stockCellTitle(st) {
+    return st.dailyUse ? `Using about ${st.dailyUse.toFixed(1)} a day` : 'No sales taken out of stock yet';
+  }
+
+  function stockCellAttrs(st) {
+    return `class="inv-stock inv-${st.status}" title="${esc(stockCellTitle(st))}"`;
+  }
+
+  function updateStockCells(settings) {
+    COGS.inventoryStatus(settings).forEach((st, idx) => {
+      const cell = document.getElementById('cogs-stock-' + idx);
+      if (!cell) return;
+      cell.className = `inv-stock inv-${st.status}`;
+      cell.title = stockCellTitle(st);
+      cell.textContent = stockCellText(st);
+    });
+    renderInventoryAlerts(settings);
+  }
+
+  /** Header button listing the materials that are out or due for reorder. */
+  function renderInventoryAlerts(settings) {
+    const el = document.getElementById('header-inventory-alert');
+    if (!el) return;
+    const due = COGS.inventoryStatus(settings).filter(st => st.status === 'out' || st.status === 'low');
+    if (!due.length) {
+      el.style.display = 'none';
+      return;
+    }
+    const out = due.filter(st => st.status === 'out').length;
+    el.textContent = `⚠️ Reorder ${due.length} material${due.length === 1 ? '' : 's'}`;
+    el.classList.toggle('header-alert-critical', out > 0);
+    el.title = due.map(st => `${st.name}: ${st.status === 'out' ? 'out of stock' : `${st.onHand} left${st.daysLeft !== null ? `, ~${st.daysLeft} days` : ''}`}`).join('\n');
+    el.style.display = '';
+  }
+
+  function renderInventoryLog(settings) {
+    const el = document.getElementById('inv-log');
+    if (!el) return;
+    const log = settings.inventory.log;
+    const names = Object.fromEntries(settings.materials.map(m => [m.id, m.name]));
+    el.innerHTML = log.length ? `
+      <h4 class="cogs-subtitle">Taken out of stock by uploaded reports</h4>
+      <table class="scoring-table" aria-label="Stock taken by reports">
+        <thead><tr><th>Uploaded</th><th>Report</th><th>Units sold</th><th>Materials used</th><th></th></tr></thead>
+        <tbody>${log.map(e => `
+          <tr>
+            <td>${esc(new Date(e.appliedAt).toLocaleDateString())}</td>
+            <td>${esc(e.filename)}</td>
+            <td>${e.sales}</td>
+            <td>${Object.entries(e.used).map(([id, n]) => `${esc(names[id] || id)} ×${n}`).join(', ')}</td>
+            <td><button class="btn-sm btn-secondary inv-undo" data-entry-id="${esc(e.id)}" title="Put these materials back into stock">↶ Undo</button></td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '';
+  }
+
+  /** Take a newly saved report's sales out of the materials stock. */
+  function takeSalesFromStock(report) {
+    if (typeof COGS === 'undefined') return;
+    const s = COGS.load();
+    const days = Trends.reportDays(report) || undefined;
+    if (!COGS.depleteInventory(s, allListings, { id: report.id, filename: report.filename, days })) return;
+    COGS.save(s);
+    renderCOGSMaterials(s);
+    renderInventoryLog(s);
+    renderInventoryAlerts(s);
+  }
+
+  function setupInventory(settings, showMaterials) {
+    const leadInput = document.getElementById('inv-lead-days');
+    if (leadInput) {
+      leadInput.value = settings.inventory.leadDays;
+      leadInput.addEventListener('change', () => {
+        const s = COGS.load();
+        s.inventory.leadDays = Math.max(0, parseInt(leadInput.value, 10) || 0);
+        COGS.save(s);
+        updateStockCells(s);
+      });
+    }
+
+    const log = document.getElementById('inv-log');
+    if (log) {
+      log.addEventListener('click', e => {
+        const btn = e.target.closest('.inv-undo');
+        if (!btn) return;
+        const s = COGS.load();
+        if (!COGS.undoDepletion(s, btn.dataset.entryId)) return;
+        COGS.save(s);
+        renderCOGSMaterials(s);
+        renderInventoryLog(s);
+        renderInventoryAlerts(s);
+      });
+    }
+
+    const alertBtn = document.getElementById('header-inventory-alert');
+    if (alertBtn) alertBtn.addEventListener('click', showMaterials);
+
+    renderInventoryLog(settings);
+    renderInventoryAlerts(settings);
+  }
+
   function renderCOGSPreviews(settings) {
-    // ESE preview using $5.00 example card
-    const eseExample = COGS.calcListing({ price: 5.00, quantity: 1 }, settings);
-    const eseEl = document.getElementById('cogs-preview-ese');
-    if (eseEl) {
-      eseEl.innerHTML = `
-        <div class="cogs-line">Sale Price: <strong>$5.00</strong></div>
-        <div class="cogs-line cogs-minus">eBay Fee (${(settings.ebayFeeRate*100).toFixed(2)}%): −$${eseExample.ebayFee.toFixed(2)}</div>
-        <div class="cogs-line cogs-minus">Materials: −$${eseExample.materialCost.toFixed(2)}</div>
-        <div class="cogs-line cogs-minus">Postage (ESE): −$${eseExample.shippingCost.toFixed(2)}</div>
-        <div class="cogs-line cogs-total ${eseExample.netProfit >= 0 ? 'cogs-profit' : 'cogs-loss'}">
-          Net Profit: <strong>$${eseExample.netProfit.toFixed(2)}</strong> (${eseExample.margin.toFixed(1)}%)
-        </div>
-      `;
+    // A $5.00 card shipped by the rules, and a $25.00 card forced to Ground Advantage
+    renderCOGSPreview('cogs-preview-ese', 5.00, COGS.calcListing({ price: 5.00, quantity: 1, isPromoted: true }, settings));
+    renderCOGSPreview('cogs-preview-ga', 25.00, COGS.calcListing({ price: 25.00, quantity: 1, shippingOverride: 'ga', isPromoted: true }, settings));
+  }
+
+  /** Itemized per-sale breakdown; fee lines that come to zero are left out. */
+  function renderCOGSPreview(elId, price, example) {
+    const el = document.getElementById(elId);
+    if (!el) return;
+    const fvfRate = price > 0 ? (example.fees.finalValue / price) * 100 : 0;
+    const line = (label, amount) => (amount
+      ? `<div class="cogs-line ${amount > 0 ? 'cogs-minus' : 'cogs-profit'}">${label}: ${amount > 0 ? '−' : '+'}$${Math.abs(amount).toFixed(2)}</div>`
+      : '');
+
+    el.innerHTML = `
+      <div class="cogs-line">Sale Price: <strong>$${price.toFixed(2)}</strong></div>
+      ${line('Buyer-Paid Shipping', -example.shippingCharged)}
+      ${line(`Final Value Fee (${fvfRate.toFixed(2)}%)`, example.fees.finalValue)}
+      ${line('Top Rated Plus Discount', example.fees.topRatedDiscount)}
+      ${line('Per-Order Fee', example.fees.perOrder)}
+      ${line('International Fee (est.)', example.fees.international)}
+      ${line('Store Subscription (per order)', example.fees.store)}
+      ${line(`Ad Fee (${(example.adRate * 100).toFixed(2)}%, promoted sale)`, example.adFee)}
+      <div class="cogs-line cogs-minus">Materials: −$${example.materialCost.toFixed(2)}</div>
+      <div class="cogs-line cogs-minus">Postage (${esc(example.shippingLabel)}, ${example.weightOz} oz): −$${example.shippingCost.toFixed(2)}</div>
+      <div class="cogs-line cogs-total ${example.netProfit >= 0 ? 'cogs-profit' : 'cogs-loss'}">
+        Net Profit: <strong>$${example.netProfit.toFixed(2)}</strong> (${example.margin.toFixed(1)}%)
+      </div>
+      <div class="cogs-line">Total eBay fees: <strong>$${example.ebayFee.toFixed(2)}</strong></div>
+      <div class="cogs-line">Break-even ad rate: <strong>${(example.breakEvenAdRate * 100).toFixed(1)}%</strong></div>
+    `;
+  }
+
+  // ─── Health Score Model ────────────────────────────────────────────────────
+
+  function setupScoringSection() {
+    if (typeof ScoringModel === 'undefined') return;
+
+    let state = ScoringModel.load();
+    Analyzer.setScoringConfig(ScoringModel.resolve(state));
+
+    const body = document.getElementById('scoring-body');
+    const toggleBtn = document.getElementById('btn-scoring-toggle');
+    const header = document.getElementById('scoring-header');
+    if (!body) return;
+
+    function toggleScoring() {
+      const isOpen = body.style.display !== 'none';
+      body.style.display = isOpen ? 'none' : 'block';
+      if (toggleBtn) toggleBtn.textContent = isOpen ? '▼ Expand' : '▲ Collapse';
+      if (!isOpen) renderScoringEditor(state);
     }
+    if (toggleBtn) toggleBtn.addEventListener('click', e => { e.stopPropagation(); toggleScoring(); });
+    if (header) header.addEventListener('click', toggleScoring);
+
+    const select = document.getElementById('scoring-preset-select');
+    if (select) {
+      select.addEventListener('change', () => {
+        state.active = select.value;
+        applyScoringChange(state);
+      });
+    }
+
+    // Model inputs edit the active preset in place
+    body.querySelectorAll('input[data-group]').forEach(input => {
+      input.addEventListener('change', () => {
+        const preset = state.presets[state.active];
+        const { group, key } = input.dataset;
+        const value = parseFloat(input.value);
+        const previous = preset[group][key];
+        if (group === 'saturation' && key === 'impressions') {
+          preset.saturation.impressions = value > 0 ? value : null; // blank → percentile among peers
+        } else if (!isNaN(value) && (value > 0 || group !== 'saturation')) {
+          preset[group][key] = value;
+        } else {
+          input.value = previous;
+          return;
+        }
+        const problems = ScoringModel.validatePreset(preset);
+        if (problems.length) {
+          preset[group][key] = previous;
+          input.value = previous === null ? '' : previous;
+          setStatus(problems[0], 'warning');
+          return;
+        }
+        applyScoringChange(state);
+      });
+    });
 
-    // GA preview using $25.00 example card
-    const gaExample = COGS.calcListing({ price: 25.00, quantity: 1, shippingOverride: 'ga' }, settings);
-    const gaEl = document.getElementById('cogs-preview-ga');
-    if (gaEl) {
-      gaEl.innerHTML = `
-        <div class="cogs-line">Sale Price: <strong>$25.00</strong></div>
-        <div class="cogs-line cogs-minus">eBay Fee (${(settings.ebayFeeRate*100).toFixed(2)}%): −$${gaExample.ebayFee.toFixed(2)}</div>
-        <div class="cogs-line cogs-minus">Materials: −$${gaExample.materialCost.toFixed(2)}</div>
-        <div class="cogs-line cogs-minus">Postage (GA): −$${gaExample.shippingCost.toFixed(2)}</div>
-        <div class="cogs-line cogs-total ${gaExample.netProfit >= 0 ? 'cogs-profit' : 'cogs-loss'}">
-          Net Profit: <strong>$${gaExample.netProfit.toFixed(2)}</strong> (${gaExample.margin.toFixed(1)}%)
+    const saveAsBtn = document.getElementById('btn-scoring-save-as');
+    if (saveAsBtn) {
+      saveAsBtn.addEventListener('click', () => {
+        const name = prompt('Name for the new preset:', `${state.presets[state.active].name} (copy)`);
+        if (name === null) return;
+        ScoringModel.createPreset(state, name, state.active);
+        applyScoringChange(state);
+      });
+    }
+
+    const resetBtn = document.getElementById('btn-scoring-reset');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        if (ScoringModel.resetPreset(state, state.active)) applyScoringChange(state);
+      });
+    }
+
+    const deleteBtn = document.getElementById('btn-scoring-delete');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', () => {
+        const preset = state.presets[state.active];
+        if (!confirm(`Delete the "${preset.name}" preset?`)) return;
+        if (ScoringModel.deletePreset(state, state.active)) applyScoringChange(state);
+      });
+    }
+
+    const categoryGrid = document.getElementById('scoring-category-grid');
+    if (categoryGrid) {
+      categoryGrid.addEventListener('change', e => {
+        const category = e.target.dataset.category;
+        if (!category) return;
+        if (e.target.value) state.categoryOverrides[category] = e.target.value;
+        else delete state.categoryOverrides[category];
+        applyScoringChange(state);
+      });
+    }
+
+    // Keep the closure's state in sync with what's saved
+    function applyScoringChange(next) {
+      ScoringModel.save(next);
+      state = ScoringModel.load();
+      Analyzer.setScoringConfig(ScoringModel.resolve(state));
+      renderScoringEditor(state);
+      rescoreListings();
+    }
+  }
+
+  function renderScoringEditor(state) {
+    const preset = state.presets[state.active];
+
+    const select = document.getElementById('scoring-preset-select');
+    if (select) {
+      select.innerHTML = Object.entries(state.presets)
+        .map(([id, p]) => `<option value="${esc(id)}" ${id === state.active ? 'selected' : ''}>${esc(p.name)}${p.builtin ? '' : ' (custom)'}</option>`)
+        .join('');
+    }
+
+    document.querySelectorAll('#scoring-body input[data-group]').forEach(input => {
+      const value = preset[input.dataset.group][input.dataset.key];
+      input.value = value === null || value === undefined ? '' : value;
+    });
+
+    const total = Object.values(preset.weights).reduce((a, b) => a + b, 0);
+    const totalEl = document.getElementById('scoring-weight-total');
+    if (totalEl) {
+      totalEl.textContent = total === 100 ? '100' : `${total} — scores are capped at 100`;
+      totalEl.classList.toggle('scoring-total-off', total !== 100);
+    }
+
+    const resetBtn = document.getElementById('btn-scoring-reset');
+    if (resetBtn) resetBtn.style.display = preset.builtin ? '' : 'none';
+    const deleteBtn = document.getElementById('btn-scoring-delete');
+    if (deleteBtn) deleteBtn.style.display = preset.builtin ? 'none' : '';
+
+    const grid = document.getElementById('scoring-category-grid');
+    if (grid) {
+      const categories = [...new Set([...CardAttributes.listSports(), ...allListings.map(l => l.sport).filter(Boolean)])];
+      grid.innerHTML = categories.map(category => {
+        const current = state.categoryOverrides[category] || '';
+        const options = Object.entries(state.presets)
+          .map(([id, p]) => `<option value="${esc(id)}" ${id === current ? 'selected' : ''}>${esc(p.name)}</option>`)
+          .join('');
+        return `<label>${esc(category)}
+          <select class="cogs-input" data-category="${esc(category)}">
+            <option value="">Active preset (${esc(preset.name)})</option>${options}
+          </select>
+        </label>`;
+      }).join('');
+    }
+  }
+
+  /** Re-score the loaded listings with the current scoring model and redraw. */
+  function rescoreListings() {
+    if (!allListings.length) return;
+    allListings = Analyzer.enrichWithScores(allListings, undefined, activeReportEnd);
+    applyFilters();
+    try {
+      renderAll();
+    } catch (err) {
+      console.error('Render error:', err);
+    }
+  }
+
+  // ─── Recommendation Rules ──────────────────────────────────────────────────
+
+  function setupRulesSection() {
+    if (typeof RecommendationRules === 'undefined') return;
+
+    let state = RecommendationRules.load();
+    Analyzer.setRecommendationRules(state.rules);
+
+    const body = document.getElementById('rules-body');
+    const toggleBtn = document.getElementById('btn-rules-toggle');
+    const header = document.getElementById('rules-header');
+    if (!body) return;
+
+    function toggleRules() {
+      const isOpen = body.style.display !== 'none';
+      body.style.display = isOpen ? 'none' : 'block';
+      if (toggleBtn) toggleBtn.textContent = isOpen ? '▼ Expand' : '▲ Collapse';
+      if (!isOpen) renderRulesEditor(state);
+    }
+    if (toggleBtn) toggleBtn.addEventListener('click', e => { e.stopPropagation(); toggleRules(); });
+    if (header) header.addEventListener('click', toggleRules);
+
+    const fieldList = document.getElementById('rules-field-list');
+    if (fieldList) fieldList.innerHTML = RecommendationRules.FIELDS.map(f => `<option value="${esc(f)}"></option>`).join('');
+
+    function applyRulesChange(rerender) {
+      RecommendationRules.save(state);
+      Analyzer.setRecommendationRules(state.rules);
+      rescoreListings();
+      if (rerender) renderRulesEditor(state);
+    }
+
+    const addBtn = document.getElementById('btn-rules-add');
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        RecommendationRules.createRule(state);
+        applyRulesChange(true);
+      });
+    }
+
+    const resetBtn = document.getElementById('btn-rules-reset');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        if (!confirm('Replace your rules with the built-in defaults?')) return;
+        RecommendationRules.resetRules(state);
+        applyRulesChange(true);
+      });
+    }
+
+    const list = document.getElementById('rules-list');
+    if (!list) return;
+
+    // Text/number fields: commit on change so typing doesn't re-score every keystroke
+    list.addEventListener('change', e => {
+      const card = e.target.closest('[data-rule-id]');
+      const rule = card && state.rules.find(r => r.id === card.dataset.ruleId);
+      if (!rule) return;
+      const { prop, cond } = e.target.dataset;
+
+      if (cond !== undefined) {
+        const condition = rule.conditions[parseInt(cond, 10)];
+        if (!condition) return;
+        condition[prop] = prop === 'value' ? RecommendationRules.parseValue(e.target.value) : e.target.value;
+      } else if (prop === 'enabled' || prop === 'stop') {
+        rule[prop] = e.target.checked;
+      } else if (prop) {
+        rule[prop] = e.target.value;
+      }
+      applyRulesChange(prop === 'op' || prop === 'severity' || prop === 'enabled');
+    });
+
+    list.addEventListener('click', e => {
+      const btn = e.target.closest('button[data-rule-action]');
+      if (!btn) return;
+      const card = btn.closest('[data-rule-id]');
+      const rule = state.rules.find(r => r.id === card.dataset.ruleId);
+      if (!rule) return;
+
+      switch (btn.dataset.ruleAction) {
+        case 'up':
+        case 'down':
+          if (!RecommendationRules.moveRule(state, rule.id, btn.dataset.ruleAction === 'up' ? -1 : 1)) return;
+          break;
+        case 'delete':
+          if (!confirm(`Delete the "${rule.name}" rule?`)) return;
+          RecommendationRules.deleteRule(state, rule.id);
+          break;
+        case 'add-condition':
+          rule.conditions.push({ field: '', op: '>', value: 0 });
+          break;
+        case 'remove-condition':
+          if (rule.conditions.length <= 1) return;
+          rule.conditions.splice(parseInt(btn.dataset.cond, 10), 1);
+          break;
+        default:
+          return;
+      }
+      applyRulesChange(true);
+    });
+  }
+
+  function renderRulesEditor(state) {
+    const list = document.getElementById('rules-list');
+    if (!list) return;
+
+    // How many loaded listings each rule currently flags
+    const hits = {};
+    allListings.forEach(l => (l.recommendations || []).forEach(r => { hits[r.ruleId] = (hits[r.ruleId] || 0) + 1; }));
+
+    const noValue = op => op === 'empty' || op === '!empty';
+
+    list.innerHTML = state.rules.map((rule, idx) => `
+      <div class="rule-card ${rule.enabled === false ? 'rule-disabled' : ''}" data-rule-id="${esc(rule.id)}">
+        <div class="rule-head">
+          <input type="checkbox" data-prop="enabled" ${rule.enabled !== false ? 'checked' : ''} aria-label="Enabled" />
+          <input type="text" class="cogs-input rule-name" data-prop="name" value="${esc(rule.name)}" aria-label="Rule name" />
+          <select class="cogs-input" data-prop="severity" aria-label="Severity">
+            ${RecommendationRules.SEVERITIES.map(sev => `<option value="${sev}" ${sev === rule.severity ? 'selected' : ''}>${sev}</option>`).join('')}
+          </select>
+          <span class="badge badge-${esc(rule.severity)}">${hits[rule.id] || 0} listing(s)</span>
+          <span class="rule-tools">
+            <button class="btn-sm btn-secondary" data-rule-action="up" ${idx === 0 ? 'disabled' : ''} title="Move up">↑</button>
+            <button class="btn-sm btn-secondary" data-rule-action="down" ${idx === state.rules.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+            <button class="btn-sm btn-danger" data-rule-action="delete" title="Delete rule">🗑</button>
+          </span>
         </div>
-      `;
+        <div class="rule-conditions">
+          ${rule.conditions.map((c, ci) => `
+            <div class="rule-condition">
+              <span class="cogs-note">${ci === 0 ? 'When' : 'and'}</span>
+              <input type="text" class="cogs-input" list="rules-field-list" data-cond="${ci}" data-prop="field" value="${esc(c.field)}" aria-label="Field" />
+              <select class="cogs-input" data-cond="${ci}" data-prop="op" aria-label="Operator">
+                ${RecommendationRules.OPERATORS.map(o => `<option value="${esc(o.op)}" ${o.op === c.op ? 'selected' : ''}>${esc(o.label)}</option>`).join('')}
+              </select>
+              ${noValue(c.op) ? '' : `<input type="text" class="cogs-input cogs-num" data-cond="${ci}" data-prop="value" value="${esc(String(c.value ?? ''))}" aria-label="Value" />`}
+              <button class="btn-sm btn-secondary" data-rule-action="remove-condition" data-cond="${ci}" ${rule.conditions.length <= 1 ? 'disabled' : ''} title="Remove condition">✕</button>
+            </div>`).join('')}
+          <button class="btn-sm btn-secondary" data-rule-action="add-condition">＋ Condition</button>
+        </div>
+        <div class="rule-output">
+          <label>Message <input type="text" class="cogs-input" data-prop="message" value="${esc(rule.message)}" /></label>
+          <label>Action <input type="text" class="cogs-input" data-prop="action" value="${esc(rule.action)}" placeholder="e.g. Promote at 5%" /></label>
+          <label class="rule-stop"><input type="checkbox" data-prop="stop" ${rule.stop ? 'checked' : ''} /> Stop</label>
+        </div>
+      </div>
+    `).join('') || '<p class="cogs-note">No rules — every listing gets the "monitor performance" fallback.</p>';
+  }
+
+  // ─── Card Dictionary ───────────────────────────────────────────────────────
+
+  const DICTIONARY_KIND_LABELS = {
+    players: 'Player', teams: 'Team', keywords: 'Keyword', sets: 'Set', parallels: 'Parallel', manufacturers: 'Brand',
+  };
+
+  function setupDictionarySection() {
+    if (typeof CardAttributes === 'undefined') return;
+
+    const body = document.getElementById('dictionary-body');
+    const toggleBtn = document.getElementById('btn-dictionary-toggle');
+    const header = document.getElementById('dictionary-header');
+    if (!body) return;
+
+    function toggleDictionary() {
+      const isOpen = body.style.display !== 'none';
+      body.style.display = isOpen ? 'none' : 'block';
+      if (toggleBtn) toggleBtn.textContent = isOpen ? '▼ Expand' : '▲ Collapse';
+      if (!isOpen) renderDictionaryEditor();
+    }
+    if (toggleBtn) toggleBtn.addEventListener('click', e => { e.stopPropagation(); toggleDictionary(); });
+    if (header) header.addEventListener('click', toggleDictionary);
+
+    const kindSelect = document.getElementById('dictionary-kind');
+    if (kindSelect) kindSelect.addEventListener('change', renderDictionaryTargets);
+
+    const form = document.getElementById('dictionary-form');
+    if (form) {
+      form.addEventListener('submit', e => {
+        e.preventDefault();
+        const termInput = document.getElementById('dictionary-term');
+        const term = termInput.value.trim();
+        if (!term) return;
+
+        let target = document.getElementById('dictionary-target').value;
+        if (target === '__new__') {
+          target = (prompt(kindSelect.value === 'manufacturers' ? 'Manufacturer name:' : 'New category name:') || '').trim();
+          if (!target) return;
+        }
+        if (!CardAttributes.addTerm(kindSelect.value, target, term)) {
+          setStatus(`"${term}" is already in your dictionary.`, 'warning');
+          return;
+        }
+        termInput.value = '';
+        applyDictionaryChange();
+      });
+    }
+
+    const terms = document.getElementById('dictionary-terms');
+    if (terms) {
+      terms.addEventListener('click', e => {
+        const btn = e.target.closest('[data-term]');
+        if (!btn) return;
+        const { kind, target, term } = btn.dataset;
+        CardAttributes.removeTerm(kind, target, term);
+        applyDictionaryChange();
+      });
     }
+
+    const exportBtn = document.getElementById('btn-dictionary-export');
+    if (exportBtn) {
+      exportBtn.addEventListener('click', e => {
+        e.stopPropagation();
+        downloadText(CardAttributes.exportDictionary(), 'shazbotcards-dictionary.json', 'application/json');
+      });
+    }
+
+    const importInput = document.getElementById('dictionaryImportInput');
+    if (importInput) {
+      importInput.addEventListener('change', e => {
+        const file = e.target.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = ev => {
+          const result = CardAttributes.importDictionary(ev.target.result);
+          if (!result) {
+            setStatus('Dictionary import failed — not a ShazbotCards dictionary file.', 'error');
+          } else {
+            setStatus(`Imported ${result.terms} new term(s) and ${result.overrides} category correction(s).`, 'success');
+            applyDictionaryChange();
+          }
+        };
+        reader.readAsText(file);
+        importInput.value = '';
+      });
+    }
+  }
+
+  /** Re-read every listing's attributes after a dictionary or override change. */
+  function applyDictionaryChange() {
+    const body = document.getElementById('dictionary-body');
+    if (body && body.style.display !== 'none') renderDictionaryEditor();
+    rescoreListings();
+  }
+
+  function renderDictionaryTargets() {
+    const kind = document.getElementById('dictionary-kind').value;
+    const select = document.getElementById('dictionary-target');
+    if (!select) return;
+
+    const sports = CardAttributes.listSports().filter(s => s !== 'Other');
+    let options = '';
+    if (kind === 'manufacturers') {
+      options = Object.keys(CardAttributes.getDictionary().manufacturers)
+        .map(name => `<option value="${esc(name)}">${esc(name)}</option>`).join('')
+        + '<option value="__new__">＋ New manufacturer…</option>';
+    } else if (kind === 'sets') {
+      options = '<option value="">Any category</option>'
+        + sports.map(s => `<option value="${esc(s)}">${esc(s)}</option>`).join('');
+    } else if (kind !== 'parallels') {
+      options = sports.map(s => `<option value="${esc(s)}">${esc(s)}</option>`).join('')
+        + '<option value="__new__">＋ New category…</option>';
+    }
+    select.innerHTML = options;
+    select.style.display = kind === 'parallels' ? 'none' : '';
+  }
+
+  function renderDictionaryEditor() {
+    renderDictionaryTargets();
+
+    const container = document.getElementById('dictionary-terms');
+    if (!container) return;
+
+    const dict = CardAttributes.getUserDictionary();
+    const terms = [];
+    Object.entries(dict.sports || {}).forEach(([sport, entry]) => {
+      ['players', 'teams', 'keywords'].forEach(kind => {
+        (entry[kind] || []).forEach(term => terms.push({ kind, target: sport, term }));
+      });
+    });
+    Object.entries(dict.manufacturers || {}).forEach(([name, brands]) => {
+      brands.forEach(term => terms.push({ kind: 'manufacturers', target: name, term }));
+    });
+    (dict.sets || []).forEach(set => {
+      const s = typeof set === 'string' ? { name: set } : set;
+      terms.push({ kind: 'sets', target: s.sport || '', term: s.name });
+    });
+    (dict.parallels || []).forEach(term => terms.push({ kind: 'parallels', target: '', term }));
+
+    container.innerHTML = terms.length
+      ? terms.map(({ kind, target, term }) => `
+        <span class="dictionary-term">
+          ${esc(term)} <small>${DICTIONARY_KIND_LABELS[kind]}${target ? ' · ' + esc(target) : ''}</small>
+          <button type="button" title="Remove" aria-label="Remove ${esc(term)}"
+            data-kind="${kind}" data-target="${esc(target)}" data-term="${esc(term)}">✕</button>
+        </span>`).join('')
+      : '<p class="cogs-note">No terms added yet — the built-in dictionary is in use.</p>';
   }
 
   // ─── Live eBay Analytics ───────────────────────────────────────────────────
@@ -1929,7 +4495,7 @@
         top20Pct:                 0,
         isPromoted:               false,
         promotedStatus:           'Organic',
-        sport:                    Analyzer.detectSport(item.title || ''),
+        sport:                    Analyzer.detectSport(item.title || '', item.itemId),
         startDate:                null,
         quantityAvailable:        item.quantity || null,
         totalImpressionsPrev:     0,
@@ -1971,6 +4537,7 @@
         : withAnalytics;
 
       allListings = enriched;
+      activeReportEnd = null;
       filteredListings = [...allListings];
 
       try {
@@ -2064,7 +4631,14 @@
           ? Analyzer.enrichWithScores(merged)
           : merged;
 
+        // Live pulls aren't saved as reports, so keep them for measuring pushed titles
+        if (typeof TitleRevisions !== 'undefined') {
+          TitleRevisions.recordTraffic(listings, eBayAnalytics.getPeriods()[selectedPeriod].days);
+        }
+        scanForAnomalies(liveReport(enriched, eBayAnalytics.getPeriods()[selectedPeriod].days));
+
         allListings = enriched;
+        activeReportEnd = null;
         filteredListings = [...allListings];
         renderAll();
 
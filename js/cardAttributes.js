@@ -0,0 +1,729 @@
+/**
+ * cardAttributes.js — Card attribute extraction for ShazbotCards
+ * Pulls structured attributes out of a listing title: sport/category, year,
+ * manufacturer, set, player, team, card number, parallel, serial numbering,
+ * grading company & grade, rookie/auto flags, and lot size.
+ *
+ * Matching is driven by a phrase dictionary (DEFAULT_DICTIONARY merged with
+ * the user's additions from localStorage). Title tokens are claimed longest
+ * phrase first, so "Red Sox" is a team rather than a Red parallel and "Titans
+ * of the Game" is an insert set rather than the Tennessee Titans. User terms
+ * outvote built-in ones, and per-listing category overrides (keyed by item ID)
+ * beat both.
+ */
+
+const CardAttributes = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'shazbot-card-dictionary';
+  const OVERRIDES_KEY = 'shazbot-category-overrides';
+  const EXPORT_VERSION = 1;
+
+  // A user's own term counts this many times a built-in one when voting on the category
+  const USER_WEIGHT = 10;
+
+  // ─── Default Dictionary ───────────────────────────────────────────────────
+
+  /**
+   * sports:        category → { keywords, teams, players }. Keywords and players
+   *                are strong evidence for a category, teams weaker (several
+   *                nicknames are shared between leagues).
+   * manufacturers: manufacturer → brand words that imply it.
+   * sets:          product lines and inserts; a string, or { name, sport } when
+   *                the set is a hint toward one category.
+   * parallels:     parallel/variation names.
+   * graders:       grading company → words that name it.
+   */
+  const DEFAULT_DICTIONARY = {
+    sports: {
+      Baseball: {
+        keywords: ['baseball', 'mlb', 'mlbpa'],
+        teams: [
+          'Diamondbacks', 'D-backs', 'Braves', 'Orioles', 'Red Sox', 'Cubs', 'White Sox', 'Reds', 'Guardians', 'Indians',
+          'Rockies', 'Tigers', 'Astros', 'Royals', 'Angels', 'Dodgers', 'Marlins', 'Brewers', 'Twins', 'Mets',
+          'Yankees', 'Athletics', 'Phillies', 'Pirates', 'Padres', 'Giants', 'Mariners', 'Cardinals', 'Rays',
+          'Rangers', 'Blue Jays', 'Nationals', 'Expos',
+        ],
+        players: [
+          'Shohei Ohtani', 'Aaron Judge', 'Paul Skenes', 'Mike Trout', 'Nolan Ryan', 'Cal Raleigh', 'Bryan Woo',
+          'Fernando Tatis Jr', 'Ronald Acuna Jr', 'Luisangel Acuna', 'Bryce Harper', 'Corey Seager', 'Corbin Carroll',
+          'Pete Crow-Armstrong', 'Jacob Melton', 'JJ Wetherholt', 'Jac Caglianone', 'Junior Caminero', 'Justin Crawford',
+          'Josue De Paula', 'Max Wagner', 'Jackson Jobe', 'Tyler Bremner', 'Charles McAdoo', 'Jace Avina', 'Mookie Betts',
+          'Elly De La Cruz', 'James Wood', 'Kevin McGonigle', 'Roman Anthony', 'Roki Sasaki', 'Bobby Witt Jr',
+          'Ken Griffey Jr', 'Derek Jeter', 'Babe Ruth', 'Mickey Mantle', 'Juan Soto', 'Gunnar Henderson',
+        ],
+      },
+      Football: {
+        keywords: ['football', 'nfl', 'nflpa'],
+        teams: [
+          'Cardinals', 'Falcons', 'Ravens', 'Bills', 'Panthers', 'Bears', 'Bengals', 'Browns', 'Cowboys', 'Broncos',
+          'Lions', 'Packers', 'Green Bay Packers', 'Texans', 'Colts', 'Jaguars', 'Chiefs', 'Raiders', 'Chargers', 'Rams',
+          'Dolphins', 'Vikings', 'Patriots', 'Saints', 'Giants', 'Jets', 'Eagles', 'Steelers', '49ers', 'Niners',
+          'Seahawks', 'Buccaneers', 'Bucs', 'Titans', 'Commanders',
+        ],
+        players: [
+          'Patrick Mahomes', 'Jayden Daniels', 'Peyton Manning', 'Saquon Barkley', 'Brock Purdy', 'Cam Ward',
+          'Jaxson Dart', 'Sam Darnold', 'Travis Hunter', 'Colston Loveland', 'Caleb Williams', 'Cam Skattebo',
+          'Drake Maye', 'Garrett Wilson', 'Kyren Williams', 'Tetairoa McMillan', 'Terrance Ferguson', 'Matthew Golden',
+          'TreVeyon Henderson', 'Joe Burrow', 'Brock Bowers', 'Tyler Shough', 'RJ Harvey', 'Derrick Harmon',
+          'Geno Stone', 'Jaxon Smith-Njigba', 'Tom Brady', 'Josh Allen', 'Lamar Jackson', 'Justin Jefferson',
+        ],
+      },
+      Basketball: {
+        keywords: ['basketball', 'nba', 'wnba'],
+        teams: [
+          'Hawks', 'Celtics', 'Nets', 'Hornets', 'Bulls', 'Cavaliers', 'Cavs', 'Mavericks', 'Mavs', 'Nuggets',
+          'Pistons', 'Warriors', 'Rockets', 'Pacers', 'Clippers', 'Lakers', 'Grizzlies', 'Miami Heat', 'Bucks',
+          'Timberwolves', 'Pelicans', 'Knicks', 'Oklahoma City Thunder', 'OKC Thunder', 'Orlando Magic', '76ers',
+          'Sixers', 'Suns', 'Trail Blazers', 'Blazers', 'Sacramento Kings', 'Spurs', 'Raptors', 'Utah Jazz',
+          'Wizards', 'SuperSonics', 'Sonics', 'Indiana Fever', 'Las Vegas Aces', 'New York Liberty',
+        ],
+        players: [
+          'Michael Jordan', "Shaquille O'Neal", 'LeBron James', 'Stephen Curry', 'Kobe Bryant', 'Victor Wembanyama',
+          'Caitlin Clark', 'Luka Doncic', 'Anthony Edwards', 'Cooper Flagg', 'Giannis Antetokounmpo', 'Nikola Jokic',
+        ],
+      },
+      Hockey: {
+        keywords: ['hockey', 'nhl'],
+        teams: [
+          'Ducks', 'Coyotes', 'Bruins', 'Sabres', 'Flames', 'Hurricanes', 'Blackhawks', 'Avalanche', 'Blue Jackets',
+          'Dallas Stars', 'Red Wings', 'Oilers', 'Florida Panthers', 'LA Kings', 'Los Angeles Kings', 'Minnesota Wild',
+          'Canadiens', 'Predators', 'Devils', 'Islanders', 'Senators', 'Flyers', 'Penguins', 'Sharks', 'Kraken',
+          'St Louis Blues', 'Tampa Bay Lightning', 'Maple Leafs', 'Canucks', 'Golden Knights', 'Capitals',
+          'Winnipeg Jets', 'Utah Hockey Club', 'Mammoth', 'Rangers',
+        ],
+        players: [
+          'Connor McDavid', 'Wayne Gretzky', 'Sidney Crosby', 'Connor Bedard', 'Alex Ovechkin', 'Auston Matthews',
+          'Macklin Celebrini', 'Mario Lemieux',
+        ],
+      },
+      Soccer: {
+        keywords: ['soccer', 'futbol', 'mls', 'premier league', 'la liga', 'bundesliga', 'serie a', 'fifa', 'uefa', 'champions league'],
+        teams: [
+          'Inter Miami', 'LA Galaxy', 'Manchester United', 'Man United', 'Manchester City', 'Man City', 'Liverpool',
+          'Arsenal', 'Chelsea', 'Tottenham', 'Real Madrid', 'Barcelona', 'PSG', 'Paris Saint-Germain', 'Bayern',
+          'Juventus', 'USMNT',
+        ],
+        players: ['Lionel Messi', 'Cristiano Ronaldo', 'Kylian Mbappe', 'Erling Haaland', 'Lamine Yamal', 'Jude Bellingham'],
+      },
+      Racing: {
+        keywords: ['racing', 'nascar', 'formula 1', 'f1', 'indycar', 'motorsport'],
+        teams: ['Ferrari', 'McLaren', 'Red Bull Racing', 'Mercedes-AMG'],
+        players: ['Dale Earnhardt', 'Dale Earnhardt Jr', 'Jeff Gordon', 'Max Verstappen', 'Lewis Hamilton', 'Charles Leclerc', 'Lando Norris'],
+      },
+      'Pokémon': {
+        keywords: ['pokemon', 'pokemon tcg', 'pikachu', 'charizard', 'mewtwo', 'eevee', 'gengar'],
+        teams: [],
+        players: [],
+      },
+      'Non-Sport': {
+        keywords: [
+          'non-sport', 'marvel', 'star wars', 'garbage pail kids', 'disney', 'dc comics', 'magic the gathering', 'mtg',
+          'yu-gi-oh', 'yugioh', 'one piece', 'lorcana', 'pop culture',
+        ],
+        teams: [],
+        players: [],
+      },
+    },
+
+    manufacturers: {
+      Topps: ['topps', 'bowman', 'stadium club', 'allen & ginter', 'gypsy queen'],
+      Panini: [
+        'panini', 'donruss', 'prizm', 'optic', 'select', 'mosaic', 'score', 'hoops', 'contenders', 'chronicles',
+        'national treasures', 'prestige', 'absolute', 'phoenix', 'certified', 'immaculate', 'flawless', 'spectra',
+        'revolution', 'rookies & stars',
+      ],
+      'Upper Deck': ['upper deck', 'o-pee-chee', 'opc', 'sp authentic', 'young guns'],
+      SkyBox: ['skybox'],
+      Fleer: ['fleer'],
+      Leaf: ['leaf'],
+      'The Pokémon Company': ['pokemon'],
+      'Wizards of the Coast': ['magic the gathering', 'mtg'],
+      Konami: ['yu-gi-oh', 'yugioh'],
+    },
+
+    sets: [
+      { name: 'Bowman', sport: 'Baseball' }, { name: 'Bowman Chrome', sport: 'Baseball' },
+      { name: 'Bowman Draft', sport: 'Baseball' }, { name: 'Bowman Chrome Prospects', sport: 'Baseball' },
+      { name: 'Topps Series 1', sport: 'Baseball' }, { name: 'Topps Series 2', sport: 'Baseball' },
+      { name: 'Topps Update', sport: 'Baseball' }, { name: 'Topps Heritage', sport: 'Baseball' },
+      { name: 'Stars of MLB', sport: 'Baseball' }, { name: 'Titans of the Game', sport: 'Baseball' },
+      { name: 'Big Ticket Players', sport: 'Baseball' }, { name: 'Diamond Kings', sport: 'Baseball' },
+      { name: 'Allen & Ginter', sport: 'Baseball' }, { name: 'Gypsy Queen', sport: 'Baseball' },
+      'Series 1', 'Series 2', 'Update', 'Heritage', 'Stadium Club', 'Topps Chrome', 'Topps Finest', 'Finest',
+      'Archives', 'Dynamic Duos', 'Profiles', 'Future Stars', 'Summer Superstars', 'OPS Leaders',
+      { name: 'Rookies & Stars', sport: 'Football' }, { name: 'Score', sport: 'Football' },
+      { name: 'Prizm Draft Picks', sport: 'Football' }, { name: 'Stars of NFL', sport: 'Football' },
+      { name: 'Contenders', sport: 'Football' }, { name: 'Rated Rookie' },
+      'Prizm', 'Donruss', 'Donruss Optic', 'Optic', 'Select', 'Mosaic', 'Revolution', 'Chronicles', 'Absolute',
+      'Phoenix', 'Certified', 'Prestige', 'National Treasures', 'Immaculate', 'Flawless', 'Spectra', 'Draft Class',
+      { name: 'Hoops', sport: 'Basketball' }, { name: 'NBA Hoops', sport: 'Basketball' }, { name: 'Court Kings', sport: 'Basketball' },
+      { name: 'Young Guns', sport: 'Hockey' }, { name: 'O-Pee-Chee', sport: 'Hockey' }, { name: 'SP Authentic' },
+      { name: 'Base Set', sport: 'Pokémon' }, { name: 'Evolving Skies', sport: 'Pokémon' },
+      { name: 'Scarlet & Violet', sport: 'Pokémon' }, { name: 'Sword & Shield', sport: 'Pokémon' },
+      { name: 'Crown Zenith', sport: 'Pokémon' }, { name: 'Paldea Evolved', sport: 'Pokémon' },
+      { name: 'Prismatic Evolutions', sport: 'Pokémon' }, { name: 'Surging Sparks', sport: 'Pokémon' },
+    ],
+
+    parallels: [
+      'Refractor', 'Mojo Refractor', 'Mojo', 'X-Fractor', 'Xfractor', 'Superfractor', 'Prism Refractor', 'Lunar Refractor',
+      'Atomic Refractor', 'Speckle Refractor', 'Wave Refractor', 'Sepia Refractor', 'Gold Refractor', 'Blue Refractor',
+      'Green Refractor', 'Orange Refractor', 'Purple Refractor', 'Red Refractor', 'Silver Prizm', 'Red Prizm',
+      'Green Prizm', 'Blue Prizm', 'Green Hyper Prizm', 'Hyper', 'Pink Velocity', 'Velocity', 'Red Plaid', 'Plaid',
+      'White Disco', 'Disco', 'Shimmer', 'Cracked Ice', 'Camo', 'Tie-Dye', 'Tiger Stripe', 'Zebra', 'Snakeskin',
+      'Sapphire', 'Diamante', 'Orange Diamante', 'Gold Foil', 'Rainbow Foil', 'Silver Foil', 'Foil',
+      'Spring Training Foil', 'Holiday', 'Independence Day', 'Vintage Stock', 'Printing Plate', 'Lava',
+      'Orange Lava Foil', 'Gold Zone', 'Red & Green', 'Red White & Blue', 'Holo', 'Reverse Holo', 'Wave', 'Scope',
+      'Pulsar', 'Reactive', 'Kaleidoscope', 'Genesis', 'Aqua', 'Teal', 'Silver', 'Gold', 'Green', 'Blue', 'Red',
+      'Orange', 'Purple', 'Pink', 'Black', 'White', 'Yellow',
+    ],
+
+    graders: {
+      PSA: ['psa'],
+      BGS: ['bgs', 'beckett'],
+      SGC: ['sgc'],
+      CGC: ['cgc'],
+      CSG: ['csg'],
+      TAG: ['tag'],
+      HGA: ['hga'],
+    },
+  };
+
+  // Flags — matched anywhere in the title, not claimed
+  // "Lot of 10", "10 card lot", "(10) card lot", "lot (10 cards)"
+  const LOT_SIZE_PATTERNS = [
+    /\blot\s+of\s+\(?(\d{1,4})\)?/i,
+    /\(?\b(\d{1,4})\)?[\s-]*(?:cards?|ct|count)\s+lot\b/i,
+    /\blot\s*\(\s*(\d{1,4})\s*(?:cards?|ct)?\s*\)/i,
+  ];
+
+  const ROOKIE_TERMS = ['rc', 'rookie', 'rookies', 'rated rookie', 'rookie card', '1st bowman', 'bowman 1st', 'first bowman'];
+  const AUTO_TERMS = ['auto', 'autos', 'autograph', 'autographed', 'signed', 'on-card auto', 'on card auto'];
+
+  // Serial numbering: "#/99", "#d/99", "/99" and "#12/99" always count. A bare
+  // "12/99" could be a set number ("4/102" in Pokémon), so it needs a common
+  // print run, a year (Topps Gold "/2023"), or a cue word elsewhere in the title.
+  const SERIAL_RE = /^(#'?d?)?(\d{1,4})?\/(\d{1,4})$/;
+  const PRINT_RUNS = new Set([5, 10, 15, 25, 35, 49, 50, 75, 99, 125, 149, 150, 175, 199, 249, 250, 299, 349, 399, 499, 999]);
+  const SERIAL_CUE_RE = /(?:^|\s)(?:#'?d|numbered|serial(?:ed)?|print run)(?:\s|$)/i;
+
+  // Grader words that are also everyday words only count when a grade follows
+  const GRADER_NEEDS_GRADE = new Set(['TAG', 'CSG', 'HGA']);
+
+  // Words that never start or continue a player name
+  const GENERIC_WORDS = [
+    'card', 'cards', 'insert', 'inserts', 'base', 'parallel', 'patch', 'mem', 'relic', 'jersey', 'auto', 'rc', 'rookie',
+    'rookies', 'sp', 'ssp', 'short', 'print', 'mint', 'nm', 'gem', 'mt', 'ex', 'vg', 'lot', 'prospect', 'prospects',
+    'chrome', 'graded', 'raw', 'vintage', 'hof', 'mvp', 'qb', 'rb', 'wr', 'te', 'draft', 'picks', 'pick', 'class',
+    'edition', 'variation', 'image', 'photo', 'numbered', 'rated', 'debut', 'futures', 'storm', 'artistry', 'in',
+    'motion', 'the', 'of', 'and', 'all-stars', 'all-star', 'leaders', 'superstars', 'anniversary', '35th', 'mega',
+    'box', 'hobby', 'retail', 'blaster', 'crusade', 'prizmatic', 'rising', 'zone', 'student', 'orientation',
+    'spotlights', 'spotlight', 'new', 'york', 'chicago', 'boston', 'tennessee', 'philadelphia', 'kansas', 'city',
+    'green', 'bay', 'st', 'louis', 'detroit', 'atlanta', 'arizona', 'state', 'ole', 'miss', 'eng', 'pack', 'packs',
+    'los', 'angeles', 'san', 'francisco', 'diego', 'tampa', 'ud',
+  ];
+
+  // ─── Tokenizing ───────────────────────────────────────────────────────────
+
+  function fold(str) {
+    return String(str).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Split a title into tokens: { raw, clean, norm }. clean drops surrounding
+   * punctuation; norm is clean folded to lowercase ASCII. Tokens with nothing
+   * to match on (lone dashes, slashes) are dropped so phrases stay adjacent.
+   */
+  function tokenize(str) {
+    return String(str || '')
+      .split(/[\s,;|()[\]{}"]+/)
+      .map(raw => {
+        const clean = raw.replace(/^[^\w#/&'’]+|[^\w/&'’]+$/g, '').replace(/’/g, "'");
+        return { raw, clean, norm: fold(clean) };
+      })
+      .filter(t => /[a-z0-9&]/.test(t.norm));
+  }
+
+  const phraseNorms = phrase => tokenize(phrase).map(t => t.norm);
+
+  // ─── Dictionary ───────────────────────────────────────────────────────────
+
+  const clone = obj => JSON.parse(JSON.stringify(obj));
+
+  function loadJSON(key) {
+    try {
+      const raw = localStorage.getItem(key);
+      return raw ? JSON.parse(raw) : {};
+    } catch (e) {
+      return {}; // no localStorage (e.g. inside the import worker)
+    }
+  }
+
+  function saveJSON(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+    } catch (e) { /* ignore */ }
+  }
+
+  const uniq = arr => [...new Set(arr)];
+
+  /**
+   * Merge the user's additions over the defaults. User entries come first so
+   * they win ties, and user categories not in the defaults are added.
+   */
+  function mergeDictionary(base, user) {
+    const merged = clone(base);
+    user = user || {};
+    Object.entries(user.sports || {}).forEach(([sport, entry]) => {
+      const target = merged.sports[sport] || (merged.sports[sport] = { keywords: [], teams: [], players: [] });
+      ['keywords', 'teams', 'players'].forEach(key => {
+        target[key] = uniq([...(entry[key] || []), ...target[key]]);
+      });
+    });
+    Object.entries(user.manufacturers || {}).forEach(([name, brands]) => {
+      merged.manufacturers[name] = uniq([...brands, ...(merged.manufacturers[name] || [])]);
+    });
+    merged.sets = [...(user.sets || []), ...merged.sets];
+    merged.parallels = uniq([...(user.parallels || []), ...merged.parallels]);
+    return merged;
+  }
+
+  /**
+   * Turn a dictionary into one list of claimable phrases, longest first.
+   * Within a length, the user's terms come first, then players beat teams
+   * beat sets beat parallels.
+   */
+  function compile(dict, user) {
+    const userTerms = new Set();
+    Object.entries((user && user.sports) || {}).forEach(([sport, entry]) => {
+      ['keywords', 'teams', 'players'].forEach(key => {
+        (entry[key] || []).forEach(term => userTerms.add(`${sport}|${phraseNorms(term).join(' ')}`));
+      });
+    });
+    const isUserTerm = (sport, norms) => userTerms.has(`${sport}|${norms.join(' ')}`);
+
+    const phrases = [];
+    const kindRank = { player: 0, team: 1, set: 2, parallel: 3 };
+    const add = (kind, text, value, sport) => {
+      const norms = phraseNorms(text);
+      if (norms.length) phrases.push({ kind, norms, value, sport: sport || null, user: isUserTerm(sport, norms) });
+    };
+
+    Object.entries(dict.sports).forEach(([sport, entry]) => {
+      (entry.players || []).forEach(p => add('player', p, p, sport));
+      (entry.teams || []).forEach(t => add('team', t, t, sport));
+    });
+    dict.sets.forEach(s => {
+      const set = typeof s === 'string' ? { name: s } : s;
+      add('set', set.name, set.name, set.sport);
+    });
+    dict.parallels.forEach(p => add('parallel', p, p));
+
+    phrases.sort((a, b) => (b.norms.length - a.norms.length) || (b.user - a.user) || (kindRank[a.kind] - kindRank[b.kind]));
+
+    const keywords = [];
+    Object.entries(dict.sports).forEach(([sport, entry]) => {
+      (entry.keywords || []).forEach(k => {
+        const norms = phraseNorms(k);
+        keywords.push({ norms, sport, user: isUserTerm(sport, norms) });
+      });
+    });
+
+    const brands = [];
+    Object.entries(dict.manufacturers).forEach(([name, words]) => {
+      words.forEach(w => brands.push({ norms: phraseNorms(w), name }));
+    });
+
+    const graders = [];
+    Object.entries(dict.graders).forEach(([name, words]) => {
+      words.forEach(w => graders.push({ norm: fold(w), name }));
+    });
+
+    const stopwords = new Set(GENERIC_WORDS);
+    [...keywords, ...brands].forEach(k => k.norms.forEach(n => stopwords.add(n)));
+    phrases.filter(p => p.kind === 'set' || p.kind === 'parallel').forEach(p => p.norms.forEach(n => stopwords.add(n)));
+    graders.forEach(g => stopwords.add(g.norm));
+
+    return {
+      phrases,
+      keywords,
+      brands,
+      graders,
+      stopwords,
+      rookie: ROOKIE_TERMS.map(phraseNorms),
+      auto: AUTO_TERMS.map(phraseNorms),
+      sports: Object.keys(dict.sports),
+    };
+  }
+
+  let userDictionary = loadJSON(STORAGE_KEY);
+  let dictionary = mergeDictionary(DEFAULT_DICTIONARY, userDictionary);
+  let compiled = compile(dictionary, userDictionary);
+  let categoryOverrides = loadJSON(OVERRIDES_KEY); // { [itemId]: category }
+  const cache = new Map();
+  const CACHE_LIMIT = 5000;
+
+  /**
+   * Replace the user's dictionary additions (and persist them when possible).
+   * @param {object} dict - same shape as DEFAULT_DICTIONARY, every key optional
+   * @param {boolean} [persist=true] - false inside the worker
+   */
+  function setUserDictionary(dict, persist) {
+    userDictionary = dict || {};
+    if (persist !== false) saveJSON(STORAGE_KEY, userDictionary);
+    dictionary = mergeDictionary(DEFAULT_DICTIONARY, userDictionary);
+    compiled = compile(dictionary, userDictionary);
+    cache.clear();
+  }
+
+  /**
+   * Add one term to the user's dictionary.
+   * @param {string} kind - 'players' | 'teams' | 'keywords' | 'sets' | 'parallels' | 'manufacturers'
+   * @param {string} target - category for players/teams/keywords (optional for sets), manufacturer for brands
+   * @param {string} term
+   * @returns {boolean} false if the term was empty or already there
+   */
+  function addTerm(kind, target, term) {
+    term = String(term || '').trim();
+    if (!term) return false;
+    const dict = clone(userDictionary);
+    const has = (list, value) => (list || []).some(t => fold(typeof t === 'string' ? t : t.name) === fold(value));
+
+    if (kind === 'players' || kind === 'teams' || kind === 'keywords') {
+      if (!target) return false;
+      dict.sports = dict.sports || {};
+      const entry = dict.sports[target] || (dict.sports[target] = {});
+      if (has(entry[kind], term)) return false;
+      entry[kind] = [term, ...(entry[kind] || [])];
+    } else if (kind === 'manufacturers') {
+      if (!target) return false;
+      dict.manufacturers = dict.manufacturers || {};
+      if (has(dict.manufacturers[target], term)) return false;
+      dict.manufacturers[target] = [term.toLowerCase(), ...(dict.manufacturers[target] || [])];
+    } else if (kind === 'sets') {
+      if (has(dict.sets, term)) return false;
+      dict.sets = [target ? { name: term, sport: target } : term, ...(dict.sets || [])];
+    } else if (kind === 'parallels') {
+      if (has(dict.parallels, term)) return false;
+      dict.parallels = [term, ...(dict.parallels || [])];
+    } else {
+      return false;
+    }
+    setUserDictionary(dict);
+    return true;
+  }
+
+  /** Remove one term from the user's dictionary (built-in terms can't be removed). */
+  function removeTerm(kind, target, term) {
+    const dict = clone(userDictionary);
+    if (kind === 'players' || kind === 'teams' || kind === 'keywords') {
+      const entry = dict.sports && dict.sports[target];
+      if (entry && entry[kind]) entry[kind] = entry[kind].filter(t => t !== term);
+    } else if (kind === 'manufacturers') {
+      if (dict.manufacturers && dict.manufacturers[target]) {
+        dict.manufacturers[target] = dict.manufacturers[target].filter(t => t !== term);
+        if (!dict.manufacturers[target].length) delete dict.manufacturers[target];
+      }
+    } else if (kind === 'sets') {
+      dict.sets = (dict.sets || []).filter(s => (typeof s === 'string' ? s : s.name) !== term);
+    } else if (kind === 'parallels') {
+      dict.parallels = (dict.parallels || []).filter(t => t !== term);
+    }
+    setUserDictionary(dict);
+  }
+
+  // ─── Per-Listing Overrides ────────────────────────────────────────────────
+
+  /** Category the user assigned to an item by hand, or null. */
+  function categoryOverrideFor(itemId) {
+    return (itemId && categoryOverrides[itemId]) || null;
+  }
+
+  /**
+   * Pin an item to a category, or clear the pin with a falsy category.
+   * @param {string} itemId
+   * @param {string|null} category
+   */
+  function setCategoryOverride(itemId, category) {
+    if (!itemId) return;
+    if (category) categoryOverrides[itemId] = category;
+    else delete categoryOverrides[itemId];
+    saveJSON(OVERRIDES_KEY, categoryOverrides);
+  }
+
+  function getCategoryOverrides() {
+    return { ...categoryOverrides };
+  }
+
+  /** Replace every override — used to hand the page's overrides to the worker. */
+  function setCategoryOverrides(overrides, persist) {
+    categoryOverrides = { ...(overrides || {}) };
+    if (persist !== false) saveJSON(OVERRIDES_KEY, categoryOverrides);
+  }
+
+  // ─── Import / Export ──────────────────────────────────────────────────────
+
+  /**
+   * Export the user's dictionary and category overrides as a JSON string.
+   */
+  function exportDictionary() {
+    return JSON.stringify({
+      type: 'shazbot-card-dictionary',
+      _version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      dictionary: userDictionary,
+      categoryOverrides,
+    }, null, 2);
+  }
+
+  /**
+   * Import a previously exported dictionary. Terms are merged into the user's
+   * dictionary (existing ones are kept); imported overrides replace those for
+   * the same item. Returns { terms, overrides } added, or null on a bad file.
+   */
+  function importDictionary(jsonString) {
+    try {
+      const incoming = JSON.parse(jsonString);
+      if (!incoming || incoming.type !== 'shazbot-card-dictionary' || typeof incoming.dictionary !== 'object') return null;
+      const dict = incoming.dictionary || {};
+      const strings = list => (Array.isArray(list) ? list : []);
+
+      let terms = 0;
+      Object.entries(dict.sports || {}).forEach(([sport, entry]) => {
+        ['players', 'teams', 'keywords'].forEach(kind => {
+          strings(entry && entry[kind]).forEach(t => { if (typeof t === 'string' && addTerm(kind, sport, t)) terms++; });
+        });
+      });
+      Object.entries(dict.manufacturers || {}).forEach(([name, brands]) => {
+        strings(brands).forEach(t => { if (typeof t === 'string' && addTerm('manufacturers', name, t)) terms++; });
+      });
+      strings(dict.sets).forEach(set => {
+        const s = typeof set === 'string' ? { name: set } : (set || {});
+        if (typeof s.name === 'string' && addTerm('sets', s.sport || '', s.name)) terms++;
+      });
+      strings(dict.parallels).forEach(t => { if (typeof t === 'string' && addTerm('parallels', '', t)) terms++; });
+
+      let overrides = 0;
+      Object.entries(incoming.categoryOverrides || {}).forEach(([itemId, category]) => {
+        if (typeof category !== 'string' || !category) return;
+        categoryOverrides[itemId] = category;
+        overrides++;
+      });
+      saveJSON(OVERRIDES_KEY, categoryOverrides);
+
+      return { terms, overrides };
+    } catch (e) {
+      console.error('CardAttributes: import failed:', e);
+      return null;
+    }
+  }
+
+  function getUserDictionary() {
+    return clone(userDictionary);
+  }
+
+  function getDictionary() {
+    return dictionary;
+  }
+
+  /** Category names in dictionary order, with the "Other" fallback last. */
+  function listSports() {
+    return [...compiled.sports, 'Other'];
+  }
+
+  // ─── Extraction ───────────────────────────────────────────────────────────
+
+  function matchAt(tokens, i, norms) {
+    if (i + norms.length > tokens.length) return false;
+    for (let k = 0; k < norms.length; k++) {
+      if (tokens[i + k].norm !== norms[k]) return false;
+    }
+    return true;
+  }
+
+  function findPhrase(tokens, norms) {
+    for (let i = 0; i < tokens.length; i++) {
+      if (matchAt(tokens, i, norms)) return i;
+    }
+    return -1;
+  }
+
+  const isYear = norm => /^(19[0-9]{2}|20[0-9]{2})(-\d{2})?$/.test(norm);
+  const GRADE_RE = /^(10|[1-9](\.5)?)$/;
+
+  function titleCase(name) {
+    return name === name.toUpperCase()
+      ? name.toLowerCase().replace(/(^|[\s\-'])([a-z])/g, (m, p, c) => p + c.toUpperCase())
+      : name;
+  }
+
+  /**
+   * Best guess at a player name when the dictionary has none: the first run
+   * of 2–4 capitalised, unclaimed tokens that aren't set/brand/generic words.
+   */
+  function guessPlayer(tokens, claimed) {
+    const nameLike = t => /^[A-Z][A-Za-z'.-]*$/.test(t.clean) && !compiled.stopwords.has(t.norm);
+    const suffix = t => /^(jr|sr|ii|iii|iv)\.?$/.test(t.norm);
+    for (let i = 0; i < tokens.length; i++) {
+      if (claimed[i] || !nameLike(tokens[i]) || suffix(tokens[i])) continue;
+      let j = i;
+      while (j + 1 < tokens.length && !claimed[j + 1] && j - i < 3 && (nameLike(tokens[j + 1]) || suffix(tokens[j + 1]))) j++;
+      if (j > i) return titleCase(tokens.slice(i, j + 1).map(t => t.clean).join(' '));
+    }
+    return null;
+  }
+
+  /**
+   * Extract card attributes from a listing title.
+   * @param {string} title
+   * @returns {{ sport, year, manufacturer, set, player, team, cardNumber, parallel,
+   *             serial: { number, of }|null, grader, grade, graded, rookie, auto,
+   *             lotSize }} — lotSize is the card count of a "lot of N" listing, else null
+   */
+  function extract(title) {
+    const key = String(title || '');
+    if (cache.has(key)) return copyAttributes(cache.get(key));
+
+    const tokens = tokenize(key);
+    const claimed = new Array(tokens.length).fill(null);
+    const attrs = {
+      sport: 'Other', year: null, manufacturer: null, set: null, player: null, team: null,
+      cardNumber: null, parallel: null, serial: null, grader: null, grade: null,
+      graded: false, rookie: false, auto: false, lotSize: null,
+    };
+
+    for (const re of LOT_SIZE_PATTERNS) {
+      const m = key.match(re);
+      if (m && parseInt(m[1], 10) > 1) { attrs.lotSize = parseInt(m[1], 10); break; }
+    }
+    const votes = {};
+    const vote = (sport, weight, user) => { if (sport) votes[sport] = (votes[sport] || 0) + weight * (user ? USER_WEIGHT : 1); };
+
+    // Numbers: year, serial numbering, card number, grade
+    tokens.forEach((t, i) => {
+      if (isYear(t.norm)) {
+        if (attrs.year === null) attrs.year = parseInt(t.norm, 10);
+        claimed[i] = 'year';
+        return;
+      }
+      const serial = t.norm.match(SERIAL_RE);
+      if (serial && !attrs.serial) {
+        const number = serial[2] ? parseInt(serial[2], 10) : null;
+        const of = parseInt(serial[3], 10);
+        const cued = serial[1] || number === null || SERIAL_CUE_RE.test(key);
+        if ((cued || PRINT_RUNS.has(of) || isYear(serial[3])) && (number === null || number <= of)) {
+          attrs.serial = { number, of };
+          claimed[i] = 'serial';
+          return;
+        }
+        // A set number: "4/102" is card 4 of the set
+        if (!attrs.cardNumber && !serial[1] && number !== null) {
+          attrs.cardNumber = t.clean;
+          claimed[i] = 'cardNumber';
+          return;
+        }
+      }
+      if (!attrs.cardNumber && t.clean.startsWith('#') && t.clean.length > 1) {
+        attrs.cardNumber = t.clean.slice(1);
+        claimed[i] = 'cardNumber';
+        return;
+      }
+      if (!attrs.cardNumber && /^[A-Z0-9]{1,6}-[A-Z0-9]{2,6}$/.test(t.clean)) {
+        attrs.cardNumber = t.clean;
+        claimed[i] = 'cardNumber';
+      }
+    });
+
+    // Grading: "PSA 10", "BGS 9.5", "PSA10"
+    tokens.forEach((t, i) => {
+      if (attrs.grader || claimed[i]) return;
+      let grader = compiled.graders.find(g => g.norm === t.norm);
+      let grade = null;
+      if (grader) {
+        const next = tokens[i + 1];
+        if (next && GRADE_RE.test(next.norm)) { grade = parseFloat(next.norm); claimed[i + 1] = 'grade'; }
+      } else {
+        const joined = t.norm.match(/^([a-z]+)(10|[1-9](?:\.5)?)$/);
+        grader = joined && compiled.graders.find(g => g.norm === joined[1]);
+        if (grader) grade = parseFloat(joined[2]);
+      }
+      if (!grader || (grade === null && GRADER_NEEDS_GRADE.has(grader.name))) return;
+      attrs.grader = grader.name;
+      attrs.grade = grade;
+      attrs.graded = true;
+      claimed[i] = 'grader';
+    });
+
+    // Dictionary phrases, longest first
+    const firstOf = {};
+    compiled.phrases.forEach(p => {
+      for (let i = 0; i + p.norms.length <= tokens.length; i++) {
+        if (!matchAt(tokens, i, p.norms)) continue;
+        let free = true;
+        for (let k = 0; k < p.norms.length; k++) if (claimed[i + k]) { free = false; break; }
+        if (!free) continue;
+        for (let k = 0; k < p.norms.length; k++) claimed[i + k] = p.kind;
+        if (!firstOf[p.kind] || i < firstOf[p.kind].i) firstOf[p.kind] = { i, p };
+        vote(p.sport, p.kind === 'player' ? 3 : 1, p.user);
+        break;
+      }
+    });
+
+    if (firstOf.player) attrs.player = firstOf.player.p.value;
+    if (firstOf.team) attrs.team = firstOf.team.p.value;
+    if (firstOf.set) attrs.set = firstOf.set.p.value;
+    if (firstOf.parallel) {
+      // Join adjacent parallel words into one name ("Orange" + "Lava" + "Foil")
+      let { i } = firstOf.parallel;
+      let j = i;
+      while (i > 0 && claimed[i - 1] === 'parallel') i--;
+      while (j + 1 < tokens.length && claimed[j + 1] === 'parallel') j++;
+      attrs.parallel = tokens.slice(i, j + 1).map(t => t.clean).join(' ');
+    }
+
+    // Sport keywords are strong evidence
+    compiled.keywords.forEach(k => { if (findPhrase(tokens, k.norms) !== -1) vote(k.sport, 3, k.user); });
+
+    // Manufacturer: the brand that appears first in the title
+    let brandAt = Infinity;
+    compiled.brands.forEach(b => {
+      const at = findPhrase(tokens, b.norms);
+      if (at !== -1 && at < brandAt) { brandAt = at; attrs.manufacturer = b.name; }
+    });
+
+    attrs.rookie = compiled.rookie.some(n => findPhrase(tokens, n) !== -1);
+    attrs.auto = compiled.auto.some(n => findPhrase(tokens, n) !== -1);
+
+    const ranked = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+    if (ranked.length) attrs.sport = ranked[0][0];
+
+    if (!attrs.player) attrs.player = guessPlayer(tokens, claimed);
+
+    // Oldest titles go first once the cache is full
+    if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+    cache.set(key, attrs);
+    return copyAttributes(attrs);
+  }
+
+  /** Callers get their own copy, so changing one can't alter the cached result. */
+  function copyAttributes(attrs) {
+    return { ...attrs, serial: attrs.serial && { ...attrs.serial } };
+  }
+
+  return {
+    extract,
+    listSports,
+    getDictionary,
+    getUserDictionary,
+    setUserDictionary,
+    addTerm,
+    removeTerm,
+    categoryOverrideFor,
+    setCategoryOverride,
+    getCategoryOverrides,
+    setCategoryOverrides,
+    exportDictionary,
+    importDictionary,
+    DEFAULT_DICTIONARY,
+  };
+})();
@@ -19,9 +19,25 @@ const Charts = (() => {
     Football:   COLORS.blue,
     Baseball:   COLORS.green,
     Basketball: COLORS.orange,
+    Hockey:     COLORS.cyan,
+    Soccer:     COLORS.purple,
+    Racing:     COLORS.red,
+    'Pokémon':  COLORS.yellow,
     Other:      COLORS.grey,
   };
 
+  // Other groupings (manufacturer, set, year…) cycle through the palette
+  const PALETTE = [COLORS.blue, COLORS.green, COLORS.orange, COLORS.purple, COLORS.cyan, COLORS.yellow, COLORS.red];
+
+  function groupColors(labels) {
+    let next = 0;
+    return labels.map(label => {
+      if (SPORT_COLORS[label]) return SPORT_COLORS[label];
+      if (label === 'Unknown' || label === 'No' || label === 'Raw') return COLORS.grey;
+      return PALETTE[next++ % PALETTE.length];
+    });
+  }
+
   let chartInstances = {};
 
   function destroyChart(id) {
@@ -112,7 +128,7 @@ const Charts = (() => {
 
     const labels = Object.keys(breakdown);
     const impressionData = labels.map(s => breakdown[s].totalImpressions);
-    const colors = labels.map(s => SPORT_COLORS[s] || COLORS.grey);
+    const colors = groupColors(labels);
 
     chartInstances[canvasId] = new Chart(ctx, {
       type: 'doughnut',
@@ -150,7 +166,7 @@ const Charts = (() => {
 
     const labels = Object.keys(breakdown);
     const countData = labels.map(s => breakdown[s].count);
-    const colors = labels.map(s => SPORT_COLORS[s] || COLORS.grey);
+    const colors = groupColors(labels);
 
     chartInstances[canvasId] = new Chart(ctx, {
       type: 'bar',
@@ -237,15 +253,96 @@ const Charts = (() => {
     });
   }
 
+  // ─── Forecast Overlay ──────────────────────────────────────────────────────
+
+  /**
+   * Continue a history chart with a forecast: x labels for the periods ahead,
+   * a dashed projection from the last actual value and a shaded 80% band.
+   * @param {object|null} forecast - Forecast.project() result
+   * @param {Array<number>} history - the actual series the forecast continues
+   */
+  function forecastOverlay(forecast, history, color, label) {
+    if (!forecast || !history.length) return { labels: [], datasets: [] };
+    const lead = new Array(history.length - 1).fill(null);
+    const last = history[history.length - 1];
+    const series = key => [...lead, last, ...forecast.points.map(p => p[key])];
+    return {
+      labels: forecast.points.map(p => `Forecast +${p.h}`),
+      datasets: [
+        {
+          label: `${label} (${forecast.seasonal ? 'seasonal ' : ''}forecast)`,
+          data: series('value'),
+          borderColor: color,
+          backgroundColor: 'transparent',
+          fill: false,
+          tension: 0.3,
+          borderDash: [2, 4],
+          pointRadius: [...lead.map(() => 0), 0, ...forecast.points.map(() => 3)],
+        },
+        {
+          label: 'Forecast low',
+          data: series('lower'),
+          borderColor: 'transparent',
+          backgroundColor: 'transparent',
+          fill: false,
+          tension: 0.3,
+          pointRadius: 0,
+          isBandLow: true,
+        },
+        {
+          label: '80% forecast range',
+          data: series('upper'),
+          borderColor: 'transparent',
+          backgroundColor: color + '26',
+          fill: '-1',
+          tension: 0.3,
+          pointRadius: 0,
+          isBandHigh: true,
+        },
+      ],
+    };
+  }
+
+  /** Chart options that keep the band's lower edge out of the legend and show the band as one tooltip line. */
+  function forecastOptions(overrides, format) {
+    const base = defaultOptions().plugins;
+    return defaultOptions({
+      ...overrides,
+      plugins: {
+        ...base,
+        legend: {
+          ...base.legend,
+          labels: { ...base.legend.labels, filter: (item, data) => !data.datasets[item.datasetIndex].isBandLow },
+        },
+        tooltip: {
+          ...base.tooltip,
+          filter: item => !item.dataset.isBandLow && item.raw !== null,
+          callbacks: {
+            label: item => {
+              if (!item.dataset.isBandHigh) return `${item.dataset.label}: ${format(item.raw)}`;
+              const low = item.chart.data.datasets[item.datasetIndex - 1].data[item.dataIndex];
+              return `80% range: ${format(low)} – ${format(item.raw)}`;
+            },
+          },
+        },
+      },
+    });
+  }
+
   // ─── Impressions Over Time Line Chart ──────────────────────────────────────
 
-  function renderImpressionsOverTime(canvasId, aggregateTrend) {
+  /**
+   * @param {object|null} [forecast] - Forecast.project() of totalImpressions, drawn after the history
+   */
+  function renderImpressionsOverTime(canvasId, aggregateTrend, forecast) {
     if (!chartAvailable(canvasId)) return;
     destroyChart(canvasId);
     const ctx = document.getElementById(canvasId);
     if (!ctx) return;
 
-    const labels = aggregateTrend.map(d => d.label);
+    const unit = aggregateTrend.length && aggregateTrend[0].perDay ? ' / day' : '';
+    const overlay = forecastOverlay(forecast, aggregateTrend.map(d => d.totalImpressions), COLORS.blue, 'Impressions' + unit);
+    const labels = [...aggregateTrend.map(d => d.label), ...overlay.labels];
 
     chartInstances[canvasId] = new Chart(ctx, {
       type: 'line',
@@ -253,7 +350,7 @@ const Charts = (() => {
         labels,
         datasets: [
           {
-            label: 'Total Impressions',
+            label: 'Total Impressions' + unit,
             data: aggregateTrend.map(d => d.totalImpressions),
             borderColor: COLORS.blue,
             backgroundColor: COLORS.blue + '22',
@@ -262,7 +359,7 @@ const Charts = (() => {
             pointRadius: 4,
           },
           {
-            label: 'Promoted',
+            label: 'Promoted' + unit,
             data: aggregateTrend.map(d => d.promotedImpressions),
             borderColor: COLORS.purple,
             backgroundColor: COLORS.purple + '11',
@@ -272,7 +369,7 @@ const Charts = (() => {
             pointRadius: 3,
           },
           {
-            label: 'Organic',
+            label: 'Organic' + unit,
             data: aggregateTrend.map(d => d.organicImpressions),
             borderColor: COLORS.green,
             backgroundColor: COLORS.green + '11',
@@ -281,22 +378,27 @@ const Charts = (() => {
             borderDash: [3, 3],
             pointRadius: 3,
           },
+          ...overlay.datasets,
         ],
       },
-      options: defaultOptions(),
+      options: forecastOptions({}, v => Number(v).toLocaleString()),
     });
   }
 
   // ─── CTR Trend Line Chart ───────────────────────────────────────────────────
 
-  function renderCTRTrend(canvasId, aggregateTrend) {
+  /**
+   * @param {object|null} [forecast] - Forecast.project() of avgCTR, drawn after the history
+   */
+  function renderCTRTrend(canvasId, aggregateTrend, forecast) {
     if (!chartAvailable(canvasId)) return;
     destroyChart(canvasId);
     const ctx = document.getElementById(canvasId);
     if (!ctx) return;
 
-    const labels = aggregateTrend.map(d => d.label);
     const ctrs = aggregateTrend.map(d => d.avgCTR);
+    const overlay = forecastOverlay(forecast, ctrs, COLORS.cyan, 'Avg CTR');
+    const labels = [...aggregateTrend.map(d => d.label), ...overlay.labels];
 
     // Simple moving average trendline
     const trendline = ctrs.map((_, i) => {
@@ -328,9 +430,10 @@ const Charts = (() => {
             borderDash: [6, 3],
             pointRadius: 0,
           },
+          ...overlay.datasets,
         ],
       },
-      options: defaultOptions({
+      options: forecastOptions({
         scales: {
           x: { ticks: { color: '#9090a0' }, grid: { color: 'rgba(255,255,255,0.05)' } },
           y: {
@@ -338,6 +441,40 @@ const Charts = (() => {
             grid: { color: 'rgba(255,255,255,0.05)' },
           },
         },
+      }, v => Number(v).toFixed(2) + '%'),
+    });
+  }
+
+  // ─── Realized Revenue Over Time (Orders report) ─────────────────────────────
+
+  function renderRevenueOverTime(canvasId, aggregateTrend) {
+    if (!chartAvailable(canvasId)) return;
+    destroyChart(canvasId);
+    const ctx = document.getElementById(canvasId);
+    if (!ctx) return;
+
+    chartInstances[canvasId] = new Chart(ctx, {
+      type: 'bar',
+      data: {
+        labels: aggregateTrend.map(d => d.label),
+        datasets: [
+          {
+            label: 'Realized Revenue ($)',
+            data: aggregateTrend.map(d => d.realizedRevenue || 0),
+            backgroundColor: COLORS.green + 'cc',
+            borderColor: COLORS.green,
+            borderWidth: 1,
+          },
+        ],
+      },
+      options: defaultOptions({
+        scales: {
+          x: { ticks: { color: '#9090a0' }, grid: { color: 'rgba(255,255,255,0.05)' } },
+          y: {
+            ticks: { color: '#9090a0', callback: v => '$' + v },
+            grid: { color: 'rgba(255,255,255,0.05)' },
+          },
+        },
       }),
     });
   }
@@ -409,6 +546,52 @@ const Charts = (() => {
     });
   }
 
+  // ─── Listing Change Events ──────────────────────────────────────────────────
+
+  /** A listing's change events grouped by the report they first show up in. */
+  function eventsByReport(entry) {
+    const byReport = {};
+    (entry.events || []).forEach(e => { (byReport[e.reportId] = byReport[e.reportId] || []).push(e); });
+    return byReport;
+  }
+
+  function eventTooltipLines(events) {
+    return (events || []).map(e => {
+      if (e.type === 'title' || typeof e.from === 'boolean') return `${e.icon} ${e.label}`;
+      const fmt = v => (e.type === 'priceDrop' || e.type === 'priceRaise' ? '$' + v.toFixed(2) : String(v));
+      return `${e.icon} ${e.label}: ${fmt(e.from)} → ${fmt(e.to)}`;
+    });
+  }
+
+  /**
+   * Draws a dashed line and the event icons at each report where the listing
+   * was edited. Reads the marks from options.plugins.eventMarkers.marks as
+   * [{ index, icons }].
+   */
+  const eventMarkersPlugin = {
+    id: 'eventMarkers',
+    afterDatasetsDraw(chart, args, opts) {
+      const marks = (opts && opts.marks) || [];
+      if (!marks.length) return;
+      const { ctx, chartArea, scales } = chart;
+      ctx.save();
+      marks.forEach(m => {
+        const x = scales.x.getPixelForValue(m.index);
+        ctx.strokeStyle = 'rgba(255,193,7,0.6)';
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(x, chartArea.top + 16);
+        ctx.lineTo(x, chartArea.bottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.font = '13px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(m.icons, x, chartArea.top + 12);
+      });
+      ctx.restore();
+    },
+  };
+
   // ─── Top Listings Impressions Over Time ─────────────────────────────────────
 
   function renderTopListingsOverTime(canvasId, topListingTimelines, allReportLabels) {
@@ -418,6 +601,7 @@ const Charts = (() => {
     if (!ctx) return;
 
     const palette = [COLORS.blue, COLORS.green, COLORS.yellow, COLORS.orange, COLORS.cyan];
+    const eventsAt = [];
 
     const datasets = topListingTimelines.map((entry, i) => {
       // Build data points aligned to allReportLabels
@@ -425,25 +609,119 @@ const Charts = (() => {
       entry.snapshots.forEach(snap => { dataMap[snap.uploadedAt] = snap.totalImpressions; });
       const data = allReportLabels.map(r => dataMap[r.uploadedAt] !== undefined ? dataMap[r.uploadedAt] : null);
 
+      // Points where the listing was edited are drawn as triangles
+      const byReport = eventsByReport(entry);
+      eventsAt[i] = allReportLabels.map(r => byReport[r.reportId] || null);
+
       return {
         label: truncate(entry.title, 28),
         data,
         borderColor: palette[i % palette.length],
-        backgroundColor: 'transparent',
+        backgroundColor: palette[i % palette.length],
         fill: false,
         tension: 0.3,
-        pointRadius: 4,
+        pointRadius: eventsAt[i].map(e => (e ? 7 : 4)),
+        pointStyle: eventsAt[i].map(e => (e ? 'triangle' : 'circle')),
         spanGaps: true,
       };
     });
 
+    const base = defaultOptions().plugins;
     chartInstances[canvasId] = new Chart(ctx, {
       type: 'line',
       data: {
         labels: allReportLabels.map(r => r.label),
         datasets,
       },
-      options: defaultOptions(),
+      options: defaultOptions({
+        plugins: {
+          ...base,
+          tooltip: {
+            ...base.tooltip,
+            callbacks: { afterLabel: item => eventTooltipLines(eventsAt[item.datasetIndex][item.dataIndex]) },
+          },
+        },
+      }),
+    });
+  }
+
+  // ─── Single Listing Timeline ────────────────────────────────────────────────
+
+  /**
+   * One listing's impressions and CTR across reports, with its change events
+   * marked where they first show up.
+   * @param {string} canvasId
+   * @param {object} entry - a timeline entry from Trends.buildListingTimeline()
+   * @param {Array} allReportLabels - Trends.computeAggregateTrend() output
+   */
+  function renderListingTimeline(canvasId, entry, allReportLabels) {
+    if (!chartAvailable(canvasId)) return;
+    destroyChart(canvasId);
+    const ctx = document.getElementById(canvasId);
+    if (!ctx || !entry) return;
+
+    const snapByReport = {};
+    entry.snapshots.forEach(snap => { snapByReport[snap.reportId] = snap; });
+    const snaps = allReportLabels.map(r => snapByReport[r.reportId] || null);
+    const byReport = eventsByReport(entry);
+    const eventsAt = allReportLabels.map(r => byReport[r.reportId] || null);
+    const marks = eventsAt
+      .map((events, index) => events && { index, icons: events.map(e => e.icon).join('') })
+      .filter(Boolean);
+
+    const base = defaultOptions().plugins;
+    chartInstances[canvasId] = new Chart(ctx, {
+      type: 'line',
+      data: {
+        labels: allReportLabels.map(r => r.label),
+        datasets: [
+          {
+            label: allReportLabels.length && allReportLabels[0].perDay ? 'Impressions / day' : 'Impressions',
+            data: snaps.map(s => (s ? s.totalImpressions : null)),
+            borderColor: COLORS.blue,
+            backgroundColor: COLORS.blue + '22',
+            fill: true,
+            tension: 0.3,
+            pointRadius: 4,
+            spanGaps: true,
+            yAxisID: 'y',
+          },
+          {
+            label: 'CTR (%)',
+            data: snaps.map(s => (s ? s.ctr : null)),
+            borderColor: COLORS.cyan,
+            backgroundColor: 'transparent',
+            fill: false,
+            tension: 0.3,
+            borderDash: [6, 3],
+            pointRadius: 3,
+            spanGaps: true,
+            yAxisID: 'y1',
+          },
+        ],
+      },
+      options: defaultOptions({
+        layout: { padding: { top: 8 } },
+        plugins: {
+          ...base,
+          eventMarkers: { marks },
+          tooltip: {
+            ...base.tooltip,
+            callbacks: { afterBody: items => (items.length ? eventTooltipLines(eventsAt[items[0].dataIndex]) : []) },
+          },
+        },
+        scales: {
+          x: { ticks: { color: '#9090a0' }, grid: { color: 'rgba(255,255,255,0.05)' } },
+          y: { ticks: { color: '#9090a0' }, grid: { color: 'rgba(255,255,255,0.05)' }, beginAtZero: true },
+          y1: {
+            position: 'right',
+            ticks: { color: '#9090a0', callback: v => v + '%' },
+            grid: { drawOnChartArea: false },
+            beginAtZero: true,
+          },
+        },
+      }),
+      plugins: [eventMarkersPlugin],
     });
   }
 
@@ -459,8 +737,10 @@ const Charts = (() => {
     renderHealthDistribution,
     renderImpressionsOverTime,
     renderCTRTrend,
+    renderRevenueOverTime,
     renderHealthOverTime,
     renderTopListingsOverTime,
+    renderListingTimeline,
     destroyChart,
   };
 })();
@@ -1,27 +1,95 @@
 /**
  * cogs.js — COGS (Cost of Goods Sold) calculator for ShazbotCards
- * Handles materials management, shipping rules, and profitability calculations.
+ * Handles materials management, shipping rules, the eBay fee schedule,
+ * Promoted Listings ad fees, per-card acquisition costs, materials stock,
+ * and profitability calculations.
  */
 
+/* global CSVParser, Analyzer */
+
 const COGS = (() => {
   'use strict';
 
   const STORAGE_KEY = 'shazbot-cogs-settings';
-  const SETTINGS_VERSION = 3; // bump this whenever DEFAULTS.materials structure changes
+  const SETTINGS_VERSION = 7; // bump this whenever DEFAULTS changes shape, and add a migration (see MIGRATIONS)
+
+  // Store subscriptions from Basic up get the reduced "store" final value fee tiers
+  const STORE_LEVELS = [
+    { id: 'none',       label: 'No store',   storeRates: false },
+    { id: 'starter',    label: 'Starter',    storeRates: false },
+    { id: 'basic',      label: 'Basic',      storeRates: true },
+    { id: 'premium',    label: 'Premium',    storeRates: true },
+    { id: 'anchor',     label: 'Anchor',     storeRates: true },
+    { id: 'enterprise', label: 'Enterprise', storeRates: true },
+  ];
+
+  // USPS zone columns in a zoned rate table (zones 1 and 2 share a price)
+  const ZONES = ['1–2', '3', '4', '5', '6', '7', '8', '9'];
 
   // ─── Default Settings ──────────────────────────────────────────────────────
 
   const DEFAULTS = {
-    ebayFeeRate: 0.1325,
+    // eBay US fee schedule. Final value fee tiers are marginal: each rate applies
+    // to the part of the order total inside its tier (upTo: null = no ceiling).
+    fees: {
+      category: 'cards',
+      storeLevel: 'none',
+      topRated: false,
+      topRatedDiscount: 0.10,      // off the percentage part of the final value fee
+      feeOnShipping: true,         // final value fee also applies to shipping the buyer pays
+      perOrder: { small: 0.30, smallUpTo: 10.00, standard: 0.40 },
+      internationalRate: 0.0165,
+      internationalShare: 0,       // share of estimated sales going abroad (real orders use Ship To Country)
+      homeCountry: 'United States',
+      storeFees: { none: 0, starter: 4.95, basic: 21.95, premium: 59.95, anchor: 299.95, enterprise: 2999.95 },
+      salesPerMonth: 0,            // spreads the monthly store fee over this many orders; 0 = leave it out
+      categories: {
+        cards:   { label: 'Trading Cards',   standard: [{ upTo: 7500, rate: 0.1325 }, { upTo: null, rate: 0.0235 }], store: [{ upTo: 2500, rate: 0.1235 }, { upTo: null, rate: 0.0235 }] },
+        general: { label: 'Most Categories', standard: [{ upTo: 7500, rate: 0.1360 }, { upTo: null, rate: 0.0235 }], store: [{ upTo: 2500, rate: 0.1270 }, { upTo: null, rate: 0.0235 }] },
+      },
+    },
+    adRate: 0.02,  // default Promoted Listings ad rate, charged only on sales that came via an ad
+    adRates: {},   // per-listing ad rates keyed by itemId
+    // What each card cost us, keyed by itemId: { cost, lotId? }. Lots record how
+    // a bulk purchase was split so it can be undone.
+    acquisition: { items: {}, lots: [] },
+    // Shipping rules run top to bottom and the first match picks the method and
+    // what the buyer pays (charge 0 = free shipping, postage absorbed). Conditions
+    // use the recommendation-rule language over the listing plus lotSize, cards,
+    // weightOz and weightClass ('letter' ≤ 1 oz, 'flat' ≤ 3 oz, 'parcel').
     shipping: {
-      ese: { label: 'eBay Std Envelope', postage: 1.03 },
-      ga:  { label: 'Ground Advantage',  postage: 5.08 },
-      threshold: 20.00, // listings > $20 auto-assign GA
+      rules: [
+        { id: 'graded-parcel', name: 'Slabs are too thick for envelopes', enabled: true, conditions: [{ field: 'attributes.graded', op: '=', value: true }], method: 'ga', charge: 0 },
+        { id: 'heavy-parcel',  name: 'Over 3 oz ships as a parcel',       enabled: true, conditions: [{ field: 'weightOz', op: '>', value: 3 }],            method: 'ga', charge: 0 },
+        { id: 'over-20',       name: 'Over $20 needs tracking',           enabled: true, conditions: [{ field: 'price', op: '>', value: 20 }],              method: 'ga', charge: 0 },
+      ],
+      defaultMethod: 'ese',
+      defaultCharge: 0,
+      zone: 5,                                            // USPS zone assumed for zoned rates
+      weights: { raw: 1, graded: 4, perExtraCard: 0.3 },  // packed ounces: first card, plus each extra card
+      methods: [
+        { id: 'pwe', label: 'PWE (stamps)', carrier: 'USPS First-Class Mail', maxOz: 3.5,
+          surcharge: 0.49, // non-machinable: a top loader makes the envelope rigid
+          rates: [{ upToOz: 1, price: 0.78 }, { upToOz: 2, price: 1.07 }, { upToOz: 3, price: 1.36 }, { upToOz: 3.5, price: 1.65 }] },
+        { id: 'ese', label: 'eBay Std Envelope', carrier: 'eBay', maxOz: 3, surcharge: 0,
+          rates: [{ upToOz: 3, price: 1.03 }] },
+        { id: 'ga', label: 'Ground Advantage', carrier: 'USPS', maxOz: null, surcharge: 0, zoned: true,
+          rates: [
+            { upToOz: 4,  zones: [4.62, 4.70, 4.82, 5.08, 5.18, 5.28, 5.58, 5.58] },
+            { upToOz: 8,  zones: [5.22, 5.30, 5.44, 5.68, 5.82, 5.96, 6.33, 6.33] },
+            { upToOz: 12, zones: [6.15, 6.26, 6.43, 6.75, 6.93, 7.11, 7.57, 7.57] },
+            { upToOz: 16, zones: [7.29, 7.44, 7.66, 8.07, 8.30, 8.52, 9.08, 9.08] },
+          ] },
+      ],
     },
+    // Materials stock: onHand on a material turns tracking on, and each imported
+    // report's sales are taken out once (the log makes that undoable). Alerts fire
+    // at a material's reorderAt count or when it will run out within leadDays.
+    inventory: { leadDays: 14, log: [] },
     materials: [
-      { id: 'sleeve',  name: 'Ultra Pro Penny Sleeves',         packCount: 500, packPrice:  8.58, unitCost: 0.02, includePerSale: true,  methods: ['ese','ga'] },
-      { id: 'topldr',  name: 'Ultra Pro 3x4 Top Loader',        packCount: 200, packPrice: 33.98, unitCost: 0.17, includePerSale: true,  methods: ['ese','ga'] },
-      { id: 'teambag', name: 'Team Bags 3x4 (35pt) - DEDC',     packCount: 100, packPrice:  5.25, unitCost: 0.05, includePerSale: true,  methods: ['ese','ga'] },
+      { id: 'sleeve',  name: 'Ultra Pro Penny Sleeves',         packCount: 500, packPrice:  8.58, unitCost: 0.02, includePerSale: true,  methods: ['pwe','ese','ga'] },
+      { id: 'topldr',  name: 'Ultra Pro 3x4 Top Loader',        packCount: 200, packPrice: 33.98, unitCost: 0.17, includePerSale: true,  methods: ['pwe','ese','ga'] },
+      { id: 'teambag', name: 'Team Bags 3x4 (35pt) - DEDC',     packCount: 100, packPrice:  5.25, unitCost: 0.05, includePerSale: true,  methods: ['pwe','ese','ga'] },
       { id: 'env',     name: 'Ding Defend Shipping Envelopes',  packCount: 110, packPrice: 24.97, unitCost: 0.23, includePerSale: true,  methods: ['ese'] },       // ESE only
       { id: 'bubble',  name: 'Bubble Mailers 4x7 Poly Padded',  packCount:  50, packPrice:  9.88, unitCost: 0.20, includePerSale: true,  methods: ['ga']  },       // GA only
       { id: 'hobb',    name: 'Hobby Armor 3.5x4.5',             packCount:  50, packPrice:  8.56, unitCost: 0.17, includePerSale: false, methods: ['ese','ga'] },
@@ -31,30 +99,157 @@ const COGS = (() => {
 
   // ─── Persistence ──────────────────────────────────────────────────────────
 
+  const clone = obj => JSON.parse(JSON.stringify(obj));
+
+  // Default materials every settings object saved before knownDefaults existed was given
+  const LEGACY_DEFAULT_MATERIALS = ['sleeve', 'topldr', 'teambag', 'env', 'bubble', 'hobb', 'graded'];
+
+  function defaults() {
+    return { ...clone(DEFAULTS), _version: SETTINGS_VERSION, knownDefaults: DEFAULTS.materials.map(m => m.id) };
+  }
+
+  /**
+   * Load settings, migrating anything saved by an older version forward. A
+   * migration never drops the user's materials or prices; the change summary
+   * is kept on the settings as lastMigration until the user dismisses it.
+   */
   function load() {
     try {
       const raw = localStorage.getItem(STORAGE_KEY);
-      if (!raw) return JSON.parse(JSON.stringify(DEFAULTS));
+      if (!raw) return defaults();
 
       const saved = JSON.parse(raw);
+      if (!saved || typeof saved !== 'object') return defaults();
+      if (!Array.isArray(saved.materials)) saved.materials = clone(DEFAULTS.materials);
 
-      // If version mismatch, reset materials to DEFAULTS but keep user's non-material prefs
-      if (!saved._version || saved._version < SETTINGS_VERSION) {
-        const fresh = JSON.parse(JSON.stringify(DEFAULTS));
-        fresh._version = SETTINGS_VERSION;
-        // Preserve user's ebayFeeRate if they customized it
-        if (saved.ebayFeeRate !== undefined) fresh.ebayFeeRate = saved.ebayFeeRate;
-        // Save the fresh version so next load is clean
-        try { localStorage.setItem(STORAGE_KEY, JSON.stringify(fresh)); } catch(e) {}
-        return fresh;
+      const from = saved._version || 1;
+      const migrated = from < SETTINGS_VERSION;
+      if (migrated) {
+        saved.lastMigration = { from, to: SETTINGS_VERSION, at: new Date().toISOString(), changes: migrate(saved, from) };
       }
-
+      fillDefaults(saved, DEFAULTS);
+      if (migrated) save(saved);
       return saved;
     } catch (e) {
-      return JSON.parse(JSON.stringify(DEFAULTS));
+      return defaults();
     }
   }
 
+  // ─── Migrations ───────────────────────────────────────────────────────────
+
+  /**
+   * Settings migrations keyed by the version they produce. Each one updates
+   * settings saved at the version before it in place and returns lines for
+   * the change summary. Settings without a version stamp count as version 1.
+   * When DEFAULTS changes shape, bump SETTINGS_VERSION and add one here.
+   */
+  const MIGRATIONS = {
+    // Materials from before shipping methods and stored unit costs
+    3: s => {
+      let fixed = 0;
+      s.materials.forEach(m => {
+        const incomplete = !Array.isArray(m.methods) || typeof m.unitCost !== 'number';
+        if (!Array.isArray(m.methods)) {
+          const def = DEFAULTS.materials.find(d => d.id === m.id);
+          m.methods = def ? [...def.methods] : [];
+        }
+        if (typeof m.unitCost !== 'number') m.unitCost = m.packCount > 0 ? (m.packPrice || 0) / m.packCount : 0;
+        if (incomplete) fixed++;
+      });
+      return fixed ? [`Filled in missing shipping methods or unit costs on ${fixed} material(s).`] : [];
+    },
+
+    // The flat eBay fee rate became the fee schedule
+    4: s => {
+      const changes = [];
+      if (typeof s.ebayFeeRate === 'number') {
+        // A custom flat rate becomes a single tier on the default category, so fees come out as before
+        if (Math.abs(s.ebayFeeRate - 0.1325) > 1e-6) {
+          if (!s.fees) s.fees = clone(DEFAULTS.fees);
+          const cat = s.fees.categories[s.fees.category];
+          const flat = [{ upTo: null, rate: s.ebayFeeRate }];
+          cat.standard = clone(flat);
+          cat.store = clone(flat);
+          changes.push(`Kept your flat ${(s.ebayFeeRate * 100).toFixed(2)}% eBay fee rate as the ${cat.label} rate in 🧾 eBay Fees.`);
+        }
+        delete s.ebayFeeRate;
+      }
+      return changes;
+    },
+
+    // 5 added per-card acquisition costs and 7 materials stock; both are new
+    // keys that fillDefaults() fills in, so there is nothing to carry over
+
+    // The single shipping threshold became shipping rules
+    6: s => (!s.shipping || !s.shipping.rules ? upgradeShipping(s) : []),
+  };
+
+  /** Run every migration after version from, then offer any new default materials. @returns {string[]} changes */
+  function migrate(saved, from) {
+    const changes = [];
+    for (let v = from + 1; v <= SETTINGS_VERSION; v++) {
+      if (MIGRATIONS[v]) changes.push(...MIGRATIONS[v](saved));
+      saved._version = v;
+    }
+
+    // Add default materials this user hasn't been offered before; ones they deleted stay deleted
+    const known = new Set(saved.knownDefaults || LEGACY_DEFAULT_MATERIALS);
+    const have = new Set(saved.materials.map(m => m.id));
+    const added = DEFAULTS.materials.filter(d => !known.has(d.id) && !have.has(d.id));
+    added.forEach(d => saved.materials.push(clone(d)));
+    saved.knownDefaults = DEFAULTS.materials.map(d => d.id);
+    if (added.length) changes.push(`Added new default material(s): ${added.map(d => d.name).join(', ')}.`);
+
+    changes.push(`Kept your ${saved.materials.length - added.length} material(s) with their prices and stock.`);
+    return changes;
+  }
+
+  /** Add settings keys introduced since these were saved, leaving every existing value alone. */
+  function fillDefaults(target, source) {
+    Object.keys(source).forEach(key => {
+      const def = source[key];
+      if (target[key] === undefined) {
+        target[key] = clone(def);
+      } else if (def && typeof def === 'object' && !Array.isArray(def)
+        && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+        fillDefaults(target[key], def);
+      }
+    });
+  }
+
+  /**
+   * Settings from before shipping rules had one price threshold and a flat
+   * postage per method. Carry the threshold and the envelope postage into the
+   * rules model, and let card-protection materials go out by PWE too.
+   * @returns {string[]} changes
+   */
+  function upgradeShipping(saved) {
+    const old = saved.shipping || {};
+    const changes = [];
+    const shipping = clone(DEFAULTS.shipping);
+    const priceRule = shipping.rules.find(r => r.id === 'over-20');
+    if (priceRule && typeof old.threshold === 'number') {
+      priceRule.conditions[0].value = old.threshold;
+      priceRule.name = `Over $${old.threshold} needs tracking`;
+      changes.push(`Your $${old.threshold} Ground Advantage threshold is now the "${priceRule.name}" shipping rule.`);
+    }
+    const ese = shipping.methods.find(m => m.id === 'ese');
+    if (ese && old.ese && typeof old.ese.postage === 'number') {
+      ese.rates = [{ upToOz: ese.maxOz, price: old.ese.postage }];
+      changes.push(`Kept your $${old.ese.postage.toFixed(2)} eBay Standard Envelope postage.`);
+    }
+    saved.shipping = shipping;
+    let pwe = 0;
+    saved.materials.forEach(m => {
+      if (m.methods && m.methods.includes('ese') && m.methods.includes('ga') && !m.methods.includes('pwe')) {
+        m.methods.unshift('pwe');
+        pwe++;
+      }
+    });
+    if (pwe) changes.push(`${pwe} card-protection material(s) now also ship with PWE (stamped envelope) sales.`);
+    return changes;
+  }
+
   function save(settings) {
     try {
       settings._version = SETTINGS_VERSION;
@@ -62,25 +257,321 @@ const COGS = (() => {
     } catch (e) { /* ignore */ }
   }
 
+  // ─── Shipping ─────────────────────────────────────────────────────────────
+
+  /** Packed weight in ounces: the first card (raw or slabbed) plus each extra card. */
+  function packageWeight(graded, cards, weights) {
+    const first = graded ? weights.graded : weights.raw;
+    return (first || 0) + Math.max(0, cards - 1) * (weights.perExtraCard || 0);
+  }
+
+  function weightClassOf(oz) {
+    if (oz <= 1) return 'letter';
+    if (oz <= 3) return 'flat';
+    return 'parcel';
+  }
+
+  /** Postage for one package: the first rate row that fits the weight (else the heaviest), plus any surcharge. */
+  function postageFor(method, weightOz, zone) {
+    const rows = method.rates || [];
+    if (!rows.length) return method.surcharge || 0;
+    const row = rows.find(r => r.upToOz === null || r.upToOz === undefined || weightOz <= r.upToOz) || rows[rows.length - 1];
+    const zoneIdx = Math.min(Math.max((zone || 5) <= 2 ? 0 : (zone || 5) - 2, 0), ZONES.length - 1);
+    const price = method.zoned ? (row.zones || [])[zoneIdx] : row.price;
+    return (price || 0) + (method.surcharge || 0);
+  }
+
+  /**
+   * How a sale ships: the first enabled shipping rule that matches picks the
+   * method and what the buyer pays; a listing's shippingOverride swaps the
+   * method but keeps the rule's charge. An order of several units ships as one
+   * package.
+   * @returns {object} { method, label, postage, charge, weightOz, weightClass, cards, ruleId, overweight }
+   *   — postage and charge are per package
+   */
+  function shippingFor(listing, settings) {
+    settings = settings || load();
+    const sh = settings.shipping;
+    const attrs = listing.attributes
+      || (listing.title && typeof Analyzer !== 'undefined' ? Analyzer.listingAttributes(listing) : {});
+    const orderQuantity = listing.orderQuantity || 1;
+    const lotSize = attrs.lotSize || 1;
+    const cards = lotSize * orderQuantity;
+    const weightOz = packageWeight(attrs.graded, cards, sh.weights);
+    const context = { ...listing, attributes: attrs, lotSize, cards, weightOz, weightClass: weightClassOf(weightOz), orderQuantity };
+
+    const rule = (sh.rules || []).find(r => r.enabled !== false && r.conditions && r.conditions.length
+      && Analyzer.matchesConditions(context, r.conditions));
+    const methodId = listing.shippingOverride || (rule ? rule.method : sh.defaultMethod);
+    const method = sh.methods.find(m => m.id === methodId) || sh.methods[0];
+
+    return {
+      method: method.id,
+      label: method.label,
+      postage: postageFor(method, weightOz, sh.zone),
+      charge: rule ? rule.charge || 0 : sh.defaultCharge || 0,
+      weightOz: parseFloat(weightOz.toFixed(2)),
+      weightClass: context.weightClass,
+      cards,
+      ruleId: rule ? rule.id : null,
+      overweight: method.maxOz !== null && method.maxOz !== undefined && weightOz > method.maxOz,
+    };
+  }
+
+  // ─── eBay Fees ────────────────────────────────────────────────────────────
+
+  /** Final value fee tiers for a fee category at the configured store level. */
+  function feeTiers(fees, categoryId) {
+    const cat = fees.categories[categoryId] || fees.categories[fees.category] || Object.values(fees.categories)[0];
+    const level = STORE_LEVELS.find(l => l.id === fees.storeLevel);
+    return (cat && (level && level.storeRates ? cat.store : cat.standard)) || [];
+  }
+
+  /** Marginal tiered fee: each tier's rate applies only to the slice of amount inside it. */
+  function tieredFee(amount, tiers) {
+    let fee = 0;
+    let floor = 0;
+    for (const t of tiers) {
+      const ceil = t.upTo === null || t.upTo === undefined ? Infinity : t.upTo;
+      if (amount > floor) fee += (Math.min(amount, ceil) - floor) * (t.rate || 0);
+      if (ceil === Infinity) break;
+      floor = ceil;
+    }
+    return fee;
+  }
+
+  function isInternational(country, fees) {
+    if (!country) return null;
+    const home = String(fees.homeCountry || '').trim().toLowerCase();
+    const c = String(country).trim().toLowerCase();
+    const us = ['united states', 'us', 'usa'];
+    return !(c === home || (us.includes(home) && us.includes(c)));
+  }
+
+  /**
+   * eBay fees for one order.
+   * @param {object} order - { itemTotal, shippingCharged, international (true/false/null = unknown), category }
+   * @param {object} fees - settings.fees
+   * @returns {object} { finalValue, topRatedDiscount, perOrder, international, store, total } — the
+   *   discount is negative; international falls back to internationalShare when unknown
+   */
+  function calcEbayFees(order, fees) {
+    const total = (order.itemTotal || 0) + (order.shippingCharged || 0);
+    const feeBase = fees.feeOnShipping ? total : (order.itemTotal || 0);
+
+    const finalValue = tieredFee(feeBase, feeTiers(fees, order.category));
+    const topRatedDiscount = fees.topRated ? -finalValue * (fees.topRatedDiscount || 0) : 0;
+    const perOrder = total <= 0 ? 0
+      : total <= (fees.perOrder.smallUpTo || 0) ? fees.perOrder.small || 0 : fees.perOrder.standard || 0;
+    const abroad = order.international === true ? 1 : order.international === false ? 0 : (fees.internationalShare || 0);
+    const international = total * (fees.internationalRate || 0) * abroad;
+    const store = fees.salesPerMonth > 0 ? ((fees.storeFees || {})[fees.storeLevel] || 0) / fees.salesPerMonth : 0;
+
+    return {
+      finalValue,
+      topRatedDiscount,
+      perOrder,
+      international,
+      store,
+      total: finalValue + topRatedDiscount + perOrder + international + store,
+    };
+  }
+
+  // ─── Ad Rates ─────────────────────────────────────────────────────────────
+
+  /** Promoted Listings ad rate for a listing: its own rate if set, else the default. */
+  function adRateFor(listing, settings) {
+    settings = settings || load();
+    const own = listing && listing.itemId && settings.adRates ? settings.adRates[listing.itemId] : undefined;
+    if (own !== undefined && own !== null) return own;
+    return settings.adRate || 0;
+  }
+
+  /**
+   * Set (or clear, with null) a listing's own ad rate. Mutates and returns settings;
+   * the caller saves.
+   */
+  function setAdRate(settings, itemId, rate) {
+    if (!itemId) return settings;
+    settings.adRates = settings.adRates || {};
+    if (rate === null || rate === undefined || isNaN(rate)) delete settings.adRates[itemId];
+    else settings.adRates[itemId] = Math.max(0, rate);
+    return settings;
+  }
+
+  /**
+   * Whether a sale pays the ad fee: the order's "Sold Via Promoted Listings"
+   * flag when the Orders report has it, otherwise any sale of a promoted listing.
+   */
+  function isAdSale(listing) {
+    if (listing.soldViaPromoted === true || listing.soldViaPromoted === false) return listing.soldViaPromoted;
+    return !!listing.isPromoted;
+  }
+
+  // ─── Acquisition Costs ────────────────────────────────────────────────────
+
+  /** What one unit of a listing's card cost to acquire (0 when not entered). */
+  function acquisitionCostFor(listing, settings) {
+    settings = settings || load();
+    const entry = listing && listing.itemId ? (settings.acquisition.items || {})[listing.itemId] : null;
+    return entry ? entry.cost || 0 : 0;
+  }
+
+  function hasAcquisitionCost(listing, settings) {
+    return !!(listing && listing.itemId && (settings.acquisition.items || {})[listing.itemId]);
+  }
+
+  // A hand-entered cost replaces the card's share of any lot
+  function detachFromLots(settings, itemIds) {
+    const moving = new Set(itemIds);
+    settings.acquisition.lots = settings.acquisition.lots
+      .map(lot => ({ ...lot, itemIds: lot.itemIds.filter(id => !moving.has(id)) }))
+      .filter(lot => lot.itemIds.length);
+  }
+
+  /**
+   * Set (or clear, with null) what one card cost. Mutates and returns settings;
+   * the caller saves.
+   */
+  function setAcquisitionCost(settings, itemId, cost) {
+    if (!itemId) return settings;
+    detachFromLots(settings, [itemId]);
+    if (cost === null || cost === undefined || isNaN(cost)) delete settings.acquisition.items[itemId];
+    else settings.acquisition.items[itemId] = { cost: Math.max(0, cost) };
+    return settings;
+  }
+
+  /**
+   * Split a lot's cost across its cards, evenly or in proportion to asking
+   * price (even when any card has no price), and record the lot. Shares are
+   * rounded to the cent with the remainder on the last card, so they add back
+   * up to the lot cost. Cards already in another lot move to this one.
+   * @param {object} settings - COGS settings (mutated; the caller saves)
+   * @param {object} lot - { name, cost, split: 'even'|'price' }
+   * @param {Array} listings - the lot's listings
+   * @returns {object|null} the recorded lot, or null with no listings
+   */
+  function allocateLot(settings, lot, listings) {
+    const cards = listings.filter(l => l.itemId);
+    if (!cards.length) return null;
+
+    const byPrice = lot.split === 'price' && cards.every(l => l.price > 0);
+    const weights = cards.map(l => (byPrice ? l.price : 1));
+    const totalWeight = weights.reduce((a, b) => a + b, 0);
+    const cents = Math.round(Math.max(0, lot.cost || 0) * 100);
+
+    const record = {
+      id: 'lot_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      name: lot.name || 'Lot',
+      cost: cents / 100,
+      split: byPrice ? 'price' : 'even',
+      itemIds: cards.map(l => l.itemId),
+    };
+    detachFromLots(settings, record.itemIds);
+
+    let remaining = cents;
+    cards.forEach((l, i) => {
+      const share = i === cards.length - 1 ? remaining : Math.round((cents * weights[i]) / totalWeight);
+      remaining -= share;
+      settings.acquisition.items[l.itemId] = { cost: share / 100, lotId: record.id };
+    });
+    settings.acquisition.lots.push(record);
+    return record;
+  }
+
+  /** Forget a lot and the costs it assigned. */
+  function removeLot(settings, lotId) {
+    Object.entries(settings.acquisition.items).forEach(([itemId, entry]) => {
+      if (entry.lotId === lotId) delete settings.acquisition.items[itemId];
+    });
+    settings.acquisition.lots = settings.acquisition.lots.filter(l => l.id !== lotId);
+    return settings;
+  }
+
+  /**
+   * Read "item ID, cost" rows from CSV or pasted text. A header row is used
+   * when it names an item column and a cost column; otherwise the first two
+   * columns are taken as item ID and cost.
+   * @returns {{ entries: Array<{ itemId, cost }>, skipped: number }}
+   */
+  function parseAcquisitionCosts(text) {
+    const rows = [];
+    const tokenizer = CSVParser.createTokenizer(row => rows.push(row));
+    tokenizer.push(String(text || ''));
+    tokenizer.end();
+
+    const norm = h => String(h || '').trim().toLowerCase();
+    let idCol = 0;
+    let costCol = 1;
+    let start = 0;
+    if (rows.length) {
+      const header = rows[0].map(norm);
+      const id = header.findIndex(h => /item/.test(h));
+      const cost = header.findIndex(h => /cost|paid|price/.test(h));
+      if (id !== -1 && cost !== -1) {
+        idCol = id;
+        costCol = cost;
+        start = 1;
+      }
+    }
+
+    const entries = [];
+    let skipped = 0;
+    rows.slice(start).forEach(row => {
+      if (!row.some(f => f && f.trim())) return; // blank line
+      // eBay exports item IDs as ="123…" so spreadsheets keep every digit
+      const itemId = String(row[idCol] || '').trim().replace(/^="?|"$/g, '');
+      const cost = parseFloat(String(row[costCol] || '').replace(/[$,\s]/g, ''));
+      if (!/^\d+$/.test(itemId) || isNaN(cost) || cost < 0) { skipped++; return; }
+      entries.push({ itemId, cost });
+    });
+    return { entries, skipped };
+  }
+
+  /** Apply parsed costs as hand-entered ones. @returns {{ added, updated }} */
+  function importAcquisitionCosts(settings, entries) {
+    let added = 0;
+    let updated = 0;
+    entries.forEach(({ itemId, cost }) => {
+      if (settings.acquisition.items[itemId]) updated++;
+      else added++;
+      setAcquisitionCost(settings, itemId, cost);
+    });
+    return { added, updated };
+  }
+
   // ─── Calculation ──────────────────────────────────────────────────────────
 
   /**
-   * Calculate COGS and profit for a single listing.
-   * @param {object} listing - local listing object with price, quantity, shippingOverride
+   * Calculate COGS and profit for a single listing. Amounts are per unit; an
+   * order's per-order fees are split across its orderQuantity units.
+   * @param {object} listing - local listing object with price, quantity, shippingOverride,
+   *   isPromoted and, for a real sale, soldViaPromoted, shippingCharged (per unit),
+   *   shipToCountry, orderQuantity and feeCategory
    * @param {object} settings - COGS settings
-   * @returns {object} { shippingMethod, shippingCost, ebayFee, materialCost, cogs, netProfit, margin }
+   * @returns {object} { shippingMethod, shippingRule, shippingCost, shippingCharged, shippingAbsorbed,
+   *   weightOz, overweight, ebayFee, fees: { finalValue, topRatedDiscount,
+   *   perOrder, international, store }, adRate, adFee, materialCost, acquisitionCost, cogs, netProfit,
+   *   margin, breakEvenAdRate }
    */
   function calcListing(listing, settings) {
     const price = listing.price || 0;
     const qty = listing.quantity || 1;
     settings = settings || load();
+    const orderQty = listing.orderQuantity || 1;
 
-    // Determine shipping method
-    const autoMethod = price > settings.shipping.threshold ? 'ga' : 'ese';
-    const method = listing.shippingOverride || autoMethod;
-    const ship = settings.shipping[method];
-
-    const ebayFee = price * settings.ebayFeeRate;
+    const ship = shippingFor(listing, settings);
+    const method = ship.method;
+    // Real orders say what the buyer paid; estimates use the shipping rule's charge
+    const shippingCharged = listing.shippingCharged ?? ship.charge / orderQty;
+    const orderFees = calcEbayFees({
+      itemTotal: price * orderQty,
+      shippingCharged: shippingCharged * orderQty,
+      international: isInternational(listing.shipToCountry, settings.fees),
+      category: listing.feeCategory,
+    }, settings.fees);
+    const perUnit = v => v / orderQty;
+    const ebayFee = perUnit(orderFees.total);
 
     // Sum materials that are includePerSale AND apply to this shipping method
     const materialCost = settings.materials
@@ -93,19 +584,47 @@ const COGS = (() => {
       })
       .reduce((sum, m) => sum + (m.unitCost || 0), 0);
 
-    // Postage only (material already counted above)
-    const postage = ship.postage || 0;
+    // Postage only (material already counted above), one package per order
+    const postage = ship.postage / orderQty;
 
-    const cogs = ebayFee + materialCost + postage;
-    const netProfit = price - cogs;
+    // Ad fees, like final value fees, are charged on the total including shipping
+    const saleTotal = price + shippingCharged;
+    const adRate = adRateFor(listing, settings);
+    const adFee = isAdSale(listing) ? saleTotal * adRate : 0;
+
+    const acquisitionCost = acquisitionCostFor(listing, settings);
+
+    const cogs = ebayFee + adFee + materialCost + postage + acquisitionCost;
+    const netProfit = saleTotal - cogs;
     const margin = price > 0 ? (netProfit / price) * 100 : 0;
 
+    // Highest ad rate at which a promoted sale still breaks even
+    const breakEvenAdRate = saleTotal > 0 ? (netProfit + adFee) / saleTotal : 0;
+
+    const round4 = v => parseFloat(v.toFixed(4));
     return {
       shippingMethod: method,
       shippingLabel: ship.label,
-      shippingCost: postage,
-      ebayFee: parseFloat(ebayFee.toFixed(4)),
+      shippingRule: ship.ruleId,
+      shippingCost: round4(postage),
+      shippingCharged: round4(shippingCharged),
+      // Postage the buyer didn't cover (free shipping or an under-charge)
+      shippingAbsorbed: round4(Math.max(0, postage - shippingCharged)),
+      weightOz: ship.weightOz,
+      overweight: ship.overweight,
+      ebayFee: round4(ebayFee),
+      fees: {
+        finalValue:       round4(perUnit(orderFees.finalValue)),
+        topRatedDiscount: round4(perUnit(orderFees.topRatedDiscount)),
+        perOrder:         round4(perUnit(orderFees.perOrder)),
+        international:    round4(perUnit(orderFees.international)),
+        store:            round4(perUnit(orderFees.store)),
+      },
+      adRate,
+      adFee: parseFloat(adFee.toFixed(4)),
+      breakEvenAdRate: parseFloat(breakEvenAdRate.toFixed(4)),
       materialCost: parseFloat(materialCost.toFixed(4)),
+      acquisitionCost,
       cogs: parseFloat(cogs.toFixed(4)),
       netProfit: parseFloat(netProfit.toFixed(4)),
       margin: parseFloat(margin.toFixed(2)),
@@ -115,8 +634,65 @@ const COGS = (() => {
     };
   }
 
+  /** One Orders-report line item as a calcListing input. */
+  function orderSale(listing, o) {
+    const quantity = o.quantity || 1;
+    return {
+      ...listing,
+      price: o.soldFor,
+      quantity,
+      orderQuantity: quantity,
+      shippingCharged: (o.shippingCharged || 0) / quantity,
+      shipToCountry: o.shipToCountry,
+      soldViaPromoted: o.soldViaPromoted,
+    };
+  }
+
+  /**
+   * Calculate realized COGS and profit from the Orders-report line items
+   * attached to a listing (see Analyzer.attachOrders). Each order is costed at
+   * the price it actually sold for instead of the current asking price;
+   * revenue includes the shipping the buyer paid, which eBay also charges fees on.
+   * @param {object} listing - listing with an orders array
+   * @param {object} settings - COGS settings
+   * @returns {object} { revenue, cogs, adFees, netProfit, margin, qty, adQty, orderCount }
+   */
+  function calcOrders(listing, settings) {
+    settings = settings || load();
+    let revenue = 0;
+    let cogs = 0;
+    let adFees = 0;
+    let netProfit = 0;
+    let qty = 0;
+    let adQty = 0;
+
+    (listing.orders || []).forEach(o => {
+      const result = calcListing(orderSale(listing, o), settings);
+      revenue += (o.soldFor || 0) * (o.quantity || 1) + (o.shippingCharged || 0);
+      cogs += result.totalCogs;
+      adFees += result.adFee * result.qty;
+      netProfit += result.totalNetProfit;
+      qty += result.qty;
+      if (result.adFee > 0) adQty += result.qty;
+    });
+
+    return {
+      revenue:    parseFloat(revenue.toFixed(2)),
+      cogs:       parseFloat(cogs.toFixed(4)),
+      adFees:     parseFloat(adFees.toFixed(4)),
+      netProfit:  parseFloat(netProfit.toFixed(4)),
+      margin:     revenue > 0 ? parseFloat(((netProfit / revenue) * 100).toFixed(2)) : 0,
+      qty,
+      adQty,
+      orderCount: (listing.orders || []).length,
+    };
+  }
+
   /**
    * Calculate portfolio-level COGS summary across all listings.
+   * totalValue/totalCogs/totalNetProfit are based on current asking price;
+   * the realized* figures come from attached Orders-report sales. Both
+   * include each card's acquisition cost where one has been entered.
    * @param {Array} listings
    * @param {object} settings
    */
@@ -126,12 +702,16 @@ const COGS = (() => {
     let totalCogs = 0;
     let totalNetProfit = 0;
     let totalQty = 0;
+    let totalAcquisitionCost = 0;
+    let missingCostCount = 0;
 
     listings.forEach(l => {
       const price = l.price || 0;
       const qty = l.quantity || 1;
       const result = calcListing(l, settings);
       totalValue += price * qty;
+      totalAcquisitionCost += result.acquisitionCost * qty;
+      if (!hasAcquisitionCost(l, settings)) missingCostCount++;
       totalCogs += result.cogs * qty;
       totalNetProfit += result.netProfit * qty;
       totalQty += qty;
@@ -139,6 +719,22 @@ const COGS = (() => {
 
     const avgMargin = totalValue > 0 ? (totalNetProfit / totalValue) * 100 : 0;
 
+    let realizedRevenue = 0;
+    let realizedCogs = 0;
+    let realizedNetProfit = 0;
+    let realizedQty = 0;
+    let realizedAcquisitionCost = 0;
+    listings.forEach(l => {
+      if (!l.orders || !l.orders.length) return;
+      const r = calcOrders(l, settings);
+      realizedRevenue += r.revenue;
+      realizedCogs += r.cogs;
+      realizedNetProfit += r.netProfit;
+      realizedQty += r.qty;
+      realizedAcquisitionCost += acquisitionCostFor(l, settings) * r.qty;
+    });
+    const realizedMargin = realizedRevenue > 0 ? (realizedNetProfit / realizedRevenue) * 100 : 0;
+
     return {
       totalValue:     parseFloat(totalValue.toFixed(2)),
       totalCogs:      parseFloat(totalCogs.toFixed(2)),
@@ -146,10 +742,249 @@ const COGS = (() => {
       avgMargin:      parseFloat(avgMargin.toFixed(2)),
       totalQty,
       listingCount:   listings.length,
+      totalAcquisitionCost: parseFloat(totalAcquisitionCost.toFixed(2)),
+      missingCostCount,  // listings with no acquisition cost entered — their profit is overstated
+      realizedRevenue:   parseFloat(realizedRevenue.toFixed(2)),
+      realizedCogs:      parseFloat(realizedCogs.toFixed(2)),
+      realizedNetProfit: parseFloat(realizedNetProfit.toFixed(2)),
+      realizedMargin:    parseFloat(realizedMargin.toFixed(2)),
+      realizedQty,
+      realizedAcquisitionCost: parseFloat(realizedAcquisitionCost.toFixed(2)),
+    };
+  }
+
+  // ─── Materials Inventory ──────────────────────────────────────────────────
+
+  // Days a Traffic Report is assumed to cover when its period isn't known
+  const DEFAULT_REPORT_DAYS = 30;
+  // Most recent report depletions averaged into each material's usage rate
+  const VELOCITY_REPORTS = 6;
+  // Depletions kept for undo and usage rates (Storage keeps 12 reports)
+  const INVENTORY_LOG_LIMIT = 24;
+
+  function isTracked(mat) {
+    return typeof mat.onHand === 'number';
+  }
+
+  /**
+   * Materials a report's sales used up: one of each per-sale material that
+   * goes out with the sale's shipping method, per unit sold — the same
+   * materials calcListing charges for.
+   * @returns {object} { sales, used: { materialId: count } }
+   */
+  function materialsUsed(listings, settings) {
+    settings = settings || load();
+    const used = {};
+    let sales = 0;
+    listings.forEach(l => {
+      const qty = l.quantitySold || 0;
+      if (qty <= 0) return;
+      sales += qty;
+      const method = shippingFor(l, settings).method;
+      settings.materials.forEach(m => {
+        if (!m.includePerSale || (m.methods && m.methods.length && !m.methods.includes(method))) return;
+        used[m.id] = (used[m.id] || 0) + qty;
+      });
+    });
+    return { sales, used };
+  }
+
+  /**
+   * Take an imported report's sales out of stock and log it. The same file
+   * with the same sales is only taken out once, so re-importing a report
+   * doesn't double-count.
+   * @param {object} settings - COGS settings (modified)
+   * @param {Array} listings - the report's listings
+   * @param {object} report - { id, filename, days? } — days the report covers
+   * @returns {object|null} the log entry, or null when nothing sold or already applied
+   */
+  function depleteInventory(settings, listings, report) {
+    const { sales, used } = materialsUsed(listings, settings);
+    if (!sales) return null;
+    const signature = `${report.filename || ''}|${listings.length}|${sales}`;
+    if (settings.inventory.log.some(e => e.signature === signature)) return null;
+
+    settings.materials.forEach(m => {
+      if (isTracked(m) && used[m.id]) m.onHand -= used[m.id];
+    });
+    const entry = {
+      id: 'inv_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+      reportId: report.id || null,
+      filename: report.filename || '',
+      signature,
+      appliedAt: new Date().toISOString(),
+      days: report.days || DEFAULT_REPORT_DAYS,
+      sales,
+      used,
+    };
+    settings.inventory.log.unshift(entry);
+    settings.inventory.log.length = Math.min(settings.inventory.log.length, INVENTORY_LOG_LIMIT);
+    return entry;
+  }
+
+  /** Put a logged depletion back into stock and drop it from the log. */
+  function undoDepletion(settings, entryId) {
+    const idx = settings.inventory.log.findIndex(e => e.id === entryId);
+    if (idx === -1) return false;
+    const [entry] = settings.inventory.log.splice(idx, 1);
+    settings.materials.forEach(m => {
+      if (isTracked(m) && entry.used[m.id]) m.onHand += entry.used[m.id];
+    });
+    return true;
+  }
+
+  /** Add units to a material's stock (a pack by default); starts tracking an untracked material. */
+  function restock(settings, materialId, units) {
+    const mat = settings.materials.find(m => m.id === materialId);
+    if (!mat) return false;
+    const add = units === undefined ? mat.packCount || 0 : units;
+    mat.onHand = Math.max(0, isTracked(mat) ? mat.onHand : 0) + add;
+    return true;
+  }
+
+  /**
+   * Stock level and outlook for each material. Daily use is averaged over the
+   * most recent report depletions; daysLeft is null until there is usage.
+   * @returns {Array} [{ id, name, tracked, onHand, reorderAt, dailyUse, daysLeft, status }]
+   *   — status is 'untracked', 'out', 'low' or 'ok'
+   */
+  function inventoryStatus(settings) {
+    settings = settings || load();
+    const recent = settings.inventory.log.slice(0, VELOCITY_REPORTS);
+    const days = recent.reduce((s, e) => s + (e.days || DEFAULT_REPORT_DAYS), 0);
+    const leadDays = settings.inventory.leadDays || 0;
+
+    return settings.materials.map(m => {
+      const dailyUse = days ? recent.reduce((s, e) => s + (e.used[m.id] || 0), 0) / days : 0;
+      const tracked = isTracked(m);
+      const onHand = tracked ? Math.max(0, m.onHand) : null;
+      const daysLeft = tracked && dailyUse > 0 ? onHand / dailyUse : null;
+      const reorderAt = typeof m.reorderAt === 'number' ? m.reorderAt : null;
+
+      let status = 'untracked';
+      if (tracked) {
+        if (onHand <= 0) status = 'out';
+        else if ((reorderAt !== null && onHand <= reorderAt) || (daysLeft !== null && daysLeft <= leadDays)) status = 'low';
+        else status = 'ok';
+      }
+      return {
+        id: m.id,
+        name: m.name,
+        tracked,
+        onHand,
+        reorderAt,
+        dailyUse: parseFloat(dailyUse.toFixed(3)),
+        daysLeft: daysLeft === null ? null : Math.floor(daysLeft),
+        status,
+      };
+    });
+  }
+
+  // ─── Promoted Listings ROI ────────────────────────────────────────────────
+
+  // Organic impressions needed before their sales rate is trusted as a baseline
+  const MIN_BASELINE_IMPRESSIONS = 200;
+
+  /**
+   * Sales economics for one listing: its joined orders when there are any,
+   * otherwise the report's units sold at the current asking price.
+   */
+  function salesOf(listing, settings) {
+    const sales = listing.orders && listing.orders.length
+      ? listing.orders.map(o => orderSale(listing, o))
+      : (listing.quantitySold ? [{ ...listing, quantity: listing.quantitySold }] : []);
+
+    return sales.reduce((acc, sale) => {
+      const r = calcListing(sale, settings);
+      const revenue = ((sale.price || 0) + r.shippingCharged) * r.qty;
+      acc.qty += r.qty;
+      acc.revenue += revenue;
+      acc.netProfit += r.totalNetProfit;
+      if (isAdSale(sale)) {
+        acc.adQty += r.qty;
+        acc.adRevenue += revenue;
+        acc.adFees += r.adFee * r.qty;
+      }
+      return acc;
+    }, { qty: 0, revenue: 0, netProfit: 0, adQty: 0, adRevenue: 0, adFees: 0 });
+  }
+
+  function organicImpressionsOf(l) {
+    if (l.totalOrganicImpressions !== null && l.totalOrganicImpressions !== undefined) return l.totalOrganicImpressions;
+    return Math.max(0, (l.totalImpressions || 0) - (l.totalPromotedImpressions || 0));
+  }
+
+  /**
+   * Profit impact of Promoted Listings. The baseline is what the promoted
+   * listings would have sold on their organic impressions alone, at the
+   * organic listings' sales-per-impression rate; incremental profit is actual
+   * net profit (after ad fees) minus that baseline's profit.
+   * @param {Array} listings
+   * @param {object} settings - COGS settings
+   * @returns {object} { promotedCount, qty, revenue, adQty, adRevenue, adFees, netProfit, profitBeforeAds,
+   *   baseline: { conversionRate, qty, profit } | null, incrementalQty, incrementalProfit,
+   *   breakEvenAdRate, returnOnAdSpend } — the last four are null without a baseline
+   */
+  function calcPromotedROI(listings, settings) {
+    settings = settings || load();
+    const promoted = listings.filter(l => l.isPromoted);
+    const organic = listings.filter(l => !l.isPromoted);
+
+    const totals = { qty: 0, revenue: 0, netProfit: 0, adQty: 0, adRevenue: 0, adFees: 0 };
+    promoted.forEach(l => {
+      const r = salesOf(l, settings);
+      Object.keys(totals).forEach(k => { totals[k] += r[k]; });
+    });
+    const profitBeforeAds = totals.netProfit + totals.adFees;
+
+    const organicImpressions = organic.reduce((s, l) => s + (l.totalImpressions || 0), 0);
+    const organicQty = organic.reduce((s, l) => s + salesOf(l, settings).qty, 0);
+
+    let baseline = null;
+    if (organicImpressions >= MIN_BASELINE_IMPRESSIONS) {
+      const conversionRate = organicQty / organicImpressions;
+      const qty = promoted.reduce((s, l) => s + organicImpressionsOf(l), 0) * conversionRate;
+      // Value each baseline sale like the ones that did sell, or at asking price when none did
+      const priced = promoted.filter(l => l.price > 0);
+      const unitProfit = totals.qty
+        ? profitBeforeAds / totals.qty
+        : (priced.length ? priced.reduce((s, l) => s + calcListing({ ...l, soldViaPromoted: false }, settings).netProfit, 0) / priced.length : 0);
+      baseline = { conversionRate, qty, profit: qty * unitProfit };
+    }
+
+    const round = (v, dp) => (v === null ? null : parseFloat(v.toFixed(dp)));
+    const incrementalProfit = baseline ? totals.netProfit - baseline.profit : null;
+
+    return {
+      promotedCount:   promoted.length,
+      qty:             totals.qty,
+      revenue:         round(totals.revenue, 2),
+      adQty:           totals.adQty,
+      adRevenue:       round(totals.adRevenue, 2),
+      adFees:          round(totals.adFees, 2),
+      netProfit:       round(totals.netProfit, 2),
+      profitBeforeAds: round(profitBeforeAds, 2),
+      baseline: baseline && {
+        conversionRate: baseline.conversionRate,
+        qty:            round(baseline.qty, 2),
+        profit:         round(baseline.profit, 2),
+      },
+      incrementalQty:    baseline ? round(totals.qty - baseline.qty, 2) : null,
+      incrementalProfit: round(incrementalProfit, 2),
+      // Ad rate at which promoting stops paying for itself across the portfolio
+      breakEvenAdRate:   baseline && totals.adRevenue > 0 ? round((profitBeforeAds - baseline.profit) / totals.adRevenue, 4) : null,
+      returnOnAdSpend:   baseline && totals.adFees > 0 ? round(incrementalProfit / totals.adFees, 2) : null,
     };
   }
 
   // ─── Public API ───────────────────────────────────────────────────────────
 
-  return { load, save, calcListing, calcPortfolio, DEFAULTS };
+  return {
+    load, save, calcListing, calcOrders, calcPortfolio, calcPromotedROI, orderSale,
+    calcEbayFees, shippingFor, postageFor, adRateFor, setAdRate,
+    acquisitionCostFor, hasAcquisitionCost, setAcquisitionCost, allocateLot, removeLot,
+    parseAcquisitionCosts, importAcquisitionCosts,
+    materialsUsed, depleteInventory, undoDepletion, restock, inventoryStatus,
+    DEFAULTS, STORE_LEVELS, ZONES,
+  };
 })();
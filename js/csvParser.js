@@ -7,31 +7,64 @@
 const CSVParser = (() => {
 
   /**
-   * Parse a single CSV line respecting quoted fields (may contain commas).
+   * Incremental CSV tokenizer. Feed it text in chunks of any size and it calls
+   * onRow with each complete row, so quoted fields may contain commas, doubled
+   * quotes ("") and embedded newlines, and a chunk boundary may fall anywhere —
+   * including between the two quotes of an escaped "".
+   *
+   * @param {Function} onRow - called with an array of raw field strings
+   * @returns {{ push: Function, end: Function }}
    */
-  function parseLine(line) {
-    const fields = [];
-    let current = '';
+  function createTokenizer(onRow) {
+    let field = '';
+    let row = [];
     let inQuotes = false;
+    let quotePending = false; // saw a " inside quotes; next char decides escape vs close
+    let started = false;
+
+    function endRow() {
+      row.push(field);
+      onRow(row);
+      field = '';
+      row = [];
+    }
 
-    for (let i = 0; i < line.length; i++) {
-      const ch = line[i];
-      if (ch === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          current += '"';
-          i++;
-        } else {
-          inQuotes = !inQuotes;
+    function push(text) {
+      let i = 0;
+      if (!started) {
+        started = true;
+        if (text.charCodeAt(0) === 0xFEFF) i = 1; // strip UTF-8 BOM
+      }
+      for (; i < text.length; i++) {
+        const ch = text[i];
+        if (quotePending) {
+          quotePending = false;
+          if (ch === '"') { field += '"'; continue; }
+          inQuotes = false; // it was a closing quote — handle ch normally below
+        }
+        if (inQuotes) {
+          if (ch === '"') quotePending = true;
+          else field += ch;
+        } else if (ch === '"') {
+          inQuotes = true;
+        } else if (ch === ',') {
+          row.push(field);
+          field = '';
+        } else if (ch === '\n') {
+          endRow();
+        } else if (ch !== '\r') {
+          field += ch;
         }
-      } else if (ch === ',' && !inQuotes) {
-        fields.push(current);
-        current = '';
-      } else {
-        current += ch;
       }
     }
-    fields.push(current);
-    return fields;
+
+    function end() {
+      quotePending = false;
+      inQuotes = false;
+      if (field !== '' || row.length) endRow();
+    }
+
+    return { push, end };
   }
 
   /**
@@ -76,8 +109,465 @@ const CSVParser = (() => {
   }
 
   /**
-   * Main entry point. Takes raw CSV text and returns an array of listing
-   * objects with typed fields.
+   * Parse a money field such as "$12.50", "US $1,204.00" or "12.5".
+   */
+  function parseMoney(raw) {
+    const s = (raw || '').trim();
+    if (s === '' || s === '-') return null;
+    const num = parseFloat(s.replace(/[^0-9.\-]/g, ''));
+    return isNaN(num) ? null : num;
+  }
+
+  const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+  /**
+   * Parse the date formats eBay reports use into a "YYYY-MM-DD" string:
+   * "Feb-19-26" (Orders report), "Feb 19, 2026", "2026-02-19", "02/19/2026".
+   * Returns null when the value is empty or unparseable.
+   */
+  function parseDate(raw) {
+    const s = (raw || '').trim();
+    if (s === '' || s === '-') return null;
+    const pad = n => String(n).padStart(2, '0');
+    const year = y => (y.length === 2 ? 2000 + parseInt(y, 10) : parseInt(y, 10));
+
+    let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+    if (m) return `${m[1]}-${pad(m[2])}-${pad(m[3])}`;
+
+    m = s.match(/^([A-Za-z]{3})[a-z]*[-\s](\d{1,2}),?[-\s](\d{2,4})/);
+    if (m && MONTHS[m[1].toLowerCase()]) return `${year(m[3])}-${pad(MONTHS[m[1].toLowerCase()])}-${pad(m[2])}`;
+
+    m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+    if (m) return `${year(m[3])}-${pad(m[1])}-${pad(m[2])}`;
+
+    return null;
+  }
+
+  // ─── Column mapping registry ───────────────────────────────────────────────
+
+  /**
+   * Every listing field we read from the Traffic Report, with the header text
+   * eBay has used for it in each known report version. Lookups go through
+   * normalizeHeader(), so case, spacing and punctuation differences are ignored.
+   *
+   *   type:     'text' | 'int' | 'pct' | 'money' | 'date' | 'bool' — how the cell value is parsed
+   *             (a blank or missing 'bool' cell stays null — "unknown", not "no")
+   *   required: the dashboard cannot render anything meaningful without it
+   */
+  const TRAFFIC_COLUMNS = [
+    { field: 'title',            type: 'text', required: true, aliases: { v2024: 'Listing title', legacy: 'Title' } },
+    { field: 'itemId',           type: 'text', required: true, aliases: { v2024: 'eBay item ID', legacy: 'Item ID' } },
+    { field: 'startDate',        type: 'text', aliases: { v2024: 'Item Start Date', legacy: 'Start date' } },
+    { field: 'category',         type: 'text', aliases: { v2024: 'Category' } },
+    { field: 'promotedStatus',   type: 'text', aliases: { v2024: 'Current promoted listings status', legacy: 'Promoted listings status' } },
+    { field: 'quantityAvailable', type: 'int', aliases: { v2024: 'Quantity available', legacy: 'Available quantity' } },
+
+    { field: 'totalImpressions', type: 'int', required: true, aliases: { v2024: 'Total impressions', legacy: 'Impressions' } },
+    { field: 'ctr',              type: 'pct', aliases: { v2024: 'Click-through rate = Page views from eBay site/Total impressions', legacy: 'Click-through rate' } },
+    { field: 'quantitySold',     type: 'int', aliases: { v2024: 'Quantity sold', legacy: 'Sold quantity' } },
+    { field: 'top20Pct',         type: 'pct', aliases: { v2024: '% Top 20 Search Impressions', legacy: 'Top 20 search impressions %' } },
+    { field: 'conversionRate',   type: 'pct', aliases: { v2024: 'Sales conversion rate = Quantity sold/Total page views', legacy: 'Sales conversion rate' } },
+
+    { field: 'top20PromotedImpressions', type: 'int', aliases: { v2024: 'Top 20 search slot impressions from promoted listings' } },
+    { field: 'top20PromotedChangePct',   type: 'pct', aliases: { v2024: '% change in top 20 search slot impressions from promoted listings' } },
+    { field: 'top20OrganicImpressions',  type: 'int', aliases: { v2024: 'Top 20 search slot organic impressions' } },
+    { field: 'top20OrganicChangePct',    type: 'pct', aliases: { v2024: '% change in top 20 search slot impressions', legacy: '% change in top 20 search slot organic impressions' } },
+    { field: 'restSearchImpressions',    type: 'int', aliases: { v2024: 'Rest of search slot impressions' } },
+    { field: 'totalSearchImpressions',   type: 'int', aliases: { v2024: 'Total Search Impressions' } },
+
+    { field: 'nonSearchPromotedImpressions', type: 'int', aliases: { v2024: 'Non-search promoted listings impressions' } },
+    { field: 'nonSearchPromotedChangePct',   type: 'pct', aliases: { v2024: '% Change in non-search promoted listings impressions' } },
+    { field: 'nonSearchOrganicImpressions',  type: 'int', aliases: { v2024: 'Non-search organic impressions' } },
+    { field: 'nonSearchOrganicChangePct',    type: 'pct', aliases: { v2024: '% Change in non-search organic impressions' } },
+
+    { field: 'totalPromotedImpressions', type: 'int', aliases: { v2024: 'Total Promoted Listings impressions (applies to eBay site only)', legacy: 'Total Promoted Listings impressions' } },
+    { field: 'totalOffsiteImpressions',  type: 'int', aliases: { v2024: 'Total Promoted Offsite impressions (applies to off-eBay only)', legacy: 'Total Promoted Offsite impressions' } },
+    { field: 'totalOrganicImpressions',  type: 'int', aliases: { v2024: 'Total organic impressions on eBay site', legacy: 'Total organic impressions' } },
+
+    { field: 'totalPageViews',           type: 'int', aliases: { v2024: 'Total page views', legacy: 'Page views' } },
+    { field: 'pageViewsPromoted',        type: 'int', aliases: { v2024: 'Page views via promoted listings impressions on eBay site' } },
+    { field: 'pageViewsPromotedOffsite', type: 'int', aliases: { v2024: 'Page views via promoted listings Impressions from outside eBay (search engines, affilliates)', legacy: 'Page views via promoted listings impressions from outside eBay' } },
+    { field: 'pageViewsOrganic',         type: 'int', aliases: { v2024: 'Page views via organic impressions on eBay site' } },
+    { field: 'pageViewsOrganicOffsite',  type: 'int', aliases: { v2024: 'Page views from organic impressions outside eBay (Includes page views from search engines)', legacy: 'Page views from organic impressions outside eBay' } },
+  ];
+
+  /**
+   * Seller Hub → Orders → "Download report" (all orders / awaiting shipment).
+   * One row per order line item; multi-item orders add a summary row with no
+   * item number, which parseRows() skips via rowKey.
+   */
+  const ORDER_COLUMNS = [
+    { field: 'orderNumber',     type: 'text',  required: true, aliases: { v2024: 'Order Number', legacy: 'Order ID' } },
+    { field: 'itemId',          type: 'text',  required: true, aliases: { v2024: 'Item Number', legacy: 'Item ID' } },
+    { field: 'soldFor',         type: 'money', required: true, aliases: { v2024: 'Sold For', legacy: 'Sale Price' } },
+    { field: 'title',           type: 'text',  aliases: { v2024: 'Item Title' } },
+    { field: 'quantity',        type: 'int',   aliases: { v2024: 'Quantity' } },
+    { field: 'shippingCharged', type: 'money', aliases: { v2024: 'Shipping And Handling', legacy: 'Shipping and handling charged' } },
+    { field: 'totalPrice',      type: 'money', aliases: { v2024: 'Total Price' } },
+    { field: 'saleDate',        type: 'date',  aliases: { v2024: 'Sale Date', legacy: 'Order Date' } },
+    { field: 'paidOnDate',      type: 'date',  aliases: { v2024: 'Paid On Date' } },
+    { field: 'shippedOnDate',   type: 'date',  aliases: { v2024: 'Shipped On Date' } },
+    { field: 'buyerUsername',   type: 'text',  aliases: { v2024: 'Buyer Username', legacy: 'Buyer User ID' } },
+    { field: 'shipToCountry',   type: 'text',  aliases: { v2024: 'Ship To Country' } },
+    { field: 'shippingService', type: 'text',  aliases: { v2024: 'Shipping Service' } },
+    { field: 'soldViaPromoted', type: 'bool',  aliases: { v2024: 'Sold Via Promoted Listings' } },
+  ];
+
+  /**
+   * Seller Hub → Listings → Active → "Download report". Supplies the asking
+   * price and available quantity that the Traffic Report lacks.
+   */
+  const ACTIVE_COLUMNS = [
+    { field: 'itemId',      type: 'text',  required: true, aliases: { v2024: 'Item number', legacy: 'Item ID' } },
+    { field: 'price',       type: 'money', required: true, aliases: { v2024: 'Current price', legacy: 'Start price' } },
+    { field: 'quantity',    type: 'int',   required: true, aliases: { v2024: 'Available quantity', legacy: 'Quantity available' } },
+    { field: 'title',       type: 'text',  aliases: { v2024: 'Title' } },
+    { field: 'sku',         type: 'text',  aliases: { v2024: 'Custom label (SKU)', legacy: 'Custom label' } },
+    { field: 'format',      type: 'text',  aliases: { v2024: 'Format' } },
+    { field: 'currency',    type: 'text',  aliases: { v2024: 'Currency' } },
+    { field: 'soldQuantity', type: 'int',  aliases: { v2024: 'Sold quantity' } },
+    { field: 'watchers',    type: 'int',   aliases: { v2024: 'Watchers' } },
+    { field: 'startDate',   type: 'date',  aliases: { v2024: 'Start date' } },
+    { field: 'condition',   type: 'text',  aliases: { v2024: 'Condition' } },
+  ];
+
+  // Minimum token overlap (Jaccard) for a fuzzy header match
+  const FUZZY_THRESHOLD = 0.75;
+
+  /**
+   * Reduce a header to a comparable key: lowercase, "%" → "pct", drop
+   * punctuation and collapse whitespace. "Click-through rate = …" formulas
+   * also get a short key made from the part before the "=".
+   */
+  function normalizeHeader(header) {
+    const norm = str => String(str || '')
+      .toLowerCase()
+      .replace(/%/g, ' pct ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+    const full = norm(header);
+    const eq = String(header || '').indexOf('=');
+    const label = eq > 0 ? norm(String(header).slice(0, eq)) : full;
+    return { full, label };
+  }
+
+  function tokenSimilarity(a, b) {
+    const ta = new Set(a.split(' ').filter(Boolean));
+    const tb = new Set(b.split(' ').filter(Boolean));
+    if (!ta.size || !tb.size) return 0;
+    let shared = 0;
+    ta.forEach(t => { if (tb.has(t)) shared++; });
+    return shared / (ta.size + tb.size - shared);
+  }
+
+  /**
+   * Resolve a header row against a column registry.
+   * Exact (normalized) matches are taken first so near-identical headers such
+   * as "% change in top 20 search slot impressions" and its "…from promoted
+   * listings" sibling can never steal each other's column; fuzzy matching only
+   * runs over whatever is left.
+   *
+   * @param {string[]} headers
+   * @param {object[]} [registry=TRAFFIC_COLUMNS]
+   * @returns {{ indexByField: object, version: string|null, mapped: object[], missing: object[], unrecognized: string[] }}
+   */
+  function mapColumns(headers, registry) {
+    registry = registry || TRAFFIC_COLUMNS;
+    const keys = headers.map(normalizeHeader);
+    const indexByField = {};
+    const usedIdx = new Set();
+    const versionHits = {};
+    const mapped = [];
+
+    function assign(col, idx, version, match) {
+      indexByField[col.field] = idx;
+      usedIdx.add(idx);
+      if (version) versionHits[version] = (versionHits[version] || 0) + 1;
+      mapped.push({ field: col.field, header: headers[idx], version, match });
+    }
+
+    // Pass 1: exact match on full or label key
+    registry.forEach(col => {
+      for (const [version, alias] of Object.entries(col.aliases)) {
+        const a = normalizeHeader(alias);
+        const idx = keys.findIndex((k, i) => !usedIdx.has(i) && (k.full === a.full || (k.label === a.label && a.label !== a.full)));
+        if (idx !== -1) { assign(col, idx, version, 'exact'); return; }
+      }
+    });
+
+    // Pass 2: fuzzy token overlap for columns still unresolved
+    registry.forEach(col => {
+      if (indexByField[col.field] !== undefined) return;
+      let best = { idx: -1, score: 0, version: null };
+      Object.entries(col.aliases).forEach(([version, alias]) => {
+        const a = normalizeHeader(alias);
+        keys.forEach((k, i) => {
+          if (usedIdx.has(i) || !k.full) return;
+          const score = Math.max(tokenSimilarity(k.full, a.full), tokenSimilarity(k.label, a.label));
+          if (score > best.score) best = { idx: i, score, version };
+        });
+      });
+      if (best.idx !== -1 && best.score >= FUZZY_THRESHOLD) assign(col, best.idx, best.version, 'fuzzy');
+    });
+
+    const missing = registry
+      .filter(col => indexByField[col.field] === undefined)
+      .map(col => ({ field: col.field, header: Object.values(col.aliases)[0], required: !!col.required }));
+
+    const unrecognized = headers.filter((h, i) => !usedIdx.has(i) && h.trim() !== '');
+
+    const version = Object.keys(versionHits).sort((a, b) => versionHits[b] - versionHits[a])[0] || null;
+
+    return { indexByField, version, mapped, missing, unrecognized };
+  }
+
+  /**
+   * Find the header row: the first row whose cells resolve the required columns.
+   * eBay prefixes the report with disclaimer rows of varying length.
+   * When no row qualifies, the closest candidate is returned so the caller can
+   * say which required columns were missing.
+   *
+   * @returns {{ index: number, missingRequired: string[] }}
+   */
+  function findHeaderRow(rows, registry) {
+    registry = registry || TRAFFIC_COLUMNS;
+    const required = registry.filter(c => c.required);
+    let best = { index: -1, missingRequired: required.map(c => Object.values(c.aliases)[0]) };
+
+    for (let i = 0; i < rows.length; i++) {
+      if (rows[i].length < required.length) continue;
+      const { indexByField } = mapColumns(rows[i].map(h => h.trim()), registry);
+      const missingRequired = required
+        .filter(c => indexByField[c.field] === undefined)
+        .map(c => Object.values(c.aliases)[0]);
+      if (!missingRequired.length) return { index: i, missingRequired };
+      if (missingRequired.length < best.missingRequired.length) best = { index: -1, missingRequired };
+    }
+    return best;
+  }
+
+  // ─── Diagnostics ───────────────────────────────────────────────────────────
+
+  // Stop recording individual problems past this many (they're still counted)
+  const MAX_PROBLEMS = 200;
+
+  // What a well-formed value of each column type looks like, after cleanValue()
+  const VALUE_FORMATS = {
+    int:   { pattern: /^-?\d[\d,]*(\.0+)?$/,                         reason: 'Not a whole number' },
+    pct:   { pattern: /^-?[\d,]*\.?\d+\s*%?$/,                        reason: 'Not a percentage' },
+    money: { pattern: /^([A-Z]{1,3}\s?)?[$£€]?\s?-?[\d,]*\.?\d+$/, reason: 'Not a money amount' },
+    date:  { test: v => parseDate(v) !== null,                        reason: 'Unrecognized date' },
+  };
+
+  /**
+   * Collects per-row problems found while parsing a report.
+   * Each problem is { row, column, value, reason }, where row is the 1-based
+   * row in the file (a quoted multi-line field counts as one row) and column
+   * is the header text, or null when the whole row is affected.
+   */
+  function createDiagnostics() {
+    const problems = [];
+    let count = 0;
+    let skippedRows = 0;
+
+    function add(row, column, value, reason) {
+      count++;
+      if (problems.length < MAX_PROBLEMS) problems.push({ row, column, value, reason });
+    }
+
+    function skip(row, value, reason) {
+      skippedRows++;
+      add(row, null, value, reason);
+    }
+
+    function result() {
+      return { problems, count, skippedRows, truncated: count > problems.length };
+    }
+
+    return { add, skip, result };
+  }
+
+  /** Number of fields ignoring trailing empties — eBay ends every line with a comma. */
+  function fieldCount(fields) {
+    let n = fields.length;
+    while (n > 0 && fields[n - 1].trim() === '') n--;
+    return n;
+  }
+
+  /**
+   * Report values that the typed parsers would silently turn into null or
+   * truncate (e.g. "N/A" in a count column, "12 units" read as 12).
+   */
+  function checkValues(values, registry, headers, indexByField, rowNum, diag) {
+    registry.forEach(col => {
+      const format = VALUE_FORMATS[col.type];
+      const v = values[col.field];
+      if (!format || v === null || v === undefined) return;
+      const ok = format.test ? format.test(v) : format.pattern.test(v);
+      if (!ok) diag.add(rowNum, headers[indexByField[col.field]], v, format.reason);
+    });
+  }
+
+  // ─── Parsing ───────────────────────────────────────────────────────────────
+
+  /**
+   * Report kinds the dropzone accepts, keyed by the type name returned from
+   * detectReportType(). rowKey is the field a data row must have to count;
+   * keylessRows marks reports where rows without it are expected (order
+   * summary rows) and shouldn't be reported as problems.
+   */
+  const REPORT_TYPES = {
+    traffic: { label: 'Listings Traffic Report', columns: TRAFFIC_COLUMNS, rowKey: 'title',  build: buildListing },
+    orders:  { label: 'Orders report',           columns: ORDER_COLUMNS,   rowKey: 'itemId', build: buildOrder, keylessRows: true },
+    active:  { label: 'Active listings report',  columns: ACTIVE_COLUMNS,  rowKey: 'itemId', build: buildActiveListing },
+  };
+
+  // ─── Report period ─────────────────────────────────────────────────────────
+
+  // ISO, "Feb 19, 2026" / "February-19-2026", US slashed and compact 20260219 dates
+  const DATE_IN_TEXT = /\d{4}-\d{1,2}-\d{1,2}|\b[A-Za-z]{3,9}[-\s]\d{1,2},?[-\s]\d{4}\b|\b\d{1,2}\/\d{1,2}\/\d{2,4}\b|\b20\d{6}\b/g;
+
+  /**
+   * The first two dates in a piece of text as a { start, end } period
+   * (ISO dates, start ≤ end), or null when it doesn't hold two.
+   */
+  function periodFromText(text) {
+    const dates = (String(text || '').replace(/_/g, ' ').match(DATE_IN_TEXT) || [])
+      .map(d => (/^\d{8}$/.test(d) ? `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6)}` : parseDate(d)))
+      .filter(d => d && !isNaN(Date.parse(d)));
+    if (dates.length < 2) return null;
+    const [a, b] = dates;
+    return a <= b ? { start: a, end: b } : { start: b, end: a };
+  }
+
+  /**
+   * Date range of a report from the lines above its header row, e.g.
+   * "Report for Feb 19, 2026 to Feb 19, 2026 compared to Feb 18, 2026 - Feb 18, 2026".
+   * @returns {{ start, end, source: 'preamble' }|null}
+   */
+  function detectReportPeriod(rows, headerIdx) {
+    const lines = rows.slice(0, Math.max(0, headerIdx)).map(r => r.join(' '));
+    const ordered = [...lines.filter(l => /report\s+for/i.test(l)), ...lines];
+    for (const line of ordered) {
+      const period = periodFromText(line);
+      if (period) return { ...period, source: 'preamble' };
+    }
+    return null;
+  }
+
+  /**
+   * Date range from a filename such as "traffic_2026-02-01_to_2026-02-28.csv".
+   * @returns {{ start, end, source: 'filename' }|null}
+   */
+  function periodFromFilename(filename) {
+    const period = periodFromText(String(filename || '').replace(/\.(csv|xlsx)$/i, ''));
+    return period ? { ...period, source: 'filename' } : null;
+  }
+
+  function splitRows(csvText) {
+    const rows = [];
+    const tokenizer = createTokenizer(row => rows.push(row));
+    tokenizer.push(csvText);
+    tokenizer.end();
+    return rows;
+  }
+
+  /**
+   * Work out which eBay report a set of rows came from by checking which
+   * registry's required columns appear in a header row.
+   * @returns {{ type: string|null, headerIdx: number, closest: { type, missingRequired } }}
+   */
+  function detectReportType(rows) {
+    let closest = null;
+    for (const [type, def] of Object.entries(REPORT_TYPES)) {
+      const { index, missingRequired } = findHeaderRow(rows, def.columns);
+      if (index !== -1) return { type, headerIdx: index, closest: null };
+      if (!closest || missingRequired.length < closest.missingRequired.length) {
+        closest = { type, missingRequired };
+      }
+    }
+    return { type: null, headerIdx: -1, closest };
+  }
+
+  /**
+   * Build typed records from already-split rows (array of string arrays).
+   * @param {string[][]} rows
+   * @param {string} [type] - key of REPORT_TYPES; auto-detected when omitted
+   * @returns {{ type: string, records: object[], columns: { version, mapped, missing, unrecognized },
+   *             diagnostics: { problems: object[], count: number, skippedRows: number, truncated: boolean },
+   *             reportPeriod: { start, end, source }|null }}
+   */
+  function parseRows(rows, type) {
+    let headerIdx;
+    if (type) {
+      const found = findHeaderRow(rows, REPORT_TYPES[type].columns);
+      if (found.index === -1) {
+        throw new Error(`Could not find header row in CSV. Missing required column(s): ${found.missingRequired.map(h => `"${h}"`).join(', ')}.`);
+      }
+      headerIdx = found.index;
+    } else {
+      const detected = detectReportType(rows);
+      if (!detected.type) {
+        const { type: closestType, missingRequired } = detected.closest;
+        throw new Error(`Unrecognized CSV — expected an eBay ${Object.values(REPORT_TYPES).map(d => d.label).join(' or ')}. ` +
+          `Closest match (${REPORT_TYPES[closestType].label}) is missing: ${missingRequired.map(h => `"${h}"`).join(', ')}.`);
+      }
+      type = detected.type;
+      headerIdx = detected.headerIdx;
+    }
+
+    const def = REPORT_TYPES[type];
+    const headers = rows[headerIdx].map(h => h.trim());
+    const { indexByField, version, mapped, missing, unrecognized } = mapColumns(headers, def.columns);
+
+    const expectedFields = fieldCount(headers);
+    const keyHeader = headers[indexByField[def.rowKey]];
+    const diag = createDiagnostics();
+
+    const records = [];
+    for (let i = headerIdx + 1; i < rows.length; i++) {
+      const fields = rows[i];
+      const rowNum = i + 1;
+      const found = fieldCount(fields);
+      if (found === 0) continue; // blank line
+
+      if (fields.length < 5) { // skip malformed/short rows
+        diag.skip(rowNum, fields.join(','), `Only ${found} field(s), expected ${expectedFields} — row skipped`);
+        continue;
+      }
+
+      const values = {};
+      Object.entries(indexByField).forEach(([field, idx]) => {
+        values[field] = cleanValue(fields[idx]);
+      });
+
+      // Skip rows that don't look like records (e.g. trailing disclaimer/summary rows)
+      if (!values[def.rowKey]) {
+        if (!def.keylessRows) diag.skip(rowNum, fields.slice(0, 3).join(','), `No "${keyHeader}" value — row skipped`);
+        continue;
+      }
+
+      if (found !== expectedFields) {
+        diag.add(rowNum, null, `${found} fields`, `Column count mismatch: header has ${expectedFields} — values may be shifted`);
+      }
+      checkValues(values, def.columns, headers, indexByField, rowNum, diag);
+
+      records.push(def.build(values));
+    }
+
+    return {
+      type,
+      records,
+      columns: { version, mapped, missing, unrecognized },
+      diagnostics: diag.result(),
+      reportPeriod: detectReportPeriod(rows, headerIdx),
+    };
+  }
+
+  /**
+   * Main entry point for the Listings Traffic Report. Takes raw CSV text and
+   * returns the listings together with a column report describing how the
+   * header row was interpreted.
    *
    * eBay's report has:
    *   Row 0: "Disclaimers"
@@ -86,90 +576,127 @@ const CSVParser = (() => {
    *   Row 3: "Report for …" (quoted, treated as one big field)
    *   Row 4: Column headers
    *   Row 5+: Data rows
+   *
+   * @param {string} csvText
+   * @returns {{ listings: object[], columns: { version, mapped, missing, unrecognized }, diagnostics: object }}
    */
-  function parse(csvText) {
-    const rawLines = csvText.split(/\r?\n/);
-
-    // Find the header row (contains "Listing title")
-    let headerIdx = -1;
-    for (let i = 0; i < rawLines.length; i++) {
-      if (rawLines[i].startsWith('Listing title')) {
-        headerIdx = i;
-        break;
-      }
-    }
-
-    if (headerIdx === -1) {
-      throw new Error('Could not find header row in CSV. Expected a row starting with "Listing title".');
-    }
+  function parseReport(csvText) {
+    const { records, columns, diagnostics } = parseRows(splitRows(csvText), 'traffic');
+    return { listings: records, columns, diagnostics };
+  }
 
-    const headers = parseLine(rawLines[headerIdx]).map(h => h.trim());
+  /**
+   * Parse a Seller Hub Orders report.
+   * @param {string} csvText
+   * @returns {{ orders: object[], columns: object, diagnostics: object }}
+   */
+  function parseOrders(csvText) {
+    const { records, columns, diagnostics } = parseRows(splitRows(csvText), 'orders');
+    return { orders: records, columns, diagnostics };
+  }
 
-    const listings = [];
-    for (let i = headerIdx + 1; i < rawLines.length; i++) {
-      const line = rawLines[i].trim();
-      if (!line) continue;
+  /**
+   * Parse any supported report, detecting its type from the header row.
+   * @param {string} csvText
+   * @returns {{ type: string, records: object[], columns: object }}
+   */
+  function parseAny(csvText) {
+    return parseRows(splitRows(csvText));
+  }
 
-      const fields = parseLine(line);
-      if (fields.length < 5) continue; // skip malformed/short rows
+  /**
+   * Parse a Seller Hub Active listings report.
+   * @param {string} csvText
+   * @returns {{ items: object[], columns: object, diagnostics: object }}
+   */
+  function parseActiveListings(csvText) {
+    const { records, columns, diagnostics } = parseRows(splitRows(csvText), 'active');
+    return { items: records, columns, diagnostics };
+  }
 
-      const raw = {};
-      headers.forEach((h, idx) => {
-        raw[h] = cleanValue(fields[idx]);
-      });
+  /**
+   * Backwards-compatible entry point: listings only.
+   */
+  function parse(csvText) {
+    return parseReport(csvText).listings;
+  }
 
-      // Skip rows that don't look like listings (e.g. trailing disclaimer rows)
-      if (!raw['Listing title']) continue;
+  /**
+   * Convert a field-keyed map of cleaned strings to typed values according to
+   * a column registry. Columns missing from the report come through as null.
+   */
+  function typeValues(values, registry) {
+    const typed = {};
+    registry.forEach(col => {
+      const v = values[col.field];
+      if (col.type === 'int') typed[col.field] = parseInteger(v);
+      else if (col.type === 'pct') typed[col.field] = parsePercent(v);
+      else if (col.type === 'money') typed[col.field] = parseMoney(v);
+      else if (col.type === 'date') typed[col.field] = parseDate(v);
+      else if (col.type === 'bool') typed[col.field] = v === undefined || v === null ? null : /^(yes|true|y|1)$/i.test(String(v).trim());
+      else typed[col.field] = v || '';
+    });
+    return typed;
+  }
 
-      listings.push(buildListing(raw));
-    }
+  /**
+   * Map a field-keyed value map (see TRAFFIC_COLUMNS) to a structured listing object.
+   */
+  function buildListing(values) {
+    const typed = typeValues(values, TRAFFIC_COLUMNS);
+    return {
+      ...typed,
+      isPromoted: (typed.promotedStatus || '').toLowerCase() === 'promoted',
+    };
+  }
 
-    return listings;
+  /**
+   * Map a field-keyed value map (see ORDER_COLUMNS) to an order line item.
+   * soldFor is the per-unit sale price; revenue is soldFor × quantity.
+   */
+  function buildOrder(values) {
+    const typed = typeValues(values, ORDER_COLUMNS);
+    const quantity = typed.quantity || 1;
+    const soldFor = typed.soldFor || 0;
+    return {
+      ...typed,
+      quantity,
+      soldFor,
+      shippingCharged: typed.shippingCharged || 0,
+      revenue: parseFloat((soldFor * quantity).toFixed(2)),
+    };
   }
 
   /**
-   * Map raw field map to a structured listing object.
-   * Column names match the eBay Traffic Report header exactly.
+   * Map a field-keyed value map (see ACTIVE_COLUMNS) to an active listing record.
    */
-  function buildListing(raw) {
+  function buildActiveListing(values) {
+    const typed = typeValues(values, ACTIVE_COLUMNS);
     return {
-      title: raw['Listing title'] || '',
-      itemId: raw['eBay item ID'] || '',
-      startDate: raw['Item Start Date'] || '',
-      category: raw['Category'] || '',
-      promotedStatus: raw['Current promoted listings status'] || '',
-      isPromoted: (raw['Current promoted listings status'] || '').toLowerCase() === 'promoted',
-      quantityAvailable: parseInteger(raw['Quantity available']),
-
-      totalImpressions: parseInteger(raw['Total impressions']),
-      ctr: parsePercent(raw['Click-through rate = Page views from eBay site/Total impressions']),
-      quantitySold: parseInteger(raw['Quantity sold']),
-      top20Pct: parsePercent(raw['% Top 20 Search Impressions']),
-      conversionRate: parsePercent(raw['Sales conversion rate = Quantity sold/Total page views']),
-
-      top20PromotedImpressions: parseInteger(raw['Top 20 search slot impressions from promoted listings']),
-      top20PromotedChangePct: parsePercent(raw['% change in top 20 search slot impressions from promoted listings']),
-      top20OrganicImpressions: parseInteger(raw['Top 20 search slot organic impressions']),
-      top20OrganicChangePct: parsePercent(raw['% change in top 20 search slot impressions']),
-      restSearchImpressions: parseInteger(raw['Rest of search slot impressions']),
-      totalSearchImpressions: parseInteger(raw['Total Search Impressions']),
-
-      nonSearchPromotedImpressions: parseInteger(raw['Non-search promoted listings impressions']),
-      nonSearchPromotedChangePct: parsePercent(raw['% Change in non-search promoted listings impressions']),
-      nonSearchOrganicImpressions: parseInteger(raw['Non-search organic impressions']),
-      nonSearchOrganicChangePct: parsePercent(raw['% Change in non-search organic impressions']),
-
-      totalPromotedImpressions: parseInteger(raw['Total Promoted Listings impressions (applies to eBay site only)']),
-      totalOffsiteImpressions: parseInteger(raw['Total Promoted Offsite impressions (applies to off-eBay only)']),
-      totalOrganicImpressions: parseInteger(raw['Total organic impressions on eBay site']),
-
-      totalPageViews: parseInteger(raw['Total page views']),
-      pageViewsPromoted: parseInteger(raw['Page views via promoted listings impressions on eBay site']),
-      pageViewsPromotedOffsite: parseInteger(raw['Page views via promoted listings Impressions from outside eBay (search engines, affilliates)']),
-      pageViewsOrganic: parseInteger(raw['Page views via organic impressions on eBay site']),
-      pageViewsOrganicOffsite: parseInteger(raw['Page views from organic impressions outside eBay (Includes page views from search engines)']),
+      ...typed,
+      price: typed.price || 0,
+      quantity: typed.quantity ?? 0,
     };
   }
 
-  return { parse };
+  return {
+    parse,
+    parseReport,
+    parseOrders,
+    parseActiveListings,
+    parseAny,
+    parseRows,
+    createTokenizer,
+    detectReportType,
+    findHeaderRow,
+    mapColumns,
+    typeValues,
+    normalizeHeader,
+    parseDate,
+    periodFromFilename,
+    REPORT_TYPES,
+    TRAFFIC_COLUMNS,
+    ORDER_COLUMNS,
+    ACTIVE_COLUMNS,
+  };
 })();
@@ -0,0 +1,70 @@
+/**
+ * csvWorker.js — Off-main-thread CSV import for ShazbotCards Analytics
+ * Streams an uploaded File in chunks through CSVParser's tokenizer (or reads an
+ * .xlsx workbook via XLSXImport), builds the typed records, and (for Traffic
+ * Reports) runs Analyzer enrichment so large reports never block the
+ * dashboard. Cancel by terminating the worker.
+ *
+ * Messages in:  { file: File, scoring?: object, rules?: object[], dictionary?: object,
+ *                 categoryOverrides?: object }
+ *               — Analyzer's scoring config and recommendation rules, the
+ *               user's card dictionary and per-item category corrections; the
+ *               page passes them because workers can't read localStorage
+ * Messages out: { type: 'progress', phase: 'read'|'analyze', loaded, total }
+ *               { type: 'done', result: { type, records, columns, diagnostics, reportPeriod, enriched } }
+ *               — Traffic Report listings are enriched with daysListed counted to
+ *               the report period's end (from the preamble or the file name)
+ *               { type: 'error', message }
+ */
+
+/* global CSVParser, XLSXImport, CardAttributes, Analyzer */
+importScripts('csvParser.js', 'xlsxImport.js', 'cardAttributes.js', 'analyzer.js');
+
+const CHUNK_SIZE = 256 * 1024;
+
+self.onmessage = async e => {
+  const { file, scoring, rules, dictionary, categoryOverrides } = e.data || {};
+  try {
+    if (!file) throw new Error('No file received');
+    if (dictionary) CardAttributes.setUserDictionary(dictionary, false);
+    if (categoryOverrides) CardAttributes.setCategoryOverrides(categoryOverrides, false);
+    if (rules) Analyzer.setRecommendationRules(rules);
+
+    const parsed = XLSXImport.isWorkbookFile(file) ? await readWorkbook(file) : await readCSV(file);
+    let enriched = false;
+    if (parsed.type === 'traffic') {
+      self.postMessage({ type: 'progress', phase: 'analyze', loaded: 0, total: parsed.records.length });
+      const period = parsed.reportPeriod || CSVParser.periodFromFilename(file.name);
+      parsed.records = Analyzer.enrichWithScores(parsed.records, scoring, period ? period.end : undefined);
+      enriched = true;
+    }
+
+    self.postMessage({ type: 'done', result: { ...parsed, enriched } });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
+
+async function readCSV(file) {
+  const rows = [];
+  const tokenizer = CSVParser.createTokenizer(row => rows.push(row));
+  const decoder = new TextDecoder('utf-8');
+
+  for (let offset = 0; offset < file.size; offset += CHUNK_SIZE) {
+    const buf = await file.slice(offset, offset + CHUNK_SIZE).arrayBuffer();
+    tokenizer.push(decoder.decode(buf, { stream: true }));
+    self.postMessage({ type: 'progress', phase: 'read', loaded: Math.min(offset + CHUNK_SIZE, file.size), total: file.size });
+  }
+  tokenizer.push(decoder.decode());
+  tokenizer.end();
+
+  return CSVParser.parseRows(rows);
+}
+
+// Workbooks can't be streamed — the zip has to be read whole before any sheet is available
+async function readWorkbook(file) {
+  self.postMessage({ type: 'progress', phase: 'read', loaded: 0, total: file.size });
+  const parsed = await XLSXImport.parseReportFile(file);
+  self.postMessage({ type: 'progress', phase: 'read', loaded: file.size, total: file.size });
+  return parsed;
+}
@@ -8,10 +8,10 @@ const eBayAnalytics = (() => {
   'use strict';
 
   const PERIODS = {
-    TODAY:       { label: 'Today',      value: 'TODAY' },
-    LAST_7_DAYS: { label: 'Last 7 Days', value: 'LAST_7_DAYS' },
-    LAST_30_DAYS:{ label: 'Last 30 Days',value: 'LAST_30_DAYS' },
-    LAST_90_DAYS:{ label: 'Last 90 Days',value: 'LAST_90_DAYS' },
+    TODAY:       { label: 'Today',      value: 'TODAY',        days: 1 },
+    LAST_7_DAYS: { label: 'Last 7 Days', value: 'LAST_7_DAYS',  days: 7 },
+    LAST_30_DAYS:{ label: 'Last 30 Days',value: 'LAST_30_DAYS', days: 30 },
+    LAST_90_DAYS:{ label: 'Last 90 Days',value: 'LAST_90_DAYS', days: 90 },
   };
 
   let _currentPeriod = 'LAST_7_DAYS';
@@ -321,8 +321,9 @@ const eBayUI = (() => {
    * @param {string} ebayItemID
    * @param {string|null} oldTitle   Current eBay title (or null if unknown)
    * @param {string|null} newTitle   Proposed optimized title (or null)
+   * @param {number|null} [predictedCTRImprovement]  Title Optimizer's CTR estimate (%) for newTitle
    */
-  function openPushModal(ebayItemID, oldTitle, newTitle) {
+  function openPushModal(ebayItemID, oldTitle, newTitle, predictedCTRImprovement = null) {
     closePushModal();
 
     const overlay = document.createElement('div');
@@ -398,6 +399,14 @@ const eBayUI = (() => {
       try {
         const result = await eBaySync.pushItem(ebayItemID, { title: resolvedTitle });
         if (result.success) {
+          _logTitlePush({
+            itemId: ebayItemID,
+            oldTitle,
+            newTitle: resolvedTitle,
+            // A hand-edited title wasn't what the optimizer scored
+            predictedCTRImprovement: resolvedTitle === newTitle ? predictedCTRImprovement : null,
+            source: 'single',
+          });
           _setPushStatus('✅ Updated successfully!', 'success');
           showToast(`✅ eBay listing ${ebayItemID} updated`, 'success');
           setTimeout(closePushModal, 1500);
@@ -413,6 +422,86 @@ const eBayUI = (() => {
     });
   }
 
+  /**
+   * Open the push-confirmation modal for a price change.
+   * @param {string} ebayItemID
+   * @param {number|null} oldPrice   Current asking price (or null if unknown)
+   * @param {number} newPrice        Proposed price
+   * @param {Function} [onPushed]    Called with the price once eBay accepts it
+   */
+  function openPricePushModal(ebayItemID, oldPrice, newPrice, onPushed) {
+    closePushModal();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'ebay-modal-overlay';
+    overlay.id = 'ebay-push-overlay';
+    const fmt = v => (v === null || v === undefined ? '(unknown)' : `$${Number(v).toFixed(2)}`);
+
+    overlay.innerHTML = `
+<div class="ebay-push-modal" role="dialog" aria-modal="true" aria-label="Confirm eBay Price Update">
+  <div class="ebay-push-header">
+    <h3>⚠️ Confirm eBay Price Update</h3>
+    <button class="ebay-settings-close" id="ebay-push-close" aria-label="Close">&times;</button>
+  </div>
+  <div class="ebay-push-body">
+    <p>You are about to change the price of this listing on eBay:</p>
+    <div class="ebay-push-item-info">
+      <strong>eBay Item ID:</strong> <span>${_escapeHtml(ebayItemID)}</span>
+    </div>
+
+    <div class="ebay-push-diff">
+      <h4>Price:</h4>
+      <div class="ebay-diff-line ebay-diff-removed">− ${_escapeHtml(fmt(oldPrice))}</div>
+      <div class="ebay-diff-line ebay-diff-added">+ <input type="number" id="ebay-push-price-input" class="ebay-push-title-input"
+        min="0.99" step="0.01" value="${Number(newPrice).toFixed(2)}" aria-label="New price" /></div>
+    </div>
+
+    <p class="ebay-push-warning">⚠️ This will update your live eBay listing immediately.</p>
+
+    <div class="ebay-push-actions">
+      <button class="ebay-btn ebay-btn-secondary" id="ebay-push-cancel">Cancel</button>
+      <button class="ebay-btn ebay-btn-primary" id="ebay-push-confirm">✅ Confirm &amp; Push to eBay</button>
+    </div>
+    <div id="ebay-push-status" class="ebay-push-status" aria-live="polite"></div>
+  </div>
+</div>`;
+
+    document.body.appendChild(overlay);
+
+    overlay.querySelector('#ebay-push-close')?.addEventListener('click', closePushModal);
+    overlay.querySelector('#ebay-push-cancel')?.addEventListener('click', closePushModal);
+    overlay.addEventListener('click', e => { if (e.target === overlay) closePushModal(); });
+
+    overlay.querySelector('#ebay-push-confirm')?.addEventListener('click', async () => {
+      const price = parseFloat(overlay.querySelector('#ebay-push-price-input')?.value);
+      if (!(price > 0)) {
+        _setPushStatus('Please enter a price.', 'error');
+        return;
+      }
+
+      const confirmBtn = overlay.querySelector('#ebay-push-confirm');
+      if (confirmBtn) confirmBtn.disabled = true;
+      _setPushStatus('🔄 Pushing to eBay…', 'info');
+
+      try {
+        const result = await eBaySync.pushItem(ebayItemID, { price });
+        if (result.success) {
+          _setPushStatus('✅ Updated successfully!', 'success');
+          showToast(`✅ eBay listing ${ebayItemID} now $${price.toFixed(2)}`, 'success');
+          if (typeof onPushed === 'function') onPushed(price);
+          setTimeout(closePushModal, 1500);
+          _refreshConfigPanelState();
+        } else {
+          _setPushStatus(`❌ ${result.error}`, 'error');
+          if (confirmBtn) confirmBtn.disabled = false;
+        }
+      } catch (err) {
+        _setPushStatus(`❌ ${err.message}`, 'error');
+        if (confirmBtn) confirmBtn.disabled = false;
+      }
+    });
+  }
+
   function closePushModal() {
     const el = document.getElementById('ebay-push-overlay');
     if (el) el.remove();
@@ -476,11 +565,21 @@ const eBayUI = (() => {
 </div>`;
   }
 
+  // ─── Revision log ─────────────────────────────────────────────────────────
+
+  /** Log a pushed title so its impact can be measured once new traffic comes in. */
+  function _logTitlePush(push) {
+    if (typeof TitleRevisions === 'undefined') return;
+    TitleRevisions.record(push);
+    window.dispatchEvent(new CustomEvent('titleRevisionLogged', { detail: push }));
+  }
+
   // ─── Bulk push ─────────────────────────────────────────────────────────────
 
   /**
    * Show the bulk panel with optimized listings count.
-   * @param {Array<{ ebayItemID: string, newTitle: string }>} pendingItems
+   * @param {Array<{ ebayItemID: string, oldTitle?: string, newTitle: string,
+   *   predictedCTRImprovement?: number }>} pendingItems
    */
   function showBulkPanel(pendingItems) {
     const panel = document.getElementById('ebay-bulk-panel');
@@ -526,6 +625,17 @@ const eBayUI = (() => {
         if (statusEl) statusEl.textContent = `Updated ${done} of ${total} listings…`;
       });
 
+      const failedIds = new Set(result.errors.map(e => e.itemID));
+      pendingItems
+        .filter(item => includeTitles && !failedIds.has(item.ebayItemID))
+        .forEach(item => _logTitlePush({
+          itemId: item.ebayItemID,
+          oldTitle: item.oldTitle || null,
+          newTitle: item.newTitle,
+          predictedCTRImprovement: item.predictedCTRImprovement ?? null,
+          source: 'bulk',
+        }));
+
       if (statusEl) statusEl.textContent = `✅ Done — ${result.succeeded} updated, ${result.failed} failed`;
       showToast(`✅ Bulk push complete: ${result.succeeded} updated`, 'success');
       _refreshConfigPanelState();
@@ -617,6 +727,7 @@ const eBayUI = (() => {
     refreshConfigPanel,
     startSyncDown,
     openPushModal,
+    openPricePushModal,
     closePushModal,
     buildComparisonWidget,
     showBulkPanel,
@@ -0,0 +1,325 @@
+/**
+ * forecast.js — Next-period projections from saved report history
+ * Fits each series of per-report values (impressions, CTR, units sold,
+ * revenue) with linear regression when history is short and Holt's linear
+ * exponential smoothing once there is enough of it, adding a seasonal index
+ * when at least two full cycles are saved and it improves the fit. Every
+ * projection carries an 80% prediction interval.
+ */
+
+/* global Trends */
+
+const Forecast = (() => {
+  'use strict';
+
+  const MIN_POINTS = 3;        // fewer saved reports than this and nothing is projected
+  const HOLT_MIN_POINTS = 5;   // shorter series use linear regression
+  const HORIZON = 3;           // periods drawn ahead on the charts
+  const SEASON_DAYS = 28;      // the cycle looked for: about a month of reports
+  const SEASONAL_GAIN = 0.9;   // a seasonal fit is kept only if it cuts the error by 10%+
+  const Z_80 = 1.2816;
+
+  // Two-sided 80% t critical values for 1–10 degrees of freedom
+  const T_80 = [3.078, 1.886, 1.638, 1.533, 1.476, 1.440, 1.415, 1.397, 1.383, 1.372];
+  const critical = dof => (dof >= 1 && dof <= T_80.length ? T_80[dof - 1] : Z_80);
+
+  const mean = a => a.reduce((s, v) => s + v, 0) / a.length;
+  const round = v => parseFloat(v.toFixed(2));
+
+  // ─── Models ───────────────────────────────────────────────────────────────
+
+  /** Least-squares line through the series against its index. */
+  function regression(y) {
+    const n = y.length;
+    const xBar = (n - 1) / 2;
+    const yBar = mean(y);
+    let sxx = 0;
+    let sxy = 0;
+    y.forEach((v, x) => { sxx += (x - xBar) ** 2; sxy += (x - xBar) * (v - yBar); });
+    const slope = sxx ? sxy / sxx : 0;
+    const intercept = yBar - slope * xBar;
+    const sse = y.reduce((s, v, x) => s + (v - (intercept + slope * x)) ** 2, 0);
+    const dof = n - 2;
+    const sigma = dof > 0 ? Math.sqrt(sse / dof) : 0;
+
+    return {
+      method: 'regression',
+      sse,
+      predict(h) {
+        const x = n - 1 + h;
+        const spread = sigma * Math.sqrt(1 + 1 / n + (sxx ? (x - xBar) ** 2 / sxx : 0));
+        return { value: intercept + slope * x, spread: critical(dof) * spread };
+      },
+    };
+  }
+
+  /** Holt's level + trend smoothing with the given weights; errors are one step ahead. */
+  function holtRun(y, alpha, beta) {
+    let level = y[0];
+    let trend = y[1] - y[0];
+    const errors = [];
+    for (let t = 1; t < y.length; t++) {
+      // The first step is fitted exactly by the starting trend, so it isn't an error
+      if (t > 1) errors.push(y[t] - (level + trend));
+      const prevLevel = level;
+      level = alpha * y[t] + (1 - alpha) * (level + trend);
+      trend = beta * (level - prevLevel) + (1 - beta) * trend;
+    }
+    return { level, trend, errors, sse: errors.reduce((s, e) => s + e * e, 0) };
+  }
+
+  /** Holt's method with the smoothing weights that minimise one-step error. */
+  function holt(y) {
+    let best = null;
+    for (let a = 1; a <= 9; a++) {
+      for (let b = 1; b <= 9; b++) {
+        const run = holtRun(y, a / 10, b / 10);
+        if (!best || run.sse < best.sse) best = { ...run, alpha: a / 10, beta: b / 10 };
+      }
+    }
+    const { level, trend, errors, alpha, beta } = best;
+    const sigma = Math.sqrt(best.sse / errors.length);
+    const dof = errors.length - 1;
+
+    return {
+      method: 'holt',
+      sse: best.sse,
+      predict(h) {
+        // Forecast variance grows with each step ahead
+        let variance = 1;
+        for (let j = 1; j < h; j++) variance += (alpha * (1 + j * beta)) ** 2;
+        return { value: level + h * trend, spread: critical(dof) * sigma * Math.sqrt(variance) };
+      },
+    };
+  }
+
+  function baseModel(y) {
+    return y.length >= HOLT_MIN_POINTS ? holt(y) : regression(y);
+  }
+
+  /**
+   * Additive seasonal indices for a cycle of m reports: the average
+   * distance from the trend line at each position in the cycle. Each index
+   * also gets the half-width of its own 80% interval, from how much those
+   * distances scatter, since an index fitted from two or three cycles is far
+   * from exact.
+   */
+  function seasonalIndices(y, m) {
+    const trend = regression(y);
+    const gaps = Array.from({ length: m }, () => []);
+    y.forEach((v, t) => gaps[t % m].push(v - trend.predict(t - (y.length - 1)).value));
+    const raw = gaps.map(mean);
+    const centre = mean(raw);
+    const spread = gaps.map((g, k) => {
+      const dof = g.length - 1;
+      if (dof < 1) return 0;
+      const sd = Math.sqrt(g.reduce((s, v) => s + (v - raw[k]) ** 2, 0) / dof);
+      return critical(dof) * sd / Math.sqrt(g.length);
+    });
+    return { idx: raw.map(v => v - centre), spread };
+  }
+
+  /** Reports per ~month from their spacing, or 0 when they're too far apart to show a cycle. */
+  function seasonLength(spacingDays) {
+    if (!(spacingDays > 0)) return 0;
+    const m = Math.round(SEASON_DAYS / spacingDays);
+    return m >= 3 ? m : 0;
+  }
+
+  /**
+   * Fit a series and project it forward.
+   * @param {Array<number|null>} values - one value per report, oldest first (nulls skipped)
+   * @param {object} [options] - { spacingDays, min, max } — spacingDays is the typical gap
+   *   between reports (enables the seasonal check); min/max clamp the projection
+   * @returns {object|null} { method: 'regression'|'holt', seasonal, next: { value, lower, upper },
+   *   points: [{ h, value, lower, upper }] } — null with fewer than MIN_POINTS values
+   */
+  function project(values, options = {}) {
+    const y = values.filter(v => v !== null && v !== undefined && Number.isFinite(v));
+    if (y.length < MIN_POINTS) return null;
+
+    let model = baseModel(y);
+    let season = null;
+    const m = seasonLength(options.spacingDays);
+    if (m && y.length >= 2 * m && y.length >= HOLT_MIN_POINTS) {
+      const { idx, spread } = seasonalIndices(y, m);
+      const adjusted = baseModel(y.map((v, t) => v - idx[t % m]));
+      if (adjusted.sse < model.sse * SEASONAL_GAIN) {
+        model = adjusted;
+        season = { length: m, idx, spread };
+      }
+    }
+
+    const lo = options.min ?? 0;
+    const hi = options.max ?? Infinity;
+    const clamp = v => Math.min(hi, Math.max(lo, v));
+    const points = [];
+    for (let h = 1; h <= HORIZON; h++) {
+      const p = model.predict(h);
+      const k = (y.length - 1 + h) % (season ? season.length : 1);
+      const value = p.value + (season ? season.idx[k] : 0);
+      // The model's interval covers the deseasonalised series; add the index's own uncertainty
+      const spread = season ? Math.hypot(p.spread, season.spread[k]) : p.spread;
+      points.push({ h, value: round(clamp(value)), lower: round(clamp(value - spread)), upper: round(clamp(value + spread)) });
+    }
+
+    return { method: model.method, seasonal: !!season, next: points[0], points };
+  }
+
+  // ─── Series from report history ───────────────────────────────────────────
+
+  /** Median days between consecutive reports, by period end or upload date. */
+  function reportSpacing(reports) {
+    const times = reports
+      .map(r => Date.parse((r.reportPeriod && r.reportPeriod.end) || r.uploadedAt))
+      .filter(t => !isNaN(t))
+      .sort((a, b) => a - b);
+    const gaps = times.slice(1).map((t, i) => (t - times[i]) / 86400000).sort((a, b) => a - b);
+    return gaps.length ? gaps[Math.floor(gaps.length / 2)] : 0;
+  }
+
+  /** Per-day divisor for each report, matching Trends' normalisation. */
+  function divisors(reports) {
+    const normalized = Trends.canNormalize(reports);
+    return reports.map(r => (normalized ? Trends.reportDays(r) : 1));
+  }
+
+  /** Sales value at asking price: units sold × price, for listings with a price. */
+  function salesValue(listings) {
+    return listings.reduce((s, l) => s + (l.price > 0 ? (l.quantitySold || 0) * l.price : 0), 0);
+  }
+
+  const hasPrices = reports => reports.some(r => (r.data || []).some(l => l.price > 0));
+  const hasOrders = listings => listings.some(l => l.orders && l.orders.length);
+  const realized = listings => listings.reduce((s, l) => s + (l.realizedRevenue || 0), 0);
+
+  /**
+   * Where revenue comes from: realized Orders-report revenue once any report
+   * has orders attached, else units sold × asking price, else nothing.
+   * @returns {'realized'|'asking'|null}
+   */
+  function revenueSource(reports) {
+    if (reports.some(r => hasOrders(r.data || []))) return 'realized';
+    return hasPrices(reports) ? 'asking' : null;
+  }
+
+  /**
+   * Revenue per report for one group of listings, per day when normalised.
+   * Realized revenue leaves out reports with no orders attached rather than
+   * counting them as no sales.
+   * @param {Function} listingsOf - (report, i) → the listings to total
+   */
+  function revenueSeries(reports, source, days, listingsOf) {
+    return reports.map((r, i) => {
+      const listings = listingsOf(r, i);
+      if (source === 'realized') return hasOrders(r.data || []) ? realized(listings) / days[i] : null;
+      return salesValue(listings) / days[i];
+    });
+  }
+
+  /**
+   * Next-period projections for the whole portfolio.
+   * @param {Array} aggregateTrend - Trends.computeAggregateTrend(reports)
+   * @param {Array} reports - the same reports, oldest first
+   * @returns {object} { perDay, revenueSource, impressions, ctr, sold, revenue } — each a project()
+   *   result or null; revenueSource is revenueSource() and revenue is null when it is
+   */
+  function portfolio(aggregateTrend, reports) {
+    const spacingDays = reportSpacing(reports);
+    const days = divisors(reports);
+    const source = revenueSource(reports);
+    const revenue = source === 'realized'
+      ? aggregateTrend.map((d, i) => (hasOrders(reports[i].data || []) ? d.realizedRevenue / days[i] : null))
+      : revenueSeries(reports, source, days, r => r.data || []);
+    return {
+      perDay: Trends.canNormalize(reports),
+      revenueSource: source,
+      impressions: project(aggregateTrend.map(d => d.totalImpressions), { spacingDays }),
+      ctr: project(aggregateTrend.map(d => d.avgCTR), { spacingDays, max: 100 }),
+      sold: project(aggregateTrend.map(d => d.totalSold), { spacingDays }),
+      revenue: source ? project(revenue, { spacingDays }) : null,
+    };
+  }
+
+  /**
+   * Next-period projections per sport.
+   * @returns {Array} [{ sport, impressions, sold, revenue }] by projected impressions, highest first
+   */
+  function bySport(reports) {
+    const spacingDays = reportSpacing(reports);
+    const days = divisors(reports);
+    const source = revenueSource(reports);
+    const sports = new Set();
+    reports.forEach(r => (r.data || []).forEach(l => sports.add(l.sport || 'Other')));
+
+    return [...sports]
+      .map(sport => {
+        const groups = reports.map(r => (r.data || []).filter(l => (l.sport || 'Other') === sport));
+        const sum = (key, i) => groups[i].reduce((s, l) => s + (l[key] || 0), 0) / days[i];
+        return {
+          sport,
+          impressions: project(groups.map((g, i) => sum('totalImpressions', i)), { spacingDays }),
+          sold: project(groups.map((g, i) => sum('quantitySold', i)), { spacingDays }),
+          revenue: source ? project(revenueSeries(reports, source, days, (r, i) => groups[i]), { spacingDays }) : null,
+        };
+      })
+      .filter(f => f.impressions)
+      .sort((a, b) => b.impressions.next.value - a.impressions.next.value);
+  }
+
+  /** Projected units sold × asking price, or null without a projection or price. */
+  function askingRevenue(sold, price) {
+    if (!sold || !price) return null;
+    return {
+      next: {
+        value: round(sold.next.value * price),
+        lower: round(sold.next.lower * price),
+        upper: round(sold.next.upper * price),
+      },
+    };
+  }
+
+  /**
+   * Next-period projections for individual listings seen in enough reports.
+   * @param {Object} timeline - Trends.buildListingTimeline(reports) (already per day when normalised)
+   * @param {number} [n] - how many to return
+   * @returns {Array} [{ itemId, title, impressions, sold, revenue }] by projected impressions —
+   *   revenue is projected from realized revenue when orders are attached, else units sold × latest price
+   */
+  function byListing(timeline, reports, n = 10) {
+    const spacingDays = reportSpacing(reports);
+    const days = divisors(reports);
+    const source = revenueSource(reports);
+    const latestPrice = {};
+    reports.forEach(r => (r.data || []).forEach(l => { if (l.price > 0) latestPrice[l.itemId] = l.price; }));
+    // Realized revenue from the reports this listing appears in
+    const realizedOf = itemId => revenueSeries(reports, 'realized', days, r => (r.data || []).filter(l => l.itemId === itemId))
+      .filter((v, i) => (reports[i].data || []).some(l => l.itemId === itemId));
+
+    return Object.values(timeline)
+      .filter(entry => entry.snapshots.length >= MIN_POINTS)
+      .map(entry => {
+        const sold = project(entry.snapshots.map(s => s.quantitySold), { spacingDays });
+        const price = latestPrice[entry.itemId];
+        return {
+          itemId: entry.itemId,
+          title: entry.title,
+          impressions: project(entry.snapshots.map(s => s.totalImpressions), { spacingDays }),
+          sold,
+          revenue: source === 'realized' ? project(realizedOf(entry.itemId), { spacingDays }) : askingRevenue(sold, price),
+        };
+      })
+      .filter(f => f.impressions)
+      .sort((a, b) => b.impressions.next.value - a.impressions.next.value)
+      .slice(0, n);
+  }
+
+  return {
+    project,
+    portfolio,
+    bySport,
+    byListing,
+    MIN_POINTS,
+    HORIZON,
+  };
+})();
@@ -304,12 +304,13 @@ Return ONLY valid JSON (no markdown, no extra text) with this exact structure:
       factors.push({ name: 'Listing age', status: 'good', score: 80, explanation: 'Recently listed' });
     }
 
-    // Health score factor
+    // Health score factor — badge cutoffs come from the listing's scoring model
     const healthScore = listing.healthScore || 0;
-    if (healthScore >= 60) {
+    const badge = listing.healthBadge || (healthScore >= 60 ? 'green' : healthScore >= 30 ? 'yellow' : 'red');
+    if (badge === 'green') {
       score += 5;
       factors.push({ name: 'Listing health', status: 'good', score: healthScore, explanation: `Health score ${healthScore}/100` });
-    } else if (healthScore >= 30) {
+    } else if (badge === 'yellow') {
       factors.push({ name: 'Listing health', status: 'warning', score: healthScore, explanation: `Health score ${healthScore}/100 — room for improvement` });
     } else {
       score -= 5;
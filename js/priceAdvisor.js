@@ -0,0 +1,252 @@
+/**
+ * priceAdvisor.js — Price recommendations for ShazbotCards
+ * Finds each listing's minimum profitable price from its COGS and plans a
+ * step-by-step markdown for stale listings that get looked at but don't
+ * sell. Markdown settings and the last price pushed to eBay per listing are
+ * kept in localStorage.
+ */
+
+/* global COGS */
+
+const PriceAdvisor = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'shazbot-price-advisor';
+  const SETTINGS_VERSION = 1;
+
+  const DEFAULTS = {
+    minProfit: 0.50,       // the floor is the lowest price that still nets this much
+    staleDays: 60,         // listed at least this long before a markdown is suggested
+    lowConversion: 0.5,    // converting below this share of the portfolio rate counts as low
+    stepPct: 0.10,         // each markdown takes this much off the previous price
+    intervalDays: 14,      // days between markdown steps
+    maxSteps: 4,
+    charmPricing: true,    // end prices of $2 and up in .99
+    pushed: {},            // { [itemId]: { price, at } } — last price pushed to eBay
+  };
+
+  // The floor search never looks above this multiple of the asking price (or $10)
+  const FLOOR_SEARCH_MULTIPLE = 4;
+
+  const clone = obj => JSON.parse(JSON.stringify(obj));
+
+  // ─── Persistence ──────────────────────────────────────────────────────────
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return { ...clone(DEFAULTS), _version: SETTINGS_VERSION };
+      return { ...clone(DEFAULTS), ...JSON.parse(raw), _version: SETTINGS_VERSION };
+    } catch (e) {
+      return { ...clone(DEFAULTS), _version: SETTINGS_VERSION };
+    }
+  }
+
+  function save(state) {
+    try {
+      state._version = SETTINGS_VERSION;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) { /* ignore */ }
+  }
+
+  /** Remember a price pushed to eBay so the next markdown step is timed from it. */
+  function recordPush(state, itemId, price) {
+    state.pushed[itemId] = { price, at: new Date().toISOString() };
+  }
+
+  /**
+   * Show prices pushed to eBay after a report was taken on its listings. The
+   * report's own price is kept as _reportPrice so it never gets saved over —
+   * the next imported report carries the real change.
+   * @param {string|null} since - the report's uploadedAt; pushes before it are already in the report
+   */
+  function applyPushes(listings, since, state) {
+    const pushed = (state || load()).pushed;
+    const after = Date.parse(since) || 0;
+    return listings.map(l => {
+      const push = pushed[l.itemId];
+      if (!push || Date.parse(push.at) <= after) return l;
+      return { ...l, price: push.price, _reportPrice: l._reportPrice ?? l.price };
+    });
+  }
+
+  /** Listings with the report's own prices back, for saving to report history. */
+  function reportPrices(listings) {
+    return listings.map(l => {
+      if (l._reportPrice === undefined) return l;
+      const { _reportPrice, ...rest } = l;
+      return { ...rest, price: _reportPrice };
+    });
+  }
+
+  // ─── Pricing ──────────────────────────────────────────────────────────────
+
+  const cents = v => Math.round(v * 100) / 100;
+
+  /** Per-unit economics of one sale at a given price. */
+  function economicsAt(listing, price, cogsSettings) {
+    const r = COGS.calcListing({ ...listing, price, quantity: 1 }, cogsSettings);
+    return { price, netProfit: r.netProfit, margin: r.margin };
+  }
+
+  /**
+   * Lowest price, to the cent, that nets at least minProfit after fees,
+   * shipping, materials and acquisition cost. Scans upward in steps (shipping
+   * rules can make profit dip as price crosses a threshold), then narrows the
+   * first profitable step down to the cent.
+   * @returns {number|null} null when no price up to the search ceiling is profitable
+   */
+  function floorPrice(listing, cogsSettings, minProfit) {
+    const target = Math.max(minProfit || 0, 0.01);
+    const ok = p => economicsAt(listing, p, cogsSettings).netProfit >= target;
+    const ceiling = Math.max(listing.price || 0, 10) * FLOOR_SEARCH_MULTIPLE;
+
+    let prev = 0;
+    for (let p = 0.25; p <= ceiling; p = cents(p + Math.max(0.25, p * 0.02))) {
+      if (!ok(p)) {
+        prev = p;
+        continue;
+      }
+      let lo = prev;
+      let hi = p;
+      while (cents(hi - lo) > 0.01) {
+        const mid = cents((lo + hi) / 2);
+        if (ok(mid)) hi = mid;
+        else lo = mid;
+      }
+      return hi;
+    }
+    return null;
+  }
+
+  /**
+   * Markdown price for a step: from $2 up, the nearest x.99 at or below the
+   * stepped price (so the cut is never smaller than the step), else to the cent.
+   */
+  function stepPrice(price, state) {
+    if (!state.charmPricing || price < 2) return cents(price);
+    return cents(Math.floor(price + 0.01 + 1e-9) - 0.01);
+  }
+
+  /** Age as of today — markdowns are scheduled from now, not from when the report was pulled. */
+  function daysListedOf(listing) {
+    if (listing.startDate && typeof window !== 'undefined' && window.PerformancePredictor) {
+      return window.PerformancePredictor.calculateDaysListed(listing.startDate);
+    }
+    return listing.daysListed ?? 0;
+  }
+
+  /** Pooled sold ÷ page views across the portfolio. */
+  function portfolioConversion(listings) {
+    const views = listings.reduce((s, l) => s + (l.totalPageViews || 0), 0);
+    const sold = listings.reduce((s, l) => s + (l.quantitySold || 0), 0);
+    return views > 0 ? sold / views : 0;
+  }
+
+  /**
+   * Price advice for one listing.
+   * @param {object} listing
+   * @param {object} context - { cogsSettings, state, conversion } — conversion is portfolioConversion()
+   * @returns {object} { floor, current: { price, netProfit, margin }, daysListed, conversionRate,
+   *   stale, lowConversion, underFloor, candidate, nextStepDay, schedule, next, suggestedPrice }
+   *   — schedule steps and next are { step, day, price, changePct, netProfit, margin, profitDelta,
+   *   marginDelta }; next is the raise to the floor or the first markdown, and suggestedPrice is
+   *   its price once it's due
+   */
+  function advise(listing, context) {
+    const cogsSettings = context.cogsSettings || COGS.load();
+    const state = context.state || load();
+    const price = listing.price || 0;
+    const current = economicsAt(listing, price, cogsSettings);
+    const floor = floorPrice(listing, cogsSettings, state.minProfit);
+    const daysListed = daysListedOf(listing);
+    const views = listing.totalPageViews || 0;
+    const sold = listing.quantitySold || 0;
+    const conversionRate = views > 0 ? sold / views : null;
+
+    const stale = daysListed >= state.staleDays;
+    const lowConversion = sold === 0 || (conversionRate !== null && context.conversion > 0
+      && conversionRate < context.conversion * state.lowConversion);
+    const underFloor = floor !== null && price > 0 && price < floor;
+
+    // Steps are timed from the last price pushed to eBay, if it's still the asking price
+    const pushed = state.pushed[listing.itemId];
+    const sincePush = pushed && Math.abs(pushed.price - price) < 0.005
+      ? Math.floor((Date.now() - Date.parse(pushed.at)) / 86400000)
+      : null;
+    const nextStepDay = sincePush === null ? 0 : Math.max(0, state.intervalDays - sincePush);
+
+    // A price change and what it does to one sale's profit
+    const change = (step, day, to) => {
+      const e = economicsAt(listing, to, cogsSettings);
+      return {
+        step,
+        day,
+        price: to,
+        changePct: (to - price) / price,
+        netProfit: e.netProfit,
+        margin: e.margin,
+        profitDelta: cents(e.netProfit - current.netProfit),
+        marginDelta: parseFloat((e.margin - current.margin).toFixed(2)),
+      };
+    };
+
+    const schedule = [];
+    if (stale && lowConversion && !underFloor && price > 0) {
+      let last = price;
+      for (let step = 1; step <= state.maxSteps; step++) {
+        let to = stepPrice(last * (1 - state.stepPct), state);
+        if (floor !== null && to < floor) to = floor;
+        if (to >= last || to <= 0) break;
+        const c = change(step, nextStepDay + (step - 1) * state.intervalDays, to);
+        if (c.netProfit < Math.max(state.minProfit, 0.01)) break;
+        schedule.push(c);
+        last = to;
+        if (floor !== null && to <= floor) break;
+      }
+    }
+
+    const next = underFloor ? change(0, 0, floor) : schedule[0] || null;
+
+    return {
+      floor,
+      current,
+      daysListed,
+      conversionRate,
+      stale,
+      lowConversion,
+      underFloor,
+      candidate: underFloor || schedule.length > 0,
+      nextStepDay,
+      schedule,
+      next,
+      suggestedPrice: next && next.day === 0 ? next.price : null,
+    };
+  }
+
+  /**
+   * Advice for every listing that should change price: under its floor, or
+   * stale and not converting. Under-floor listings first, then the longest listed.
+   */
+  function adviseAll(listings, cogsSettings, state) {
+    const context = { cogsSettings: cogsSettings || COGS.load(), state: state || load(), conversion: portfolioConversion(listings) };
+    return listings
+      .filter(l => (l.price || 0) > 0)
+      .map(l => ({ listing: l, advice: advise(l, context) }))
+      .filter(r => r.advice.candidate)
+      .sort((a, b) => (b.advice.underFloor - a.advice.underFloor) || (b.advice.daysListed - a.advice.daysListed));
+  }
+
+  return {
+    load,
+    save,
+    recordPush,
+    applyPushes,
+    reportPrices,
+    floorPrice,
+    advise,
+    adviseAll,
+    portfolioConversion,
+    DEFAULTS,
+  };
+})();
@@ -0,0 +1,174 @@
+/**
+ * profitLoss.js — Monthly profit & loss for ShazbotCards
+ * Builds a month-by-month P&L from the saved reports: Orders-report sales
+ * where they were imported, otherwise the units sold in the month's latest
+ * Traffic Report at the asking price. Every sale is costed with the current
+ * COGS settings and broken down by category (sport).
+ */
+
+/* global COGS */
+
+const ProfitLoss = (() => {
+  'use strict';
+
+  // P&L lines in statement order; costs are positive amounts subtracted from sales
+  const LINES = [
+    { key: 'grossSales',      label: 'Gross Sales' },
+    { key: 'shippingCharged', label: 'Shipping Charged' },
+    { key: 'ebayFees',        label: 'eBay Fees',        cost: true },
+    { key: 'adFees',          label: 'Ad Fees',          cost: true },
+    { key: 'postage',         label: 'Postage',          cost: true },
+    { key: 'materials',       label: 'Materials',        cost: true },
+    { key: 'acquisition',     label: 'Acquisition Cost', cost: true },
+    { key: 'net',             label: 'Net Profit' },
+  ];
+
+  function emptyTotals() {
+    const t = { units: 0, missingCost: 0 };
+    LINES.forEach(l => { t[l.key] = 0; });
+    return t;
+  }
+
+  function addSale(totals, r, price, hasCost) {
+    const qty = r.qty;
+    totals.units += qty;
+    totals.grossSales += price * qty;
+    totals.shippingCharged += r.shippingCharged * qty;
+    totals.ebayFees += r.ebayFee * qty;
+    totals.adFees += r.adFee * qty;
+    totals.postage += r.shippingCost * qty;
+    totals.materials += r.materialCost * qty;
+    totals.acquisition += r.acquisitionCost * qty;
+    totals.net += r.netProfit * qty;
+    if (!hasCost) totals.missingCost += qty;
+  }
+
+  function roundTotals(t) {
+    LINES.forEach(l => { t[l.key] = parseFloat(t[l.key].toFixed(2)); });
+    const revenue = t.grossSales + t.shippingCharged;
+    t.margin = revenue > 0 ? parseFloat(((t.net / revenue) * 100).toFixed(2)) : 0;
+    return t;
+  }
+
+  /** The month (YYYY-MM) a report covers: the end of its period if known, else when it was uploaded. */
+  function reportMonth(report) {
+    const end = report.reportPeriod && report.reportPeriod.end;
+    return String(end || report.uploadedAt || '').slice(0, 7);
+  }
+
+  /**
+   * Monthly P&L across saved reports.
+   * @param {Array} reports - full report objects from Storage.getAllReports()
+   * @param {object} [settings] - COGS settings
+   * @returns {Array} newest month first: [{ month, source: 'orders'|'estimated', totals,
+   *   categories: { [sport]: totals } }] — totals hold units, each LINES key, margin
+   *   and missingCost (units sold with no acquisition cost entered)
+   */
+  function buildMonthly(reports, settings) {
+    settings = settings || COGS.load();
+    const sorted = [...reports].sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+    const months = {};
+    const monthOf = key => (months[key] = months[key] || { month: key, source: 'orders', totals: emptyTotals(), categories: {} });
+    const add = (month, listing, r, price) => {
+      const m = monthOf(month);
+      const sport = listing.sport || 'Other';
+      const hasCost = COGS.hasAcquisitionCost(listing, settings);
+      addSale(m.totals, r, price, hasCost);
+      addSale(m.categories[sport] = m.categories[sport] || emptyTotals(), r, price, hasCost);
+    };
+
+    // Real sales: each order line once, costed against the newest listing snapshot that has it
+    const orders = new Map();
+    sorted.forEach(report => {
+      (report.data || []).forEach(listing => {
+        (listing.orders || []).forEach(o => {
+          orders.set(`${o.orderNumber}|${o.itemId}`, { listing, order: o, fallbackMonth: reportMonth(report) });
+        });
+      });
+    });
+    orders.forEach(({ listing, order, fallbackMonth }) => {
+      const month = order.saleDate ? order.saleDate.slice(0, 7) : fallbackMonth;
+      if (!month) return;
+      const r = COGS.calcListing(COGS.orderSale(listing, order), settings);
+      add(month, listing, r, order.soldFor || 0);
+    });
+
+    // Estimates for months with no orders, from that month's latest report only —
+    // Traffic Reports cover overlapping windows, so adding them up would double-count
+    const latestByMonth = {};
+    sorted.forEach(report => {
+      const month = reportMonth(report);
+      if (month && !months[month]) latestByMonth[month] = report;
+    });
+    Object.entries(latestByMonth).forEach(([month, report]) => {
+      (report.data || []).forEach(listing => {
+        const qty = listing.quantitySold || 0;
+        if (!qty || !(listing.price > 0)) return;
+        const r = COGS.calcListing({ ...listing, quantity: qty }, settings);
+        add(month, listing, r, listing.price);
+      });
+      if (months[month]) months[month].source = 'estimated';
+    });
+
+    return Object.values(months)
+      .map(m => {
+        roundTotals(m.totals);
+        Object.values(m.categories).forEach(roundTotals);
+        return m;
+      })
+      .sort((a, b) => b.month.localeCompare(a.month));
+  }
+
+  /** Totals for a set of months (e.g. the whole P&L). */
+  function sumMonths(months) {
+    const totals = emptyTotals();
+    months.forEach(m => {
+      totals.units += m.totals.units;
+      totals.missingCost += m.totals.missingCost;
+      LINES.forEach(l => { totals[l.key] += m.totals[l.key]; });
+    });
+    return roundTotals(totals);
+  }
+
+  /** Category totals summed over a set of months. */
+  function sumCategories(months) {
+    const out = {};
+    months.forEach(m => {
+      Object.entries(m.categories).forEach(([cat, t]) => {
+        const c = out[cat] = out[cat] || emptyTotals();
+        c.units += t.units;
+        c.missingCost += t.missingCost;
+        LINES.forEach(l => { c[l.key] += t[l.key]; });
+      });
+    });
+    Object.values(out).forEach(roundTotals);
+    return out;
+  }
+
+  /**
+   * CSV for an accountant: one row per month and category plus a month total
+   * row, costs as positive amounts.
+   */
+  function toCSV(months) {
+    const quote = v => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+    const header = ['Month', 'Category', 'Source', 'Units', ...LINES.map(l => l.label), 'Margin %', 'Units Missing Card Cost'];
+    const row = (m, category, t) => [
+      m.month, category, m.source, t.units, ...LINES.map(l => t[l.key].toFixed(2)), t.margin.toFixed(2), t.missingCost,
+    ].map(quote).join(',');
+
+    const lines = [header.map(quote).join(',')];
+    [...months].sort((a, b) => a.month.localeCompare(b.month)).forEach(m => {
+      Object.keys(m.categories).sort().forEach(cat => lines.push(row(m, cat, m.categories[cat])));
+      lines.push(row(m, 'All categories', m.totals));
+    });
+    return lines.join('\n');
+  }
+
+  return {
+    buildMonthly,
+    sumMonths,
+    sumCategories,
+    toCSV,
+    LINES,
+  };
+})();
@@ -0,0 +1,129 @@
+/**
+ * recommendationRules.js — Editable recommendation rules for ShazbotCards
+ * Stores the user's rule list in localStorage and hands it to
+ * Analyzer.setRecommendationRules(). Rule shape and evaluation live in
+ * analyzer.js (see DEFAULT_RECOMMENDATION_RULES).
+ */
+
+const RecommendationRules = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'shazbot-recommendation-rules';
+  const SETTINGS_VERSION = 1;
+
+  const SEVERITIES = ['high', 'medium', 'low', 'good'];
+
+  const OPERATORS = [
+    { op: '>',         label: '>' },
+    { op: '>=',        label: '≥' },
+    { op: '<',         label: '<' },
+    { op: '<=',        label: '≤' },
+    { op: '=',         label: '=' },
+    { op: '!=',        label: '≠' },
+    { op: 'contains',  label: 'contains' },
+    { op: '!contains', label: "doesn't contain" },
+    { op: 'empty',     label: 'is empty' },
+    { op: '!empty',    label: 'is not empty' },
+  ];
+
+  // Suggestions for the field picker — any listing field works
+  const FIELDS = [
+    'totalImpressions', 'ctr', 'totalPageViews', 'quantitySold', 'quantityAvailable', 'price', 'watchers',
+    'top20Pct', 'nonSearchOrganicChangePct', 'isPromoted', 'promotedStatus', 'daysListed', 'healthScore',
+    'healthBadge', 'realizedQty', 'realizedRevenue', 'sport', 'title', 'attributes.year', 'attributes.manufacturer',
+    'attributes.set', 'attributes.parallel', 'attributes.grader', 'attributes.grade', 'attributes.graded',
+    'attributes.rookie', 'attributes.auto', 'attributes.serial.of',
+  ];
+
+  const clone = obj => JSON.parse(JSON.stringify(obj));
+
+  function defaults() {
+    return {
+      _version: SETTINGS_VERSION,
+      rules: clone(Analyzer.DEFAULT_RECOMMENDATION_RULES),
+    };
+  }
+
+  // ─── Persistence ──────────────────────────────────────────────────────────
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return defaults();
+      const saved = JSON.parse(raw);
+      if (!Array.isArray(saved.rules)) return defaults();
+      return { _version: SETTINGS_VERSION, rules: saved.rules.filter(r => r && Array.isArray(r.conditions)) };
+    } catch (e) {
+      return defaults();
+    }
+  }
+
+  function save(state) {
+    try {
+      state._version = SETTINGS_VERSION;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) { /* ignore */ }
+  }
+
+  // ─── Rules ────────────────────────────────────────────────────────────────
+
+  /** Append a new, enabled rule with one empty condition. @returns {object} the rule */
+  function createRule(state) {
+    const rule = {
+      id: 'rule_' + Date.now(),
+      name: 'New rule',
+      enabled: true,
+      severity: 'medium',
+      stop: false,
+      conditions: [{ field: 'totalImpressions', op: '>', value: 0 }],
+      message: '',
+      action: '',
+    };
+    state.rules.push(rule);
+    return rule;
+  }
+
+  function deleteRule(state, id) {
+    const before = state.rules.length;
+    state.rules = state.rules.filter(r => r.id !== id);
+    return state.rules.length !== before;
+  }
+
+  /** Move a rule up (-1) or down (+1). Order matters for rules that stop evaluation. */
+  function moveRule(state, id, delta) {
+    const idx = state.rules.findIndex(r => r.id === id);
+    const to = idx + delta;
+    if (idx === -1 || to < 0 || to >= state.rules.length) return false;
+    const [rule] = state.rules.splice(idx, 1);
+    state.rules.splice(to, 0, rule);
+    return true;
+  }
+
+  function resetRules(state) {
+    state.rules = defaults().rules;
+  }
+
+  /**
+   * Read a condition value typed into the editor: numbers and true/false
+   * become their JSON types, anything else stays text.
+   */
+  function parseValue(raw) {
+    const s = String(raw).trim();
+    if (s === 'true' || s === 'false') return s === 'true';
+    if (s !== '' && !isNaN(Number(s))) return Number(s);
+    return s;
+  }
+
+  return {
+    load,
+    save,
+    createRule,
+    deleteRule,
+    moveRule,
+    resetRules,
+    parseValue,
+    SEVERITIES,
+    OPERATORS,
+    FIELDS,
+  };
+})();
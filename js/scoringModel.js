@@ -0,0 +1,142 @@
+/**
+ * scoringModel.js — Health-score model presets for ShazbotCards
+ * Stores named scoring presets (weights, saturation points, badge cutoffs),
+ * the active preset and per-category overrides in localStorage, and resolves
+ * them into the config Analyzer.setScoringConfig() / enrichWithScores() expect.
+ */
+
+const ScoringModel = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'shazbot-scoring-model';
+  const SETTINGS_VERSION = 1;
+
+  // ─── Built-in Presets ─────────────────────────────────────────────────────
+
+  const clone = obj => JSON.parse(JSON.stringify(obj));
+
+  const BUILTIN_PRESETS = {
+    default: { ...clone(Analyzer.DEFAULT_SCORING_MODEL), builtin: true },
+    // Slabs see few impressions but buyers who click are serious: reward CTR
+    // and a steady trend, and give full impression marks at a modest count.
+    graded: {
+      name: 'Graded slabs',
+      builtin: true,
+      weights:    { impressions: 25, ctr: 35, top20: 15, trend: 25 },
+      saturation: { impressions: 500, ctr: 1.0, top20: 60, trend: 200 },
+      badges:     { green: 55, yellow: 25 },
+    },
+    // $1 base cards live on volume: impressions and search placement matter most.
+    bulk: {
+      name: 'Bulk base ($1 cards)',
+      builtin: true,
+      weights:    { impressions: 45, ctr: 25, top20: 20, trend: 10 },
+      saturation: { impressions: null, ctr: 3.0, top20: 100, trend: 200 },
+      badges:     { green: 60, yellow: 30 },
+    },
+  };
+
+  function defaults() {
+    return {
+      _version: SETTINGS_VERSION,
+      active: 'default',
+      presets: clone(BUILTIN_PRESETS),
+      categoryOverrides: {}, // { [sport]: presetId }
+    };
+  }
+
+  // ─── Persistence ──────────────────────────────────────────────────────────
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      if (!raw) return defaults();
+      const saved = JSON.parse(raw);
+      const state = defaults();
+      // Saved presets win, but built-ins added since the last save still appear
+      state.presets = { ...state.presets, ...(saved.presets || {}) };
+      state.active = state.presets[saved.active] ? saved.active : 'default';
+      Object.entries(saved.categoryOverrides || {}).forEach(([category, id]) => {
+        if (state.presets[id]) state.categoryOverrides[category] = id;
+      });
+      return state;
+    } catch (e) {
+      return defaults();
+    }
+  }
+
+  function save(state) {
+    try {
+      state._version = SETTINGS_VERSION;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) { /* ignore */ }
+  }
+
+  // ─── Presets ──────────────────────────────────────────────────────────────
+
+  /**
+   * Add a user preset copied from an existing one and make it active.
+   * @returns {string} new preset id
+   */
+  function createPreset(state, name, fromId) {
+    const source = state.presets[fromId] || state.presets[state.active];
+    const id = 'preset_' + Date.now();
+    state.presets[id] = { ...clone(source), name: name.trim() || 'Custom', builtin: false };
+    state.active = id;
+    return id;
+  }
+
+  /** Delete a user preset; anything that used it falls back to the default. */
+  function deletePreset(state, id) {
+    const preset = state.presets[id];
+    if (!preset || preset.builtin) return false;
+    delete state.presets[id];
+    if (state.active === id) state.active = 'default';
+    Object.keys(state.categoryOverrides).forEach(category => {
+      if (state.categoryOverrides[category] === id) delete state.categoryOverrides[category];
+    });
+    return true;
+  }
+
+  /** Restore a built-in preset's original numbers. */
+  function resetPreset(state, id) {
+    if (!BUILTIN_PRESETS[id]) return false;
+    state.presets[id] = clone(BUILTIN_PRESETS[id]);
+    return true;
+  }
+
+  /**
+   * Problems with a preset's numbers: weights must be finite and not
+   * negative, and the green badge cutoff can't sit below the yellow one.
+   * @returns {string[]} messages, empty when the preset is usable
+   */
+  function validatePreset(preset) {
+    const problems = [];
+    Object.entries(preset.weights || {}).forEach(([key, w]) => {
+      if (typeof w !== 'number' || !Number.isFinite(w) || w < 0) problems.push(`The ${key} weight must be a number of 0 or more.`);
+    });
+    const { green, yellow } = preset.badges || {};
+    if (![green, yellow].every(v => typeof v === 'number' && Number.isFinite(v))) {
+      problems.push('Badge cutoffs must be numbers.');
+    } else if (green < yellow) {
+      problems.push(`The green cutoff (${green}) can't be below the yellow cutoff (${yellow}).`);
+    }
+    return problems;
+  }
+
+  /**
+   * Resolve saved state into the scoring config Analyzer uses.
+   * Plain JSON, so it can also be posted to the import worker.
+   * @returns {{ model: object, categories: object }}
+   */
+  function resolve(state) {
+    state = state || load();
+    const categories = {};
+    Object.entries(state.categoryOverrides).forEach(([category, id]) => {
+      if (state.presets[id]) categories[category] = state.presets[id];
+    });
+    return { model: state.presets[state.active] || BUILTIN_PRESETS.default, categories };
+  }
+
+  return { load, save, createPreset, deletePreset, resetPreset, validatePreset, resolve, BUILTIN_PRESETS };
+})();
@@ -116,6 +116,21 @@ const Storage = (() => {
     return [...store.reports].sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
   }
 
+  /**
+   * Update fields on a saved report (e.g. data after joining an Orders report).
+   * Returns the updated report or null if not found / save failed.
+   * @param {string} id
+   * @param {Object} patch - fields to overwrite; id and uploadedAt are kept
+   */
+  function updateReport(id, patch) {
+    const store = loadStore();
+    const report = store.reports.find(r => r.id === id);
+    if (!report) return null;
+    Object.assign(report, patch, { id: report.id, uploadedAt: report.uploadedAt });
+    if (Array.isArray(patch.data)) report.listingCount = patch.data.length;
+    return saveStore(store) ? report : null;
+  }
+
   /**
    * Delete a single report by id.
    */
@@ -200,6 +215,7 @@ const Storage = (() => {
     getReportList,
     getReport,
     getAllReports,
+    updateReport,
     deleteReport,
     deleteAllReports,
     exportAll,
@@ -0,0 +1,209 @@
+/**
+ * titleRevisions.js — Before/after impact of titles pushed to eBay
+ * Logs every title revision pushed to eBay with the CTR improvement the
+ * Title Optimizer predicted for it, then measures what actually happened by
+ * comparing the listing's traffic in a window before the push with a window
+ * of similar length after it, taken from saved reports and live analytics pulls.
+ */
+
+const TitleRevisions = (() => {
+  'use strict';
+
+  const STORAGE_KEY = 'shazbot-title-revisions';
+  const SETTINGS_VERSION = 1;
+  const LOG_LIMIT = 200;
+  const OBSERVATION_LIMIT = 8;     // live pulls kept per revision
+  const DEFAULT_REPORT_DAYS = 30;  // window assumed for a report with no known period
+  const DAY_MS = 86400000;
+
+  // ─── Persistence ──────────────────────────────────────────────────────────
+
+  function load() {
+    try {
+      const raw = localStorage.getItem(STORAGE_KEY);
+      const state = raw ? JSON.parse(raw) : {};
+      return {
+        revisions: Array.isArray(state.revisions) ? state.revisions : [],
+        lastPull: state.lastPull || null,
+        _version: SETTINGS_VERSION,
+      };
+    } catch (e) {
+      return { revisions: [], lastPull: null, _version: SETTINGS_VERSION };
+    }
+  }
+
+  function save(state) {
+    try {
+      state._version = SETTINGS_VERSION;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    } catch (e) { /* ignore */ }
+  }
+
+  /**
+   * Log a title pushed to eBay.
+   * @param {object} push - { itemId, oldTitle, newTitle, predictedCTRImprovement, source: 'single'|'bulk' }
+   *   — predictedCTRImprovement is the optimizer's estimate in % (null if the title was typed by hand)
+   * @returns {object} the logged revision
+   */
+  function record(push) {
+    const state = load();
+    const predicted = Number(push.predictedCTRImprovement);
+    // The latest live pull is the baseline when no saved report covers the item
+    const pulled = state.lastPull && state.lastPull.items[String(push.itemId)];
+    const revision = {
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+      itemId: String(push.itemId),
+      oldTitle: push.oldTitle || null,
+      newTitle: push.newTitle,
+      predictedCTRImprovement: push.predictedCTRImprovement === null || push.predictedCTRImprovement === undefined
+        || !Number.isFinite(predicted) ? null : predicted,
+      source: push.source || 'single',
+      pushedAt: new Date().toISOString(),
+      observations: pulled ? [{ source: 'live', end: state.lastPull.end, days: state.lastPull.days, ...pulled }] : [],
+    };
+    state.revisions.push(revision);
+    if (state.revisions.length > LOG_LIMIT) state.revisions.splice(0, state.revisions.length - LOG_LIMIT);
+    save(state);
+    return revision;
+  }
+
+  function remove(id) {
+    const state = load();
+    state.revisions = state.revisions.filter(r => r.id !== id);
+    save(state);
+  }
+
+  /**
+   * Keep a live analytics pull for every logged revision of the listings in
+   * it, since live data isn't saved to report history. The pull is also kept
+   * as the baseline for titles pushed before the next one.
+   * @param {Array} listings - eBayAnalytics.mapToListingShape() output
+   * @param {number} days - length of the pulled period
+   * @returns {number} revisions that got a new observation
+   */
+  function recordTraffic(listings, days) {
+    const state = load();
+    const byItem = {};
+    listings.forEach(l => { byItem[String(l.itemId)] = l; });
+    const end = new Date().toISOString();
+    const traffic = l => ({ impressions: l.totalImpressions || 0, ctr: l.ctr || 0, pageViews: l.totalPageViews || 0 });
+    let updated = 0;
+
+    state.revisions.forEach(rev => {
+      const l = byItem[rev.itemId];
+      if (!l) return;
+      rev.observations.push({ source: 'live', end, days, ...traffic(l) });
+      if (rev.observations.length > OBSERVATION_LIMIT) rev.observations.shift();
+      updated++;
+    });
+    state.lastPull = { end, days, items: {} };
+    Object.entries(byItem).forEach(([id, l]) => { state.lastPull.items[id] = traffic(l); });
+    save(state);
+    return updated;
+  }
+
+  // ─── Measurement ──────────────────────────────────────────────────────────
+
+  /** Traffic windows for one item from saved reports, in the same shape as live observations. */
+  function reportObservations(itemId, reports) {
+    const out = [];
+    reports.forEach(report => {
+      const l = (report.data || []).find(d => String(d.itemId) === itemId);
+      if (!l) return;
+      const period = report.reportPeriod;
+      const end = period && period.end ? `${period.end}T23:59:59.999Z` : report.uploadedAt;
+      const days = period && period.start && period.end
+        ? Math.max(1, Math.round((Date.parse(period.end) - Date.parse(period.start)) / DAY_MS) + 1)
+        : DEFAULT_REPORT_DAYS;
+      out.push({
+        source: 'report',
+        label: report.filename,
+        end,
+        days,
+        impressions: l.totalImpressions || 0,
+        ctr: l.ctr || 0,
+        pageViews: l.totalPageViews || 0,
+      });
+    });
+    return out;
+  }
+
+  const windowEnd = o => Date.parse(o.end);
+  const windowStart = o => windowEnd(o) - o.days * DAY_MS;
+  const pct = (a, b) => (a > 0 ? ((b - a) / a) * 100 : null);
+
+  /**
+   * Realized impact of one revision: the latest window that ended before the
+   * push against the first window that started after it, preferring an
+   * after-window of the same length. Impressions and page views are compared
+   * per day so windows of different lengths still line up.
+   * @returns {object} { status: 'measured'|'waiting'|'no-baseline', before, after,
+   *   impressionsChange, pageViewsChange, ctrChange, ctrDelta, predicted, beatPrediction }
+   *   — changes are %, ctrDelta is in CTR points
+   */
+  function measure(revision, reports) {
+    const pushed = Date.parse(revision.pushedAt);
+    const observations = [...reportObservations(revision.itemId, reports || []), ...(revision.observations || [])];
+    const before = observations
+      .filter(o => windowEnd(o) <= pushed)
+      .sort((a, b) => windowEnd(b) - windowEnd(a))[0] || null;
+    const afters = observations.filter(o => windowStart(o) >= pushed);
+    const after = afters.sort((a, b) =>
+      (before ? Math.abs(a.days - before.days) - Math.abs(b.days - before.days) : 0) || windowEnd(a) - windowEnd(b))[0] || null;
+    const predicted = revision.predictedCTRImprovement;
+    const base = { before, after, predicted, impressionsChange: null, pageViewsChange: null, ctrChange: null, ctrDelta: null, beatPrediction: null };
+
+    if (!before) return { ...base, status: 'no-baseline' };
+    if (!after) return { ...base, status: 'waiting' };
+
+    const ctrChange = pct(before.ctr, after.ctr);
+    return {
+      ...base,
+      status: 'measured',
+      impressionsChange: pct(before.impressions / before.days, after.impressions / after.days),
+      pageViewsChange: pct(before.pageViews / before.days, after.pageViews / after.days),
+      ctrChange,
+      ctrDelta: parseFloat((after.ctr - before.ctr).toFixed(2)),
+      beatPrediction: predicted === null || ctrChange === null ? null : ctrChange >= predicted,
+    };
+  }
+
+  /**
+   * Predicted vs actual across every logged push, newest first.
+   * @returns {object} { rows: [{ revision, result }], total, measured, waiting, noBaseline,
+   *   avgPredicted, avgActualCTR, avgImpressions, improved, beat, compared }
+   *   — averages are over measured pushes (avgPredicted only those with a prediction)
+   */
+  function reportCard(reports) {
+    const rows = load().revisions
+      .map(revision => ({ revision, result: measure(revision, reports) }))
+      .sort((a, b) => Date.parse(b.revision.pushedAt) - Date.parse(a.revision.pushedAt));
+    const measured = rows.filter(r => r.result.status === 'measured');
+    const avg = values => (values.length ? values.reduce((s, v) => s + v, 0) / values.length : null);
+    const ctrChanges = measured.map(r => r.result.ctrChange).filter(v => v !== null);
+    const compared = measured.filter(r => r.result.beatPrediction !== null);
+
+    return {
+      rows,
+      total: rows.length,
+      measured: measured.length,
+      waiting: rows.filter(r => r.result.status === 'waiting').length,
+      noBaseline: rows.filter(r => r.result.status === 'no-baseline').length,
+      avgPredicted: avg(compared.map(r => r.result.predicted)),
+      avgActualCTR: avg(ctrChanges),
+      avgImpressions: avg(measured.map(r => r.result.impressionsChange).filter(v => v !== null)),
+      improved: ctrChanges.filter(v => v > 0).length,
+      beat: compared.filter(r => r.result.beatPrediction).length,
+      compared: compared.length,
+    };
+  }
+
+  return {
+    load,
+    record,
+    remove,
+    recordTraffic,
+    measure,
+    reportCard,
+  };
+})();
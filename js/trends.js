@@ -19,19 +19,122 @@ const Trends = (() => {
     return ((b - a) / Math.abs(a)) * 100;
   }
 
+  // ─── Report periods ────────────────────────────────────────────────────────
+
+  /** Days a report covers, both ends included, or null when its period isn't known. */
+  function reportDays(report) {
+    const p = report && report.reportPeriod;
+    if (!p || !p.start || !p.end) return null;
+    const days = Math.round((Date.parse(p.end) - Date.parse(p.start)) / 86400000) + 1;
+    return days > 0 ? days : null;
+  }
+
+  /**
+   * True when every report's period is known, so volumes (impressions, page
+   * views, units sold) can be compared as per-day rates. With any period
+   * unknown, raw totals are compared instead.
+   */
+  function canNormalize(reports) {
+    return reports.length > 0 && reports.every(r => reportDays(r) !== null);
+  }
+
+  function perDay(value, days) {
+    return days ? parseFloat((value / days).toFixed(2)) : value;
+  }
+
+  /** Asking price and available quantity, or null when the report didn't carry them. */
+  function priceOf(listing) {
+    return listing.price > 0 ? listing.price : null;
+  }
+
+  function quantityOf(listing) {
+    // An attached Active listings report is newer than the Traffic Report's count
+    const qty = listing._priceSource === 'active-report'
+      ? listing.quantity ?? listing.quantityAvailable
+      : listing.quantityAvailable ?? listing.quantity;
+    return qty === null || qty === undefined ? null : qty;
+  }
+
+  // ─── Change events ─────────────────────────────────────────────────────────
+
+  const EVENT_TYPES = {
+    title:        { icon: '✏️', label: 'Title revised' },
+    priceDrop:    { icon: '🔻', label: 'Price dropped' },
+    priceRaise:   { icon: '🔺', label: 'Price raised' },
+    restocked:    { icon: '📦', label: 'Restocked' },
+    quantityDown: { icon: '📉', label: 'Quantity reduced' },
+    promotedOn:   { icon: '📣', label: 'Promotion turned on' },
+    promotedOff:  { icon: '🔇', label: 'Promotion turned off' },
+  };
+
+  /**
+   * Edits made between two consecutive snapshots of a listing. A price or
+   * quantity missing from either snapshot isn't treated as a change.
+   * @returns {Array} [{ type, icon, label, from, to }]
+   */
+  function diffSnapshots(prev, curr) {
+    const events = [];
+    const add = (type, from, to) => events.push({ type, ...EVENT_TYPES[type], from, to });
+
+    if (prev.title && curr.title && prev.title.trim() !== curr.title.trim()) add('title', prev.title, curr.title);
+    if (prev.price !== null && curr.price !== null && Math.abs(curr.price - prev.price) >= 0.01) {
+      add(curr.price < prev.price ? 'priceDrop' : 'priceRaise', prev.price, curr.price);
+    }
+    // Quantity falls as units sell, so only a drop beyond the report's sales counts as an edit
+    if (prev.quantity !== null && curr.quantity !== null) {
+      if (curr.quantity > prev.quantity) add('restocked', prev.quantity, curr.quantity);
+      else if (curr.quantity < prev.quantity - curr.unitsSold) add('quantityDown', prev.quantity, curr.quantity);
+    }
+    if (!prev.isPromoted && curr.isPromoted) add('promotedOn', false, true);
+    if (prev.isPromoted && !curr.isPromoted) add('promotedOff', true, false);
+    return events;
+  }
+
+  /**
+   * Change events across a listing's snapshots, each with the traffic it had
+   * before and after the edit so the effect can be judged.
+   * @param {Array} snapshots - chronological snapshots from buildListingTimeline()
+   * @returns {Array} [{ type, icon, label, from, to, index, reportId, uploadedAt,
+   *   impressionsChange, ctrChange, pageViewsChange, soldChange }] — index is the
+   *   snapshot the change first shows up in
+   */
+  function detectChangeEvents(snapshots) {
+    const events = [];
+    for (let i = 1; i < snapshots.length; i++) {
+      const prev = snapshots[i - 1];
+      const curr = snapshots[i];
+      diffSnapshots(prev, curr).forEach(e => events.push({
+        ...e,
+        index: i,
+        reportId: curr.reportId,
+        uploadedAt: curr.uploadedAt,
+        impressionsChange: pctChange(prev.totalImpressions, curr.totalImpressions),
+        ctrChange: pctChange(prev.ctr, curr.ctr),
+        pageViewsChange: pctChange(prev.totalPageViews, curr.totalPageViews),
+        soldChange: parseFloat((curr.quantitySold - prev.quantitySold).toFixed(2)),
+      }));
+    }
+    return events;
+  }
+
   // ─── Cross-report listing matching ─────────────────────────────────────────
 
   /**
-   * Build a timeline of metrics for each listing across all reports.
-   * Returns an object keyed by itemId with sorted period snapshots.
+   * Build a timeline of metrics and listing attributes for each listing
+   * across all reports, with the change events between snapshots.
+   * Returns an object keyed by itemId with sorted period snapshots. When every
+   * report's period is known, impressions, page views and units sold are per day.
    *
    * @param {Array} reports - full report objects from Storage.getAllReports()
-   * @returns {Object} { [itemId]: { title, snapshots: [{reportId, uploadedAt, ...metrics}] } }
+   * @returns {Object} { [itemId]: { title, itemId, snapshots: [{reportId, uploadedAt, title,
+   *   price, quantity, ...metrics}], events: detectChangeEvents() } } — title is the latest
    */
   function buildListingTimeline(reports) {
     const timeline = {};
+    const normalized = canNormalize(reports);
 
     reports.forEach(report => {
+      const days = normalized ? reportDays(report) : null;
       (report.data || []).forEach(listing => {
         if (!listing.itemId) return;
         if (!timeline[listing.itemId]) {
@@ -42,10 +145,16 @@ const Trends = (() => {
           uploadedAt: report.uploadedAt,
           filename: report.filename,
           reportPeriod: report.reportPeriod,
-          totalImpressions: listing.totalImpressions || 0,
+          title: listing.title || '',
+          price: priceOf(listing),
+          quantity: quantityOf(listing),
+          days,
+          totalImpressions: perDay(listing.totalImpressions || 0, days),
           ctr: listing.ctr || 0,
-          totalPageViews: listing.totalPageViews || 0,
-          quantitySold: listing.quantitySold || 0,
+          totalPageViews: perDay(listing.totalPageViews || 0, days),
+          quantitySold: perDay(listing.quantitySold || 0, days),
+          unitsSold: listing.quantitySold || 0,
+          top20Pct: listing.top20Pct || 0,
           healthScore: listing.healthScore || 0,
           healthBadge: listing.healthBadge || 'red',
           isPromoted: listing.isPromoted || false,
@@ -57,6 +166,8 @@ const Trends = (() => {
     // Ensure snapshots are sorted chronologically
     Object.values(timeline).forEach(entry => {
       entry.snapshots.sort((a, b) => new Date(a.uploadedAt) - new Date(b.uploadedAt));
+      entry.title = entry.snapshots[entry.snapshots.length - 1].title || entry.title;
+      entry.events = detectChangeEvents(entry.snapshots);
     });
 
     return timeline;
@@ -93,19 +204,28 @@ const Trends = (() => {
   // ─── Aggregate trend across reports ────────────────────────────────────────
 
   /**
-   * Compute aggregate stats per report for time-series charting.
+   * Compute aggregate stats per report for time-series charting. When every
+   * report's period is known (perDay), impressions and units sold are per-day
+   * rates so reports covering different periods compare fairly. Realized
+   * revenue comes from the Orders report's own date range and stays a total.
    * @param {Array} reports - full report objects sorted chronologically
-   * @returns {Array} [{ label, uploadedAt, totalImpressions, promotedImpressions, organicImpressions, avgCTR, totalSold, listingCount, healthZones }]
+   * @returns {Array} [{ label, uploadedAt, days, perDay, totalImpressions, promotedImpressions, organicImpressions, avgCTR, totalSold, realizedRevenue, realizedQty, listingCount, healthZones }]
    */
   function computeAggregateTrend(reports) {
+    const normalized = canNormalize(reports);
     return reports.map(report => {
       const data = report.data || [];
-      const totalImpressions = data.reduce((s, l) => s + (l.totalImpressions || 0), 0);
-      const promotedImpressions = data.filter(l => l.isPromoted).reduce((s, l) => s + (l.totalImpressions || 0), 0);
-      const organicImpressions = totalImpressions - promotedImpressions;
+      const days = normalized ? reportDays(report) : null;
+      const rawImpressions = data.reduce((s, l) => s + (l.totalImpressions || 0), 0);
+      const rawPromoted = data.filter(l => l.isPromoted).reduce((s, l) => s + (l.totalImpressions || 0), 0);
+      const totalImpressions = perDay(rawImpressions, days);
+      const promotedImpressions = perDay(rawPromoted, days);
+      const organicImpressions = perDay(rawImpressions - rawPromoted, days);
       const ctrs = data.map(l => l.ctr).filter(c => c !== null && c !== undefined);
       const avgCTR = ctrs.length ? ctrs.reduce((a, b) => a + b, 0) / ctrs.length : 0;
-      const totalSold = data.reduce((s, l) => s + (l.quantitySold || 0), 0);
+      const totalSold = perDay(data.reduce((s, l) => s + (l.quantitySold || 0), 0), days);
+      const realizedRevenue = data.reduce((s, l) => s + (l.realizedRevenue || 0), 0);
+      const realizedQty = data.reduce((s, l) => s + (l.realizedQty || 0), 0);
 
       const healthZones = { green: 0, yellow: 0, red: 0 };
       data.forEach(l => {
@@ -121,11 +241,15 @@ const Trends = (() => {
         uploadedAt: report.uploadedAt,
         reportId: report.id,
         filename: report.filename,
+        days: reportDays(report),
+        perDay: normalized,
         totalImpressions,
         promotedImpressions,
         organicImpressions,
         avgCTR: parseFloat(avgCTR.toFixed(2)),
         totalSold,
+        realizedRevenue: parseFloat(realizedRevenue.toFixed(2)),
+        realizedQty,
         listingCount: data.length,
         healthZones,
       };
@@ -173,7 +297,7 @@ const Trends = (() => {
 
   /**
    * Compute KPI comparisons between the two most recent reports.
-   * Returns { totalImpressions, avgCTR, totalSold, listingCount } each with { curr, prev, pctChange }.
+   * Returns { totalImpressions, avgCTR, totalSold, realizedRevenue, listingCount } each with { curr, prev, pctChange }.
    */
   function computeKPIComparison(aggregateTrend) {
     if (aggregateTrend.length < 2) return null;
@@ -189,16 +313,21 @@ const Trends = (() => {
       totalImpressions: diff(prev.totalImpressions, curr.totalImpressions),
       avgCTR: diff(prev.avgCTR, curr.avgCTR),
       totalSold: diff(prev.totalSold, curr.totalSold),
+      realizedRevenue: diff(prev.realizedRevenue, curr.realizedRevenue),
       listingCount: diff(prev.listingCount, curr.listingCount),
     };
   }
 
   /**
    * Build side-by-side comparison between two reports (by report id).
+   * Impressions, page views and units sold are per day when both periods are known.
    * Returns array of { itemId, title, r1, r2, changes } sorted by abs impressions change desc.
    */
   function buildComparison(report1, report2) {
     if (!report1 || !report2) return [];
+    const normalized = canNormalize([report1, report2]);
+    const days1 = normalized ? reportDays(report1) : null;
+    const days2 = normalized ? reportDays(report2) : null;
 
     const map1 = {};
     (report1.data || []).forEach(l => { if (l.itemId) map1[l.itemId] = l; });
@@ -214,26 +343,26 @@ const Trends = (() => {
       const l2 = map2[id];
 
       const impressionsChange = pctChange(
-        l1 ? (l1.totalImpressions || 0) : null,
-        l2 ? (l2.totalImpressions || 0) : null
+        l1 ? perDay(l1.totalImpressions || 0, days1) : null,
+        l2 ? perDay(l2.totalImpressions || 0, days2) : null
       );
 
       rows.push({
         itemId: id,
         title: (l2 || l1).title,
         r1: l1 ? {
-          totalImpressions: l1.totalImpressions || 0,
+          totalImpressions: perDay(l1.totalImpressions || 0, days1),
           ctr: l1.ctr || 0,
-          totalPageViews: l1.totalPageViews || 0,
-          quantitySold: l1.quantitySold || 0,
+          totalPageViews: perDay(l1.totalPageViews || 0, days1),
+          quantitySold: perDay(l1.quantitySold || 0, days1),
           healthScore: l1.healthScore || 0,
           healthBadge: l1.healthBadge || 'red',
         } : null,
         r2: l2 ? {
-          totalImpressions: l2.totalImpressions || 0,
+          totalImpressions: perDay(l2.totalImpressions || 0, days2),
           ctr: l2.ctr || 0,
-          totalPageViews: l2.totalPageViews || 0,
-          quantitySold: l2.quantitySold || 0,
+          totalPageViews: perDay(l2.totalPageViews || 0, days2),
+          quantitySold: perDay(l2.quantitySold || 0, days2),
           healthScore: l2.healthScore || 0,
           healthBadge: l2.healthBadge || 'red',
         } : null,
@@ -255,8 +384,23 @@ const Trends = (() => {
     return rows;
   }
 
+  /**
+   * Listings that were edited between reports, most recent edit first.
+   * @param {Object} timeline - from buildListingTimeline()
+   */
+  function getEditedListings(timeline) {
+    const lastEdit = entry => new Date(entry.events[entry.events.length - 1].uploadedAt);
+    return Object.values(timeline)
+      .filter(entry => entry.events.length > 0)
+      .sort((a, b) => lastEdit(b) - lastEdit(a));
+  }
+
   return {
+    reportDays,
+    canNormalize,
     buildListingTimeline,
+    detectChangeEvents,
+    getEditedListings,
     computeListingChange,
     computeAggregateTrend,
     getTopListingTimelines,
@@ -0,0 +1,218 @@
+/**
+ * xlsxImport.js — Excel workbook import for ShazbotCards Analytics
+ * Reads .xlsx files with SheetJS (loaded from the CDN on first use), turns a
+ * worksheet into the same row arrays the CSV tokenizer produces, and hands them
+ * to CSVParser.parseRows so XLSX reports go through the identical pipeline.
+ * Also reads the "Material Costs" sheet of the Profit Tracker workbook into
+ * COGS materials. Works on the page and inside csvWorker.js.
+ */
+
+/* global CSVParser, XLSX */
+const XLSXImport = (() => {
+  'use strict';
+
+  const LIB_URL = 'https://cdn.jsdelivr.net/npm/xlsx@0.18.5/dist/xlsx.full.min.js';
+
+  // Profit Tracker "Material Costs" sheet — same registry shape as CSVParser's
+  const MATERIAL_COLUMNS = [
+    { field: 'name',      type: 'text',  required: true, aliases: { v5: 'Material' } },
+    { field: 'packCount', type: 'int',   required: true, aliases: { v5: 'Pack Count' } },
+    { field: 'packPrice', type: 'money', required: true, aliases: { v5: 'Pack Price' } },
+    { field: 'unitCost',  type: 'money',                 aliases: { v5: 'Cost Per Unit (Calc)' } },
+  ];
+
+  let libPromise = null;
+
+  // ─── Library Loading ──────────────────────────────────────────────────────
+
+  /**
+   * Load SheetJS once. Uses importScripts inside a worker and a <script> tag
+   * on the page, so the ~900 KB library is only fetched when an .xlsx is used.
+   * @returns {Promise<object>} the global XLSX namespace
+   */
+  function loadLibrary() {
+    if (typeof XLSX !== 'undefined') return Promise.resolve(XLSX);
+    if (libPromise) return libPromise;
+
+    libPromise = new Promise((resolve, reject) => {
+      if (typeof importScripts === 'function' && typeof document === 'undefined') {
+        try {
+          importScripts(LIB_URL);
+          resolve(self.XLSX);
+        } catch (e) {
+          reject(new Error('Could not load the Excel reader'));
+        }
+        return;
+      }
+      const script = document.createElement('script');
+      script.src = LIB_URL;
+      script.onload = () => resolve(window.XLSX);
+      script.onerror = () => reject(new Error('Could not load the Excel reader — check your connection'));
+      document.head.appendChild(script);
+    }).catch(err => {
+      libPromise = null; // allow a retry after a network failure
+      throw err;
+    });
+    return libPromise;
+  }
+
+  // ─── Workbook Reading ─────────────────────────────────────────────────────
+
+  function isWorkbookFile(file) {
+    return /\.xlsx$/i.test(file && file.name ? file.name : '');
+  }
+
+  /**
+   * @param {File|Blob|ArrayBuffer} source
+   * @returns {Promise<object>} SheetJS workbook
+   */
+  async function readWorkbook(source) {
+    const lib = await loadLibrary();
+    const data = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+    return lib.read(data, { type: 'array' });
+  }
+
+  /**
+   * Convert a worksheet to rows of display strings — the cell text as Excel
+   * formats it ("1,234", "2.5%", "$3.05"), which is what the CSV value parsers expect.
+   * Blank rows are kept so import diagnostics point at the right spreadsheet row.
+   * @returns {string[][]}
+   */
+  function sheetRows(sheet) {
+    return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true })
+      .map(row => row.map(v => String(v)));
+  }
+
+  /**
+   * Find the first sheet CSVParser recognizes as an eBay report.
+   * @returns {{ sheetName: string, type: string, rows: string[][] }}
+   */
+  function findReportSheet(workbook) {
+    for (const sheetName of workbook.SheetNames) {
+      const rows = sheetRows(workbook.Sheets[sheetName]);
+      const { type } = CSVParser.detectReportType(rows);
+      if (type) return { sheetName, type, rows };
+    }
+    const labels = Object.values(CSVParser.REPORT_TYPES).map(d => d.label).join(' or ');
+    throw new Error(`No sheet in this workbook looks like an eBay ${labels}`);
+  }
+
+  /**
+   * Parse an eBay report saved as .xlsx.
+   * @returns {Promise<{ type, records, columns, sheetName }>} same shape as CSVParser.parseRows
+   */
+  async function parseReportFile(file) {
+    const workbook = await readWorkbook(file);
+    const { sheetName, type, rows } = findReportSheet(workbook);
+    return { ...CSVParser.parseRows(rows, type), sheetName };
+  }
+
+  // ─── Profit Tracker Materials ─────────────────────────────────────────────
+
+  /**
+   * Read packaging materials from any sheet with Material / Pack Count / Pack Price headers.
+   * @returns {object[]} [{ name, packCount, packPrice, unitCost }]
+   */
+  function parseMaterials(workbook) {
+    for (const sheetName of workbook.SheetNames) {
+      const rows = sheetRows(workbook.Sheets[sheetName]);
+      const { index } = CSVParser.findHeaderRow(rows, MATERIAL_COLUMNS);
+      if (index === -1) continue;
+
+      const { indexByField } = CSVParser.mapColumns(rows[index].map(h => h.trim()), MATERIAL_COLUMNS);
+      const materials = [];
+      for (let i = index + 1; i < rows.length; i++) {
+        const values = {};
+        Object.entries(indexByField).forEach(([field, idx]) => { values[field] = (rows[i][idx] || '').trim(); });
+        // Skip notes and blank rows — a material needs a name and a pack count
+        if (!values.name || !values.packCount) continue;
+
+        const typed = CSVParser.typeValues(values, MATERIAL_COLUMNS);
+        if (!typed.packCount) continue;
+        materials.push({
+          name: typed.name,
+          packCount: typed.packCount,
+          packPrice: typed.packPrice,
+          unitCost: typed.packPrice / typed.packCount,
+        });
+      }
+      if (materials.length) return materials;
+    }
+    throw new Error('No "Material Costs" sheet found — expected columns Material, Pack Count and Pack Price');
+  }
+
+  function nameTokens(name) {
+    return new Set(String(name).toLowerCase()
+      .replace(/\(.*?\)/g, ' ')
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean)
+      .map(t => t.replace(/s$/, '')));
+  }
+
+  /** Share of the shorter name's tokens found in the other, so "Top Loader" ≈ "Top Loaders (x200)". */
+  function nameOverlap(a, b) {
+    const ta = nameTokens(a);
+    const tb = nameTokens(b);
+    if (!ta.size || !tb.size) return 0;
+    let shared = 0;
+    ta.forEach(t => { if (tb.has(t)) shared++; });
+    return shared / Math.min(ta.size, tb.size);
+  }
+
+  /**
+   * Merge imported materials into an existing COGS materials list. Matching
+   * materials (by name) get the workbook's pack count and price but keep their
+   * id, per-sale flag and shipping methods; the rest are appended, not per-sale.
+   * @returns {{ materials: object[], added: number, updated: number }}
+   */
+  function mergeMaterials(existing, imported) {
+    const materials = existing.map(m => ({ ...m }));
+    const claimed = new Set();
+    let added = 0;
+    let updated = 0;
+
+    imported.forEach((mat, i) => {
+      let best = { idx: -1, score: 0 };
+      materials.forEach((m, idx) => {
+        if (claimed.has(idx)) return;
+        const score = nameOverlap(m.name, mat.name);
+        if (score > best.score) best = { idx, score };
+      });
+
+      if (best.idx !== -1 && best.score >= 0.75) {
+        claimed.add(best.idx);
+        Object.assign(materials[best.idx], {
+          packCount: mat.packCount,
+          packPrice: mat.packPrice,
+          unitCost: mat.unitCost,
+        });
+        updated++;
+      } else {
+        materials.push({
+          id: `mat_${Date.now()}_${i}`,
+          name: mat.name,
+          packCount: mat.packCount,
+          packPrice: mat.packPrice,
+          unitCost: mat.unitCost,
+          includePerSale: false,
+        });
+        claimed.add(materials.length - 1);
+        added++;
+      }
+    });
+
+    return { materials, added, updated };
+  }
+
+  return {
+    loadLibrary,
+    isWorkbookFile,
+    readWorkbook,
+    sheetRows,
+    findReportSheet,
+    parseReportFile,
+    parseMaterials,
+    mergeMaterials,
+    MATERIAL_COLUMNS,
+  };
+})();